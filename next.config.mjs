@@ -1,4 +1,8 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // text extraction libraries load wasm/workers at runtime; keep them out of the server bundle
+  // (pdfkit reads its font data from its own package directory)
+  serverExternalPackages: ["pdf-parse", "tesseract.js", "mammoth", "pdfkit"],
+};
 
 export default nextConfig;
@@ -0,0 +1,148 @@
+// scripts/eval.mjs
+// Offline evaluation of plan quality: runs the golden set (data/eval/golden.json) through the analyze pipeline with the
+// mock or recorded provider (or a live one), scores every plan (src/lib/eval/score.js) and compares the run with the
+// baseline (data/eval/baseline.json). Exits with 1 when a case fails or a metric regresses beyond the tolerance.
+//
+//   npm run eval [-- --provider mock|recorded|openai|n8n] [--cases id,id] [--tolerance 0.05] [--out report.json]
+//                [--record] [--update-baseline] [--verbose]
+//
+// --record saves the outputs of a live provider as recordings the `recorded` provider replays later, and replays each
+// one right away (a recording that does not reproduce the output fails its case);
+// --update-baseline replaces the baseline with this run.
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { runAnalysis } from '@/lib/ai/pipeline';
+import { saveRecording } from '@/lib/ai/providers/recorded';
+import { resolveProvider } from '@/lib/ai/providers';
+import { scoreResult, summarizeScores, METRICS } from '@/lib/eval/score';
+import { compareWithBaseline, DEFAULT_TOLERANCE } from '@/lib/eval/baseline';
+
+const { values: args } = parseArgs({
+    options: {
+        provider: { type: 'string', default: 'mock' },
+        golden: { type: 'string', default: 'data/eval/golden.json' },
+        baseline: { type: 'string', default: 'data/eval/baseline.json' },
+        cases: { type: 'string' },
+        tolerance: { type: 'string', default: String(DEFAULT_TOLERANCE) },
+        out: { type: 'string' },
+        record: { type: 'boolean', default: false },
+        'update-baseline': { type: 'boolean', default: false },
+        verbose: { type: 'boolean', default: false }
+    }
+});
+
+// every case names its provider (--provider, and `recorded` for the replay of --record)
+process.env.AI_PROVIDER_ALLOW_OVERRIDE = 'true';
+
+const resolvePath = (p) => (path.isAbsolute(p) ? p : path.join(process.cwd(), p));
+const readJson = (p) => JSON.parse(fs.readFileSync(resolvePath(p), 'utf8'));
+const writeJson = (p, value) => fs.writeFileSync(resolvePath(p), JSON.stringify(value, null, 2) + '\n');
+
+if (args.record && args.provider === 'recorded') {
+    console.error('--record needs a live provider (e.g. --provider openai)');
+    process.exit(2);
+}
+const tolerance = Number(args.tolerance);
+const golden = readJson(args.golden);
+const only = args.cases ? new Set(args.cases.split(',').map(s => s.trim())) : null;
+const cases = (golden.cases || []).filter(c => !only || only.has(c.id));
+if (!cases.length) {
+    console.error(`no evaluation cases${only ? ` matching ${args.cases}` : ''} in ${args.golden}`);
+    process.exit(2);
+}
+
+// the pipeline logs every request; keep the report readable unless --verbose
+const consoleMethods = { log: console.log, info: console.info, warn: console.warn };
+const silence = () => { if (!args.verbose) console.log = console.info = console.warn = () => {}; };
+const restore = () => Object.assign(console, consoleMethods);
+
+// A recording is keyed on what the provider was sent (the output type and the note with its privacy placeholders),
+// so --record notes the last request the live provider received
+let providerRequest = null;
+if (args.record) {
+    const live = resolveProvider(args.provider);
+    const generate = live?.generate;
+    if (live) {
+        live.generate = (options) => {
+            providerRequest = { analysisType: options.analysisType, textNote: options.payload?.textNote };
+            return generate.call(live, options);
+        };
+    }
+}
+
+const run = { generatedAt: new Date().toISOString(), provider: args.provider, golden: args.golden, cases: {}, failures: [] };
+for (const c of cases) {
+    const request = { ...c.request, provider: args.provider, persist: false, logSession: false, includeRecentSessions: false };
+    silence();
+    providerRequest = null;
+    try {
+        const result = await runAnalysis(request, { user: { uid: 'eval', role: 'admin' }, escalate: false, audit: false });
+        if (args.record && providerRequest) {
+            saveRecording({ ...providerRequest, provider: result.meta.provider, output: result.ai.raw });
+            const replay = await runAnalysis({ ...request, provider: 'recorded' }, { user: { uid: 'eval', role: 'admin' }, escalate: false, audit: false });
+            if (JSON.stringify(replay.ai.raw) !== JSON.stringify(result.ai.raw)) throw new Error('the recording does not replay the recorded output');
+        }
+        restore();
+        run.cases[c.id] = { analysisType: result.meta.analysisType, prompt: result.meta.prompt, ...scoreResult(result, { textNote: request.textNote }) };
+    } catch (err) {
+        restore();
+        const detail = err?.details?.detail;
+        run.failures.push({ case: c.id, error: (err?.message || String(err)) + (detail ? `: ${detail}` : '') });
+    }
+}
+run.summary = summarizeScores(Object.values(run.cases));
+
+let baseline = null;
+try {
+    baseline = readJson(args.baseline);
+} catch (_) {
+    baseline = null;
+}
+const comparison = baseline ? compareWithBaseline(run, baseline, { tolerance }) : null;
+
+// -----------------------
+// Report
+// -----------------------
+const fmt = (v) => (typeof v === 'number' ? v.toFixed(3) : '  -  ');
+const signed = (v) => (v > 0 ? `+${v.toFixed(3)}` : v.toFixed(3));
+const columns = ['case', 'type', 'valid', ...METRICS, 'overall', 'Δoverall'];
+const rows = Object.entries(run.cases).map(([id, s]) => {
+    const before = baseline?.cases?.[id]?.overall;
+    return [id, s.analysisType, s.schemaValid ? 'yes' : `no (${s.attempts})`, ...METRICS.map(m => fmt(s[m])), fmt(s.overall),
+        typeof before === 'number' ? signed(Math.round((s.overall - before) * 1000) / 1000) : 'new'];
+});
+rows.push(['(mean)', '', fmt(run.summary.schemaValid), ...METRICS.map(m => fmt(run.summary[m])), fmt(run.summary.overall),
+    typeof baseline?.summary?.overall === 'number' && !comparison.newCases.length && !comparison.missingCases.length ? signed(Math.round((run.summary.overall - baseline.summary.overall) * 1000) / 1000) : '-']);
+const widths = columns.map((col, i) => Math.max(col.length, ...rows.map(r => String(r[i]).length)));
+const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ');
+
+console.log(`Plan evaluation: ${Object.keys(run.cases).length}/${cases.length} cases, provider ${run.provider}` +
+    (baseline ? `, baseline ${baseline.generatedAt} (${baseline.provider}), tolerance ${tolerance}` : ', no baseline'));
+console.log('(noteEcho: lower is better)\n');
+console.log(line(columns));
+rows.forEach(r => console.log(line(r)));
+
+for (const f of run.failures) console.log(`\nFAILED ${f.case}: ${f.error}`);
+if (comparison) {
+    if (comparison.newCases.length) console.log(`\nNot in the baseline: ${comparison.newCases.join(', ')}`);
+    if (comparison.missingCases.length && !only) console.log(`\nIn the baseline but not run: ${comparison.missingCases.join(', ')}`);
+    if (comparison.regressions.length) {
+        console.log('\nRegressions:');
+        for (const r of comparison.regressions) console.log(`  ${r.case} ${r.metric}: ${fmt(r.baseline)} -> ${fmt(r.current)} (${signed(r.delta)})`);
+    } else {
+        console.log('\nNo regressions against the baseline.');
+    }
+}
+
+if (args.out) writeJson(args.out, { ...run, comparison });
+if (args['update-baseline']) {
+    if (run.failures.length) {
+        console.error('\nbaseline not updated: some cases failed');
+        process.exit(1);
+    }
+    writeJson(args.baseline, { generatedAt: run.generatedAt, provider: run.provider, tolerance, summary: run.summary, cases: run.cases });
+    console.log(`\nBaseline written to ${args.baseline}`);
+    process.exit(0);
+}
+process.exit(run.failures.length || comparison?.regressions.length ? 1 : 0);
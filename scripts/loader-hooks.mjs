@@ -0,0 +1,29 @@
+// scripts/loader-hooks.mjs
+// Module resolution hooks registered by ./loader.mjs
+let src = null;
+
+export function initialize({ root }) {
+    src = new URL('src/', root).href;
+}
+
+const CANDIDATES = ['', '.js', '/index.js'];
+
+export async function resolve(specifier, context, nextResolve) {
+    const aliased = specifier.startsWith('@/') ? new URL(specifier.slice(2), src).href : specifier;
+    const fromSrc = aliased !== specifier || (specifier.startsWith('.') && context.parentURL?.startsWith(src));
+    if (!fromSrc) return nextResolve(aliased, context);
+    let lastError;
+    for (const suffix of CANDIDATES) {
+        try {
+            return await nextResolve(aliased + suffix, context);
+        } catch (err) {
+            lastError = err;
+        }
+    }
+    throw lastError;
+}
+
+export async function load(url, context, nextLoad) {
+    if (url.startsWith(src) && url.endsWith('.js')) return nextLoad(url, { ...context, format: 'module' });
+    return nextLoad(url, context);
+}
@@ -0,0 +1,8 @@
+// scripts/loader.mjs
+// Lets plain Node scripts import the app's modules the way Next bundles them: `@/` resolves to src/,
+// extensionless specifiers resolve to .js / index.js, and the ES module files under src/ load as ESM.
+// Usage: node --import ./scripts/loader.mjs scripts/<script>.mjs
+import { register } from 'node:module';
+import { pathToFileURL } from 'node:url';
+
+register('./loader-hooks.mjs', pathToFileURL(`${import.meta.dirname}/`), { data: { root: pathToFileURL(`${process.cwd()}/`).href } });
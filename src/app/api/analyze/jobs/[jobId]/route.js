@@ -0,0 +1,26 @@
+// app/api/analyze/jobs/[jobId]/route.js
+// GET /api/analyze/jobs/:jobId -> { status: queued | running | succeeded | failed, result ({ ai, meta }) once succeeded }
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, httpError } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { getAnalysisJob, jobView } from '@/lib/ai/jobs';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { jobId } = await params;
+        const job = await getAnalysisJob(jobId);
+        // jobs are visible to the user who enqueued them (and admins)
+        if (user.role !== 'admin' && job.requestedBy?.uid !== user.uid) throw httpError(`job ${jobId} not found`, 404);
+        return jsonResponse({ ok: true, job: jobView(job) }, { status: 200, origin });
+    } catch (err) {
+        console.error('[analyze/jobs/:jobId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,25 @@
+// app/api/analyze/jobs/route.js
+// POST /api/analyze/jobs -> enqueue an analysis (same body as /api/analyze, plus optional callbackUrl)
+// and answer 202 with the job id right away; poll GET /api/analyze/jobs/:jobId for the result.
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { authenticate, STAFF_ROLES } from '@/lib/auth';
+import { enqueueAnalysisJob, jobView } from '@/lib/ai/jobs';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'POST, OPTIONS');
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+        const { callbackUrl, ...body } = await readJsonBody(request);
+        const job = await enqueueAnalysisJob({ body, user, callbackUrl });
+        return jsonResponse({ ok: true, jobId: job.id, statusUrl: `/api/analyze/jobs/${job.id}`, job: jobView(job) }, { status: 202, origin });
+    } catch (err) {
+        console.error('[analyze/jobs] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,74 @@
+// app/api/analyze/stream/route.js
+// Streaming variant of /api/analyze over Server-Sent Events. Events, in order:
+//   transcript (voice note transcribed or taken from the session), curriculum (matched indicators), context (prompt built), token (model output pieces),
+//   section (each normalized plan section once it parses), repair (schema re-prompt),
+//   then result ({ ai, meta }, same envelope as /api/analyze) or error ({ error, status }).
+import { corsHeaders, jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { authenticate, STAFF_ROLES } from '@/lib/auth';
+import { runAnalysis } from '@/lib/ai/pipeline';
+import { requestContext } from '@/lib/audit';
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+// respond to OPTIONS preflight
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'POST, OPTIONS');
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+
+    // auth and body problems are answered as plain JSON before the stream starts
+    let user;
+    let body;
+    try {
+        user = await authenticate(request, { roles: STAFF_ROLES });
+        body = await readJsonBody(request);
+    } catch (err) {
+        return jsonResponse({ error: err.message }, { status: err.status || 500, origin, methods: 'POST, OPTIONS' });
+    }
+
+    const encoder = new TextEncoder();
+    let closed = false;
+    const stream = new ReadableStream({
+        async start(controller) {
+            const send = (event, data) => {
+                if (closed) return;
+                try {
+                    controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+                } catch (_) {
+                    closed = true;
+                }
+            };
+
+            try {
+                const result = await runAnalysis(body, { user, onEvent: send, audit: requestContext(request) });
+                send('result', result);
+            } catch (err) {
+                console.error('[analyze/stream] fatal error:', err?.message || err);
+                send('error', { error: err.message, status: err.status || 500, ...(err.details || {}) });
+            } finally {
+                if (!closed) {
+                    closed = true;
+                    controller.close();
+                }
+            }
+        },
+        cancel() {
+            // client went away; the analysis finishes (and persists) but nothing more is sent
+            closed = true;
+        }
+    });
+
+    return new Response(stream, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+            ...corsHeaders(origin, 'POST, OPTIONS')
+        }
+    });
+}
@@ -0,0 +1,50 @@
+// app/api/assessments/route.js
+// GET /api/assessments?id=&childId=&guardianPhone=&teacher=&diagnosis=&severity=&from=&to=&limit=&cursor=
+// Results are ordered by createdAt (newest first); pass the returned nextCursor to get the next page.
+// Non-admins page through the assessments they are linked to (see lib/auth) only.
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, httpError } from '@/lib/http';
+import { queryAssessments, listLinkedAssessments } from '@/lib/data/assessments';
+import { authenticate, canAccessAssessment } from '@/lib/auth';
+import { auditAssessmentRead, requestContext } from '@/lib/audit';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+function parseDateParam(value, name) {
+    if (!value) return null;
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw httpError(`${name} must be an ISO date (e.g. 2025-01-31)`, 400);
+    return d;
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const params = new URL(request.url).searchParams;
+        const filters = {
+            id: params.get('id') || params.get('assessmentId'),
+            childId: params.get('childId'),
+            guardianPhone: params.get('guardianPhone') || params.get('phone'),
+            assignedTeacher: params.get('teacher') || params.get('assignedTeacher'),
+            diagnosis: params.get('diagnosis'),
+            severity: params.get('severity'),
+            createdFrom: parseDateParam(params.get('from'), 'from'),
+            createdTo: parseDateParam(params.get('to'), 'to')
+        };
+        const limit = Math.min(Math.max(parseInt(params.get('limit') || '20', 10) || 20, 1), 100);
+
+        const candidates = user.role === 'admin' ? undefined : await listLinkedAssessments(user);
+        const page = await queryAssessments(filters, { limit, cursor: params.get('cursor'), candidates });
+        const results = page.results.filter(r => canAccessAssessment(user, r));
+        const { nextCursor } = page;
+        await auditAssessmentRead({ user, context: requestContext(request), results, details: { via: 'query', filters: Object.fromEntries(Object.entries(filters).filter(([, v]) => v)) } });
+        return jsonResponse({ ok: true, count: results.length, results, nextCursor }, { status: 200, origin });
+    } catch (err) {
+        console.error('[assessments] query error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
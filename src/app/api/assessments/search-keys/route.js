@@ -0,0 +1,26 @@
+// app/api/assessments/search-keys/route.js
+// POST { cursor?, pageSize? } -> (re)writes childNameSearch on one page of assessments.
+// Call repeatedly with the returned nextCursor until it is null to backfill the whole collection.
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { backfillNameSearchKeys } from '@/lib/data/assessments';
+import { authenticate } from '@/lib/auth';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'POST, OPTIONS');
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: ['admin'] });
+        const body = await readJsonBody(request);
+        const pageSize = Math.min(Math.max(parseInt(body?.pageSize, 10) || 300, 1), 500);
+        const out = await backfillNameSearchKeys({ pageSize, cursor: body?.cursor || null });
+        return jsonResponse({ ok: true, ...out }, { status: 200, origin });
+    } catch (err) {
+        console.error('[assessments/search-keys] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,47 @@
+// app/api/audit/route.js
+// GET /api/audit?uid=&childId=|assessmentId=&action=&from=&to=&limit=&cursor=
+// -> audit log events (assessment reads, analyses), newest first; admins only.
+// `from` / `to` are ISO dates (a date without a time covers that whole day); pass nextCursor for the next page.
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, httpError } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { queryAuditEvents } from '@/lib/data/audit';
+import { AUDIT_ACTIONS } from '@/lib/audit';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+function parseDateParam(value, name, { endOfDay = false } = {}) {
+    if (!value) return null;
+    const d = new Date(value);
+    if (Number.isNaN(d.getTime())) throw httpError(`${name} must be an ISO date (e.g. 2025-01-31)`, 400);
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) d.setUTCHours(23, 59, 59, 999);
+    return d.toISOString();
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: ['admin'] });
+        const params = new URL(request.url).searchParams;
+        const action = params.get('action') || undefined;
+        if (action && !AUDIT_ACTIONS.includes(action)) throw httpError(`action must be one of ${AUDIT_ACTIONS.join(', ')}`, 400);
+        const filters = {
+            uid: params.get('uid') || undefined,
+            childId: params.get('childId') || undefined,
+            assessmentId: params.get('assessmentId') || undefined,
+            action,
+            from: parseDateParam(params.get('from'), 'from'),
+            to: parseDateParam(params.get('to'), 'to', { endOfDay: true })
+        };
+        const limit = Math.min(Math.max(parseInt(params.get('limit') || '50', 10) || 50, 1), 200);
+
+        const { events, nextCursor } = await queryAuditEvents(filters, { limit, cursor: params.get('cursor') });
+        return jsonResponse({ ok: true, count: events.length, events, nextCursor }, { status: 200, origin });
+    } catch (err) {
+        console.error('[audit] query error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
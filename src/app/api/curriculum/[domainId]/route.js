@@ -0,0 +1,27 @@
+// app/api/curriculum/[domainId]/route.js
+// GET /api/curriculum/:domainId[?ageBand=] -> one domain with its detailed goals and indicators
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { getDomain, ageBandForAge } from '@/lib/curriculum';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request);
+        const { domainId } = await params;
+        const search = new URL(request.url).searchParams;
+        const ageBand = search.get('ageBand') || ageBandForAge(search.get('age'));
+        const domain = getDomain(domainId, { ageBand });
+        if (!domain) return jsonResponse({ ok: false, error: `domain ${domainId} not found` }, { status: 404, origin });
+        return jsonResponse({ ok: true, domain }, { status: 200, origin });
+    } catch (err) {
+        console.error('[curriculum/:domainId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
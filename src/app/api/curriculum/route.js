@@ -0,0 +1,32 @@
+// app/api/curriculum/route.js
+// GET /api/curriculum[?ageBand=3-5|age=4&indicators=0] -> domains, detailed goals and indicators
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { loadCurriculum, listDomains, ageBandForAge } from '@/lib/curriculum';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request);
+        const params = new URL(request.url).searchParams;
+        const ageBand = params.get('ageBand') || ageBandForAge(params.get('age'));
+        const withIndicators = params.get('indicators') !== '0';
+        const model = loadCurriculum();
+        return jsonResponse({
+            ok: true,
+            version: model.version,
+            ageBands: model.ageBands,
+            ageBand: ageBand || null,
+            domains: listDomains({ ageBand, withIndicators })
+        }, { status: 200, origin });
+    } catch (err) {
+        console.error('[curriculum] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,34 @@
+// app/api/curriculum/search/route.js
+// GET /api/curriculum/search?q=...&age=5&domain=communication&limit=5 -> keyword-scored indicators
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { searchIndicators, ageBandForAge } from '@/lib/curriculum';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request);
+        const params = new URL(request.url).searchParams;
+        const q = (params.get('q') || '').trim();
+        if (!q) return jsonResponse({ ok: false, error: 'q is required' }, { status: 400, origin });
+        const ageBand = params.get('ageBand') || ageBandForAge(params.get('age'));
+        const limit = Math.min(Math.max(parseInt(params.get('limit') || '5', 10) || 5, 1), 50);
+        const hits = searchIndicators(q, { ageBand, limit, domainId: params.get('domain') });
+        const results = hits.map(({ indicator, goal, domain, score }) => ({
+            score,
+            indicator: { id: indicator.id, text: indicator.text, ageBand: indicator.ageBand || null },
+            detailGoal: { id: goal.id, text: goal.text },
+            domain: { id: domain.id, title: domain.title }
+        }));
+        return jsonResponse({ ok: true, count: results.length, results }, { status: 200, origin });
+    } catch (err) {
+        console.error('[curriculum/search] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
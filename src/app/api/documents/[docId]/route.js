@@ -0,0 +1,38 @@
+// app/api/documents/[docId]/route.js
+//   GET    /api/documents/:docId[?chunks=1] -> document header (and its chunks)
+//   DELETE /api/documents/:docId            -> remove the document and its chunks from the index
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate, STAFF_ROLES } from '@/lib/auth';
+import { getDocument, deleteDocument } from '@/lib/rag/store';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, DELETE, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: STAFF_ROLES });
+        const { docId } = await params;
+        const withChunks = new URL(request.url).searchParams.get('chunks') === '1';
+        return jsonResponse({ ok: true, document: getDocument(docId, { withChunks }) }, { status: 200, origin });
+    } catch (err) {
+        console.error('[documents/:docId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function DELETE(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: ['specialist', 'admin'] });
+        const { docId } = await params;
+        const out = await deleteDocument(docId);
+        return jsonResponse({ ok: true, ...out }, { status: 200, origin, methods: 'GET, DELETE, OPTIONS' });
+    } catch (err) {
+        console.error('[documents/:docId] delete error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,86 @@
+// app/api/documents/route.js
+// Reference material for retrieval (curriculum guides, behavior guidance...).
+//   GET  /api/documents[?kind=curriculum]                          -> ingested documents + index stats
+//   POST /api/documents { id?, fileName, kind, text, metadata? }   -> chunk, embed and index the text
+//   POST /api/documents (multipart/form-data)                      -> upload a PDF, DOCX, text/HTML or image file
+//        fields: file, kind?, id?, fileId? (Google Drive id), source? ('upload' | 'google_docs_export'), metadata? (JSON), force?
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody, readFormData } from '@/lib/http';
+import { authenticate, STAFF_ROLES } from '@/lib/auth';
+import { upsertDocument, listDocuments, indexStats } from '@/lib/rag/store';
+import { ingestFile, MAX_UPLOAD_BYTES } from '@/lib/documents/ingest';
+
+// room for the multipart framing and the form fields next to the file
+const MAX_FORM_BYTES = MAX_UPLOAD_BYTES + 1024 * 1024;
+
+export async function OPTIONS(request) {
+    return preflightResponse(request);
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: STAFF_ROLES });
+        const kind = new URL(request.url).searchParams.get('kind');
+        const documents = listDocuments({ kind });
+        return jsonResponse({ ok: true, count: documents.length, documents, index: indexStats() }, { status: 200, origin });
+    } catch (err) {
+        console.error('[documents] list error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+
+        if ((request.headers.get('content-type') || '').includes('multipart/form-data')) {
+            return await handleUpload(request, user, origin);
+        }
+
+        const body = await readJsonBody(request);
+        const { document, skipped } = await upsertDocument({
+            id: body?.id,
+            fileName: body?.fileName || body?.title || '',
+            kind: body?.kind || 'curriculum',
+            text: body?.text,
+            metadata: { ...(body?.metadata || {}), source: body?.metadata?.source || 'api', uploadedBy: user.uid },
+            force: !!body?.force
+        });
+        return jsonResponse({ ok: true, skipped, document }, { status: skipped ? 200 : 201, origin });
+    } catch (err) {
+        console.error('[documents] ingest error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+async function handleUpload(request, user, origin) {
+    const form = await readFormData(request, MAX_FORM_BYTES);
+    const file = form.get('file');
+    if (!file || typeof file === 'string') {
+        return jsonResponse({ ok: false, error: 'multipart field "file" is required' }, { status: 400, origin });
+    }
+
+    let metadata = {};
+    try {
+        metadata = form.get('metadata') ? JSON.parse(String(form.get('metadata'))) : {};
+    } catch (_) {
+        return jsonResponse({ ok: false, error: 'metadata must be a JSON object' }, { status: 400, origin });
+    }
+
+    const result = await ingestFile({
+        buffer: Buffer.from(await file.arrayBuffer()),
+        fileName: String(form.get('fileName') || file.name || ''),
+        mimeType: file.type || '',
+        id: form.get('id') || undefined,
+        fileId: form.get('fileId') || undefined,
+        kind: String(form.get('kind') || 'curriculum'),
+        source: String(form.get('source') || 'upload'),
+        metadata,
+        uploadedBy: user.uid,
+        force: ['1', 'true'].includes(String(form.get('force') || ''))
+    });
+    return jsonResponse({ ok: true, ...result }, { status: result.skipped ? 200 : 201, origin });
+}
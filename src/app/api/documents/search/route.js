@@ -0,0 +1,28 @@
+// app/api/documents/search/route.js
+// POST /api/documents/search { query, k?, kinds? } -> top-k chunks by cosine similarity
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { authenticate, STAFF_ROLES } from '@/lib/auth';
+import { searchChunks } from '@/lib/rag/store';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'POST, OPTIONS');
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: STAFF_ROLES });
+        const body = await readJsonBody(request);
+        const query = String(body?.query || '').trim();
+        if (!query) return jsonResponse({ ok: false, error: 'query is required' }, { status: 400, origin });
+        const k = Math.min(Math.max(parseInt(body?.k, 10) || 6, 1), 50);
+        const kinds = Array.isArray(body?.kinds) && body.kinds.length ? body.kinds : null;
+        const results = await searchChunks(query, { k, kinds });
+        return jsonResponse({ ok: true, count: results.length, results }, { status: 200, origin });
+    } catch (err) {
+        console.error('[documents/search] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
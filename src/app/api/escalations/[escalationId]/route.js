@@ -0,0 +1,45 @@
+// app/api/escalations/[escalationId]/route.js
+// GET   /api/escalations/:escalationId -> the escalation with its notifications and audit trail
+// PATCH /api/escalations/:escalationId { action: 'acknowledge' | 'resolve' | 'comment', note }
+//       -> acknowledge an open escalation, resolve it (note = resolution, required) or add a note to the trail
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { authenticate, assertCanAccessChildRef } from '@/lib/auth';
+import { getAssessment } from '@/lib/data/assessments';
+import { getEscalation } from '@/lib/data/escalations';
+import { applyEscalationAction, SUPERVISOR_ROLES, withChildNames } from '@/lib/safety';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, PATCH, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: SUPERVISOR_ROLES });
+        const { escalationId } = await params;
+        const escalation = await getEscalation(escalationId);
+        await assertCanAccessChildRef(user, escalation, getAssessment);
+        const [named] = await withChildNames([escalation]);
+        return jsonResponse({ ok: true, escalation: named }, { status: 200, origin });
+    } catch (err) {
+        console.error('[escalations/:escalationId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function PATCH(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: SUPERVISOR_ROLES });
+        const { escalationId } = await params;
+        await assertCanAccessChildRef(user, await getEscalation(escalationId), getAssessment);
+        const body = await readJsonBody(request);
+        const [escalation] = await withChildNames([await applyEscalationAction(escalationId, { action: body?.action, note: body?.note }, user)]);
+        return jsonResponse({ ok: true, escalation }, { status: 200, origin, methods: 'GET, PATCH, OPTIONS' });
+    } catch (err) {
+        console.error('[escalations/:escalationId] update error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,54 @@
+// app/api/escalations/route.js
+// GET /api/escalations[?status=open|acknowledged|resolved][&childId=|&assessmentId=][&limit=50]
+// -> safety escalations raised by analyses, newest first (supervisors: specialist, admin)
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate, assertCanAccessChildRef, canAccessChildRef } from '@/lib/auth';
+import { getAssessment, listAssessmentRefsLinkedTo } from '@/lib/data/assessments';
+import { listEscalations, listEscalationsByRefs } from '@/lib/data/escalations';
+import { ESCALATION_STATUSES, SUPERVISOR_ROLES, withChildNames } from '@/lib/safety';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: SUPERVISOR_ROLES });
+        const search = new URL(request.url).searchParams;
+        const status = search.get('status') || undefined;
+        if (status && !ESCALATION_STATUSES.includes(status)) {
+            return jsonResponse({ ok: false, error: `status must be one of ${ESCALATION_STATUSES.join(', ')}` }, { status: 400, origin });
+        }
+        const childId = search.get('childId') || undefined;
+        const assessmentId = search.get('assessmentId') || undefined;
+        if (childId || assessmentId) await assertCanAccessChildRef(user, { childId, assessmentId }, getAssessment);
+        const limit = Math.min(Math.max(parseInt(search.get('limit'), 10) || 50, 1), 200);
+
+        let escalations;
+        if (childId || assessmentId || user.role === 'admin') {
+            escalations = await listEscalations({ status, childId, assessmentId, limit });
+        } else {
+            // supervisors see the escalations of the children they are linked to: queried by those ids, then checked
+            const linked = await listAssessmentRefsLinkedTo(user.uid);
+            const found = await listEscalationsByRefs({
+                childIds: [...user.childIds, ...linked.map(a => a.childId)],
+                assessmentIds: [...user.assessmentIds, ...linked.map(a => a.id)],
+                status,
+                limit: 500
+            });
+            escalations = [];
+            for (const escalation of found) {
+                if (escalations.length >= limit) break;
+                if (await canAccessChildRef(user, escalation, getAssessment)) escalations.push(escalation);
+            }
+        }
+        escalations = await withChildNames(escalations);
+        return jsonResponse({ ok: true, count: escalations.length, escalations }, { status: 200, origin });
+    } catch (err) {
+        console.error('[escalations] list error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,95 @@
+// app/api/plans/[planId]/behavior-data/route.js
+// Behavior data for a saved behavior plan.
+// GET  /api/plans/:planId/behavior-data[?from=&to=&weeks=4] -> entries, weekly stats, trend and review suggestion
+// POST /api/plans/:planId/behavior-data { type: 'incident', antecedent, behavior, consequence, intensity, durationSeconds, occurredAt }
+//                                     | { type: 'frequency', behavior, count, observationMinutes, occurredAt }
+//                                     | { entries: [ ... ] }
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody, httpError } from '@/lib/http';
+import { getPlan, addBehaviorEntries, listBehaviorEntries, setPlanReview } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef, STAFF_ROLES } from '@/lib/auth';
+import { behaviorEntryFields, weeklyBehaviorStats, behaviorTrend, evaluatePlanReview } from '@/lib/plans/behavior';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, POST, OPTIONS');
+}
+
+async function loadBehaviorPlan(user, planId) {
+    const plan = await getPlan(planId);
+    await assertCanAccessChildRef(user, plan, getAssessment);
+    if (plan.analysisType !== 'behavior') throw httpError(`plan ${planId} is not a behavior plan`, 409);
+    return plan;
+}
+
+// Recompute stats over all entries. With `persist` (recording entries), the review flag is stored on the plan when it
+// changed; reads only report it.
+async function summarize(plan, { weeks, persist = false }) {
+    const entries = await listBehaviorEntries(plan.id);
+    const weekly = weeklyBehaviorStats(entries);
+    const trend = behaviorTrend(weekly, { weeks });
+    const review = evaluatePlanReview(plan, trend);
+
+    const previous = plan.review || null;
+    if (!previous || previous.flagged !== review.flagged || previous.reasons.join() !== review.reasons.join()) {
+        review.flaggedAt = review.flagged ? (previous?.flagged ? previous.flaggedAt : persist ? new Date().toISOString() : null) : null;
+        if (persist) await setPlanReview(plan.id, review);
+    } else {
+        review.flaggedAt = previous.flaggedAt || null;
+    }
+    return { entries, weekly, trend, review };
+}
+
+function trendWeeks(params) {
+    return Math.min(Math.max(parseInt(params.get('weeks') || '4', 10) || 4, 2), 52);
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { planId } = await params;
+        const search = new URL(request.url).searchParams;
+        const plan = await loadBehaviorPlan(user, planId);
+
+        const summary = await summarize(plan, { weeks: trendWeeks(search) });
+        const from = search.get('from');
+        const to = search.get('to');
+        const entries = summary.entries.filter(e => (!from || e.occurredAt >= from) && (!to || e.occurredAt <= to));
+        return jsonResponse({
+            ok: true,
+            planId,
+            metric: plan.currentPlan?.data_collection?.metric || '',
+            count: entries.length,
+            entries,
+            weekly: summary.weekly,
+            trend: summary.trend,
+            review: summary.review
+        }, { status: 200, origin });
+    } catch (err) {
+        console.error('[plans/:planId/behavior-data] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function POST(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+        const { planId } = await params;
+        const plan = await loadBehaviorPlan(user, planId);
+
+        const body = await readJsonBody(request);
+        const raw = Array.isArray(body.entries) ? body.entries : [body];
+        if (!raw.length || raw.length > 200) throw httpError('send between 1 and 200 entries', 400);
+        const entries = raw.map(e => ({ ...behaviorEntryFields(e), recordedBy: user.uid }));
+
+        const stored = await addBehaviorEntries(planId, entries);
+        const summary = await summarize(plan, { weeks: trendWeeks(new URL(request.url).searchParams), persist: true });
+        return jsonResponse({ ok: true, planId, entries: stored, weekly: summary.weekly, trend: summary.trend, review: summary.review }, { status: 201, origin });
+    } catch (err) {
+        console.error('[plans/:planId/behavior-data] create error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
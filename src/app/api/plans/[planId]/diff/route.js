@@ -0,0 +1,36 @@
+// app/api/plans/[planId]/diff/route.js
+// GET /api/plans/:planId/diff?from=1&to=3 (defaults: previous version -> latest)
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { getPlan, getPlanVersion } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef } from '@/lib/auth';
+import { diffPlans } from '@/lib/plans/diff';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { planId } = await params;
+        const search = new URL(request.url).searchParams;
+        const plan = await getPlan(planId);
+        await assertCanAccessChildRef(user, plan, getAssessment);
+        const to = parseInt(search.get('to') || String(plan.latestVersion), 10);
+        const from = parseInt(search.get('from') || String(to - 1), 10);
+        if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+            return jsonResponse({ ok: false, error: 'from/to must be version numbers >= 1 (a plan needs at least two versions to diff)' }, { status: 400, origin });
+        }
+
+        const [fromVersion, toVersion] = await Promise.all([getPlanVersion(planId, from), getPlanVersion(planId, to)]);
+        const diff = diffPlans(fromVersion.plan, toVersion.plan);
+        return jsonResponse({ ok: true, planId, from, to, ...diff }, { status: 200, origin });
+    } catch (err) {
+        console.error('[plans/:planId/diff] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,54 @@
+// app/api/plans/[planId]/export/route.js
+// GET /api/plans/:planId/export?format=pdf|docx[&version=N][&kind=plan|datasheet][&sessions=10]
+// -> printable plan / family report, or the blank data sheet of the plan (kind=datasheet)
+export const runtime = 'nodejs';
+
+import { fileResponse, jsonResponse, preflightResponse } from '@/lib/http';
+import { getPlan, getPlanVersion } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef } from '@/lib/auth';
+import { EXPORT_FORMATS, exportBranding, planDocument, dataSheetDocument } from '@/lib/export/document';
+import { renderPdf } from '@/lib/export/pdf';
+import { renderDocx } from '@/lib/export/docx';
+
+const CONTENT_TYPES = {
+    pdf: 'application/pdf',
+    docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { planId } = await params;
+        const search = new URL(request.url).searchParams;
+        const format = (search.get('format') || 'pdf').toLowerCase();
+        const kind = search.get('kind') || 'plan';
+        if (!EXPORT_FORMATS.includes(format)) {
+            return jsonResponse({ ok: false, error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }, { status: 400, origin });
+        }
+        if (!['plan', 'datasheet'].includes(kind)) {
+            return jsonResponse({ ok: false, error: 'kind must be plan or datasheet' }, { status: 400, origin });
+        }
+
+        const plan = await getPlan(planId);
+        await assertCanAccessChildRef(user, plan, getAssessment);
+        const version = await getPlanVersion(planId, search.get('version') || plan.latestVersion);
+
+        const model = kind === 'datasheet'
+            ? dataSheetDocument(plan, version, { sessions: search.get('sessions') || undefined })
+            : planDocument(plan, version);
+        const branding = exportBranding();
+        const body = format === 'pdf' ? await renderPdf(model, branding) : await renderDocx(model, branding);
+
+        const filename = `${model.title} - ${plan.childName || planId} - v${version.version}.${format}`;
+        return fileResponse(body, { filename, contentType: CONTENT_TYPES[format], origin });
+    } catch (err) {
+        console.error('[plans/:planId/export] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
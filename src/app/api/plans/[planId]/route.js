@@ -0,0 +1,28 @@
+// app/api/plans/[planId]/route.js
+// GET /api/plans/:planId[?version=N] -> plan header + requested (default latest) version
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { getPlan, getPlanVersion } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef } from '@/lib/auth';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { planId } = await params;
+        const requested = new URL(request.url).searchParams.get('version');
+        const plan = await getPlan(planId);
+        await assertCanAccessChildRef(user, plan, getAssessment);
+        const version = await getPlanVersion(planId, requested || plan.latestVersion);
+        return jsonResponse({ ok: true, plan, version }, { status: 200, origin });
+    } catch (err) {
+        console.error('[plans/:planId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
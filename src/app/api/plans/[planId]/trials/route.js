@@ -0,0 +1,63 @@
+// app/api/plans/[planId]/trials/route.js
+// Trial-by-trial data for an educational plan.
+// GET  /api/plans/:planId/trials[?masterySessions=2] -> accuracy per step / per session and mastery vs. the smart_goal %
+// POST /api/plans/:planId/trials { sessionId?, occurredAt?, trials: [{ stepIndex | step, result: '+'|'P'|'-', promptLevel? }] }
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody, httpError } from '@/lib/http';
+import { getPlan, addTrialSheet, listTrialSheets } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef, STAFF_ROLES } from '@/lib/auth';
+import { trialSheetFields, summarizeTrials } from '@/lib/plans/trials';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, POST, OPTIONS');
+}
+
+async function loadEducationalPlan(user, planId) {
+    const plan = await getPlan(planId);
+    await assertCanAccessChildRef(user, plan, getAssessment);
+    if (plan.analysisType === 'behavior') throw httpError(`plan ${planId} is a behavior plan; record behavior data instead`, 409);
+    if (plan.analysisType === 'family_report') throw httpError(`plan ${planId} is a family report; trial data belongs to educational plans`, 409);
+    return plan;
+}
+
+function summaryOptions(plan, params) {
+    return {
+        steps: Array.isArray(plan.currentPlan?.task_analysis_steps) ? plan.currentPlan.task_analysis_steps.map(String) : [],
+        smartGoal: plan.currentPlan?.smart_goal || '',
+        masterySessions: Math.min(Math.max(parseInt(params.get('masterySessions') || '2', 10) || 2, 1), 10)
+    };
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { planId } = await params;
+        const plan = await loadEducationalPlan(user, planId);
+        const summary = summarizeTrials(await listTrialSheets(planId), summaryOptions(plan, new URL(request.url).searchParams));
+        return jsonResponse({ ok: true, planId, measurement: plan.currentPlan?.measurement || null, ...summary }, { status: 200, origin });
+    } catch (err) {
+        console.error('[plans/:planId/trials] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function POST(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+        const { planId } = await params;
+        const plan = await loadEducationalPlan(user, planId);
+        const options = summaryOptions(plan, new URL(request.url).searchParams);
+
+        const sheet = trialSheetFields(await readJsonBody(request), options.steps);
+        const stored = await addTrialSheet(planId, { ...sheet, planVersion: plan.latestVersion || null, recordedBy: user.uid });
+        const summary = summarizeTrials(await listTrialSheets(planId), options);
+        return jsonResponse({ ok: true, planId, sheet: stored, ...summary }, { status: 201, origin });
+    } catch (err) {
+        console.error('[plans/:planId/trials] create error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,27 @@
+// app/api/plans/[planId]/versions/route.js
+// GET /api/plans/:planId/versions[?full=1] -> version history, oldest first
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { getPlan, listPlanVersions } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef } from '@/lib/auth';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { planId } = await params;
+        await assertCanAccessChildRef(user, await getPlan(planId), getAssessment);
+        const full = ['1', 'true'].includes(new URL(request.url).searchParams.get('full') || '');
+        const versions = await listPlanVersions(planId, { full });
+        return jsonResponse({ ok: true, planId, count: versions.length, versions }, { status: 200, origin });
+    } catch (err) {
+        console.error('[plans/:planId/versions] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
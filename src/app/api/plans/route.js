@@ -0,0 +1,34 @@
+// app/api/plans/route.js
+// GET /api/plans?childId=...|assessmentId=...|childName=...[&analysisType=behavior&limit=20]
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { listPlans } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, canAccessChildRef } from '@/lib/auth';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const params = new URL(request.url).searchParams;
+        const limit = Math.min(Math.max(parseInt(params.get('limit') || '50', 10) || 50, 1), 200);
+        const found = await listPlans({
+            childId: params.get('childId'),
+            assessmentId: params.get('assessmentId'),
+            childName: params.get('childName'),
+            analysisType: params.get('analysisType'),
+            limit
+        });
+        const allowed = await Promise.all(found.map(p => canAccessChildRef(user, p, getAssessment)));
+        const plans = found.filter((_, i) => allowed[i]);
+        return jsonResponse({ ok: true, count: plans.length, plans }, { status: 200, origin });
+    } catch (err) {
+        console.error('[plans] list error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,24 @@
+// app/api/prompts/[templateId]/route.js
+// GET /api/prompts/:templateId[?version=N] -> the template (active version by default) and the variables it reads
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { loadPromptTemplate, templateVariables } from '@/lib/ai/prompts';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: ['specialist', 'admin'] });
+        const { templateId } = await params;
+        const template = loadPromptTemplate(templateId, new URL(request.url).searchParams.get('version'));
+        return jsonResponse({ ok: true, template, variables: templateVariables(template) }, { status: 200, origin });
+    } catch (err) {
+        console.error('[prompts/:templateId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
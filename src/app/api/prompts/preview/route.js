@@ -0,0 +1,43 @@
+// app/api/prompts/preview/route.js
+// POST /api/prompts/preview { templateId, version?, variables?, messagesForModel? }
+// -> the messages the template (with the active context template) renders for the given variables, without calling a model
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { loadPromptTemplate, buildPromptMessages, templateVariables, CONTEXT_TEMPLATE } from '@/lib/ai/prompts';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'POST, OPTIONS');
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: ['specialist', 'admin'] });
+        const body = await readJsonBody(request);
+        const templateId = String(body?.templateId || '').trim();
+        if (!templateId) return jsonResponse({ ok: false, error: 'templateId is required' }, { status: 400, origin });
+        if (body?.variables !== undefined && (typeof body.variables !== 'object' || Array.isArray(body.variables))) {
+            return jsonResponse({ ok: false, error: 'variables must be an object' }, { status: 400, origin });
+        }
+
+        // previewing never falls back to another template
+        const template = loadPromptTemplate(templateId, body?.version);
+        const prompt = buildPromptMessages({
+            templateId,
+            version: template.version,
+            variables: body?.variables || {},
+            clientMessages: Array.isArray(body?.messagesForModel) ? body.messagesForModel : undefined
+        });
+        // the variables a caller can set: the template's and the context's, minus the blocks the context defines itself
+        const context = loadPromptTemplate(CONTEXT_TEMPLATE, prompt.context.version);
+        const variables = [...new Set([...templateVariables(template), ...templateVariables(context)])]
+            .filter(name => !(name in (context.define || {})))
+            .sort();
+        return jsonResponse({ ok: true, template: prompt.template, context: prompt.context, variables, messages: prompt.messages }, { status: 200, origin });
+    } catch (err) {
+        console.error('[prompts/preview] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
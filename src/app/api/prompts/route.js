@@ -0,0 +1,23 @@
+// app/api/prompts/route.js
+// GET /api/prompts -> prompt templates (data/prompts) with their versions and the active one
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse } from '@/lib/http';
+import { authenticate } from '@/lib/auth';
+import { listPromptTemplates } from '@/lib/ai/prompts';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        await authenticate(request, { roles: ['specialist', 'admin'] });
+        const templates = listPromptTemplates();
+        return jsonResponse({ ok: true, count: templates.length, templates }, { status: 200, origin });
+    } catch (err) {
+        console.error('[prompts] list error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,47 @@
+// app/api/sessions/[sessionId]/audio/route.js
+// Voice note of a session, transcribed through the configured transcriber (lib/audio) and stored as session.transcript.
+//   POST /api/sessions/:sessionId/audio (multipart/form-data)  fields: file
+//   POST /api/sessions/:sessionId/audio { audioUrl }
+// A later /api/analyze with this sessionId merges the transcript into the note text.
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody, httpError } from '@/lib/http';
+import { getSession, updateSession } from '@/lib/data/sessions';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef, STAFF_ROLES } from '@/lib/auth';
+import { fetchAudio, transcribeAudio } from '@/lib/audio';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'POST, OPTIONS');
+}
+
+export async function POST(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+        const { sessionId } = await params;
+        const session = await getSession(sessionId);
+        await assertCanAccessChildRef(user, session, getAssessment);
+
+        let audio;
+        let audioUrl = null;
+        if ((request.headers.get('content-type') || '').includes('multipart/form-data')) {
+            const form = await request.formData();
+            const file = form.get('file');
+            if (!file || typeof file === 'string') throw httpError('multipart field "file" is required', 400);
+            audio = { buffer: Buffer.from(await file.arrayBuffer()), fileName: file.name || '', mimeType: file.type || '' };
+        } else {
+            const body = await readJsonBody(request);
+            if (!body?.audioUrl) throw httpError('a multipart "file" or an audioUrl is required', 400);
+            audioUrl = String(body.audioUrl);
+            audio = await fetchAudio(audioUrl);
+        }
+
+        const transcript = await transcribeAudio({ ...audio, audioUrl, user });
+        const updated = await updateSession(sessionId, { transcript, updatedBy: user.uid });
+        return jsonResponse({ ok: true, transcript, session: updated }, { status: 201, origin });
+    } catch (err) {
+        console.error('[sessions/:sessionId/audio] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,60 @@
+// app/api/sessions/[sessionId]/route.js
+// GET   /api/sessions/:sessionId
+// PATCH /api/sessions/:sessionId { ...observation fields, analysis? } -> update the observation and/or attach
+//       an analysis (either the { ai, meta } result of /api/analyze or an already summarized object)
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody, httpError } from '@/lib/http';
+import { getSession, updateSession } from '@/lib/data/sessions';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef, STAFF_ROLES } from '@/lib/auth';
+import { sessionFields, sessionAnalysisFromResult } from '@/lib/sessions';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, PATCH, OPTIONS');
+}
+
+export async function GET(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const { sessionId } = await params;
+        const session = await getSession(sessionId);
+        await assertCanAccessChildRef(user, session, getAssessment);
+        return jsonResponse({ ok: true, session }, { status: 200, origin });
+    } catch (err) {
+        console.error('[sessions/:sessionId] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function PATCH(request, { params }) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+        const { sessionId } = await params;
+        const session = await getSession(sessionId);
+        await assertCanAccessChildRef(user, session, getAssessment);
+
+        const body = await readJsonBody(request);
+        const patch = sessionFields(body, { partial: true });
+        // moving a session to another child needs access to that child too
+        if (patch.childId !== undefined || patch.assessmentId !== undefined) {
+            const next = { childId: patch.childId ?? session.childId, assessmentId: patch.assessmentId ?? session.assessmentId };
+            if (!next.childId && !next.assessmentId) throw httpError('childId or assessmentId is required', 400);
+            await assertCanAccessChildRef(user, next, getAssessment);
+        }
+        if (body.analysis !== undefined) {
+            const a = body.analysis;
+            if (a !== null && typeof a !== 'object') throw httpError('analysis must be an object or null', 400);
+            patch.analysis = a && a.ai ? sessionAnalysisFromResult(a) : a;
+        }
+        if (!Object.keys(patch).length) throw httpError('nothing to update', 400);
+
+        const updated = await updateSession(sessionId, { ...patch, updatedBy: user.uid });
+        return jsonResponse({ ok: true, session: updated }, { status: 200, origin });
+    } catch (err) {
+        console.error('[sessions/:sessionId] update error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
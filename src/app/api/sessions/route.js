@@ -0,0 +1,49 @@
+// app/api/sessions/route.js
+// GET  /api/sessions?childId=...|assessmentId=...|childName=...[&limit=50] -> session observations, newest first
+// POST /api/sessions { childId|assessmentId, childName?, textNote, currentActivity, energyLevel, tags, sessionDuration, observedAt? }
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, readJsonBody } from '@/lib/http';
+import { createSession, listSessionsByChild } from '@/lib/data/sessions';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, canAccessChildRef, assertCanAccessChildRef, STAFF_ROLES } from '@/lib/auth';
+import { sessionFields } from '@/lib/sessions';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, POST, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const params = new URL(request.url).searchParams;
+        const limit = Math.min(Math.max(parseInt(params.get('limit') || '50', 10) || 50, 1), 200);
+        const found = await listSessionsByChild({
+            childId: params.get('childId'),
+            assessmentId: params.get('assessmentId'),
+            childName: params.get('childName'),
+            limit
+        });
+        const allowed = await Promise.all(found.map(s => canAccessChildRef(user, s, getAssessment)));
+        const sessions = found.filter((_, i) => allowed[i]);
+        return jsonResponse({ ok: true, count: sessions.length, sessions }, { status: 200, origin });
+    } catch (err) {
+        console.error('[sessions] list error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
+
+export async function POST(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request, { roles: STAFF_ROLES });
+        const fields = sessionFields(await readJsonBody(request));
+        await assertCanAccessChildRef(user, fields, getAssessment);
+        const session = await createSession({ ...fields, analysis: null, createdBy: user.uid });
+        return jsonResponse({ ok: true, session }, { status: 201, origin });
+    } catch (err) {
+        console.error('[sessions] create error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
@@ -0,0 +1,35 @@
+// app/api/sessions/timeline/route.js
+// GET /api/sessions/timeline?childId=...|assessmentId=...[&limit=100] -> the child's sessions, oldest first,
+// each with its attached analysis summary
+export const runtime = 'nodejs';
+
+import { jsonResponse, preflightResponse, httpError } from '@/lib/http';
+import { listSessionsByChild } from '@/lib/data/sessions';
+import { getAssessment } from '@/lib/data/assessments';
+import { authenticate, assertCanAccessChildRef, canAccessChildRef } from '@/lib/auth';
+import { buildTimeline } from '@/lib/sessions';
+
+export async function OPTIONS(request) {
+    return preflightResponse(request, 'GET, OPTIONS');
+}
+
+export async function GET(request) {
+    const origin = request.headers.get('origin') || '*';
+    try {
+        const user = await authenticate(request);
+        const params = new URL(request.url).searchParams;
+        const ref = { childId: params.get('childId'), assessmentId: params.get('assessmentId') };
+        if (!ref.childId && !ref.assessmentId) throw httpError('childId or assessmentId is required', 400);
+        await assertCanAccessChildRef(user, ref, getAssessment);
+
+        const limit = Math.min(Math.max(parseInt(params.get('limit') || '100', 10) || 100, 1), 500);
+        // the query goes by childId first, so each session is checked against its own child reference too
+        const found = await listSessionsByChild({ ...ref, limit });
+        const allowed = await Promise.all(found.map(s => canAccessChildRef(user, s, getAssessment)));
+        const timeline = buildTimeline(found.filter((_, i) => allowed[i]));
+        return jsonResponse({ ok: true, ...ref, count: timeline.length, timeline }, { status: 200, origin });
+    } catch (err) {
+        console.error('[sessions/timeline] error:', err?.message || err);
+        return jsonResponse({ ok: false, error: err?.message || String(err) }, { status: err?.status || 500, origin });
+    }
+}
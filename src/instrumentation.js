@@ -0,0 +1,7 @@
+// instrumentation.js
+// Server startup hook: resume analysis jobs that were queued or interrupted by a restart.
+export async function register() {
+    if (process.env.NEXT_RUNTIME !== 'nodejs') return;
+    const { resumeAnalysisJobs } = await import('@/lib/ai/jobs');
+    resumeAnalysisJobs();
+}
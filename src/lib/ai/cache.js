@@ -0,0 +1,78 @@
+// lib/ai/cache.js
+// Model output cache for identical analysis requests (double submits, client retries after a timeout). Entries are
+// keyed on a hash of the normalized model messages plus the output type, provider and repair budget, and hold the
+// output before the privacy placeholders are restored. Identical requests that arrive while the first one is still
+// waiting for the model share its call instead of starting another one.
+//
+//   ANALYZE_CACHE_TTL_SECONDS     how long an output is reused (default 600; 0 disables the cache, duplicates in
+//                                 flight are still shared)
+//   ANALYZE_CACHE_MAX_ENTRIES     entries kept per server process, oldest dropped first (default 200)
+import crypto from 'crypto';
+
+function intEnv(name, fallback) {
+    const n = parseInt(process.env[name] || '', 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// one cache per server process, shared by every route bundle that imports this module
+function cacheState() {
+    if (!globalThis.__tebyanAnalysisCache) {
+        globalThis.__tebyanAnalysisCache = { entries: new Map(), inflight: new Map() };
+    }
+    return globalThis.__tebyanAnalysisCache;
+}
+
+// whitespace differences do not make a different request
+const normalizeContent = (content) => (typeof content === 'string' ? content : JSON.stringify(content ?? '')).replace(/\s+/g, ' ').trim();
+
+export function analysisCacheKey({ analysisType, provider, repair, messages }) {
+    const normalized = (messages || []).map(m => [m.role, normalizeContent(m.content)]);
+    return crypto.createHash('sha256')
+        .update(JSON.stringify([analysisType, provider, repair, normalized]))
+        .digest('hex');
+}
+
+function remember(key, value) {
+    const { entries } = cacheState();
+    entries.delete(key);
+    entries.set(key, { value, storedAt: Date.now() });
+    const max = Math.max(1, intEnv('ANALYZE_CACHE_MAX_ENTRIES', 200));
+    while (entries.size > max) entries.delete(entries.keys().next().value);
+}
+
+// Run `call()` for `key` unless a fresh cached value or an identical call in flight can be used.
+// Returns { value, source: 'call' | 'cache' | 'inflight', ageSeconds }; `value` is a copy the caller may change.
+// Only values for which `cacheable(value)` holds are stored; errors are never cached (a waiting duplicate then
+// makes its own call).
+// `bypass` skips the cache and the in-flight call and stores the new value.
+export async function withAnalysisCache(key, call, { bypass = false, cacheable = () => true } = {}) {
+    const state = cacheState();
+    const ttlMs = intEnv('ANALYZE_CACHE_TTL_SECONDS', 600) * 1000;
+
+    if (!bypass) {
+        const entry = state.entries.get(key);
+        if (entry && Date.now() - entry.storedAt < ttlMs) {
+            return { value: structuredClone(entry.value), source: 'cache', ageSeconds: Math.round((Date.now() - entry.storedAt) / 1000) };
+        }
+        if (entry) state.entries.delete(key);
+        if (state.inflight.has(key)) {
+            try {
+                return { value: structuredClone(await state.inflight.get(key)), source: 'inflight', ageSeconds: 0 };
+            } catch (_) {
+                // the shared call failed: its error belongs to the first request, so this one makes its own call
+            }
+        }
+    }
+
+    const pending = (async () => {
+        const value = await call();
+        if (ttlMs > 0 && cacheable(value)) remember(key, structuredClone(value));
+        return value;
+    })();
+    if (!bypass) state.inflight.set(key, pending);
+    try {
+        return { value: structuredClone(await pending), source: 'call', ageSeconds: 0 };
+    } finally {
+        if (state.inflight.get(key) === pending) state.inflight.delete(key);
+    }
+}
@@ -0,0 +1,194 @@
+// lib/ai/jobs.js
+// Asynchronous analysis jobs: POST /api/analyze/jobs stores the request in lib/data/jobs and this
+// in-process worker runs it through the same pipeline as /api/analyze. Jobs live in Firestore, so queued
+// and interrupted jobs are picked up again after a restart (instrumentation.js calls resumeAnalysisJobs()).
+//
+//   ANALYZE_JOB_MAX_ATTEMPTS      attempts per job (default 3); only 5xx failures are retried
+//   ANALYZE_JOB_RETRY_BASE_MS     first retry delay, doubled per attempt (default 5000, capped at 10 min)
+//   ANALYZE_JOB_LEASE_MS          how long a running job is owned before another worker may take it (default 10 min)
+//   ANALYZE_JOB_CALLBACK_HOSTS    comma separated allowlist of callback URL hosts; without it callbackUrl is refused
+//   ANALYZE_JOB_CALLBACK_SECRET   optional; callbacks then carry X-Tebyan-Signature: sha256=<hmac of the body>
+import crypto from 'crypto';
+import { httpError } from '@/lib/http';
+import { loadUser, STAFF_ROLES } from '@/lib/auth';
+import { runAnalysis } from '@/lib/ai/pipeline';
+import { postJsonWithTimeout } from '@/lib/ai/providers/http';
+import { createJob, getJob, claimJob, updateJob, listRunnableJobs, nextQueuedAttemptAt } from '@/lib/data/jobs';
+
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+
+function intEnv(name, fallback) {
+    const n = parseInt(process.env[name] || '', 10);
+    return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// one worker per server process, shared by every route bundle that imports this module
+function workerState() {
+    if (!globalThis.__tebyanAnalysisJobWorker) {
+        globalThis.__tebyanAnalysisJobWorker = { draining: false, again: false, wakeTimer: null };
+    }
+    return globalThis.__tebyanAnalysisJobWorker;
+}
+
+// Firestore rejects undefined values; requests and results are plain JSON anyway
+function toStorable(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+export function assertCallbackUrl(callbackUrl) {
+    let url;
+    try {
+        url = new URL(String(callbackUrl));
+    } catch (_) {
+        throw httpError('callbackUrl is not a valid URL', 400);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw httpError('callbackUrl must be http(s)', 400);
+    // deny by default: otherwise any caller could make the server POST to internal addresses (SSRF)
+    const hosts = (process.env.ANALYZE_JOB_CALLBACK_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    if (!hosts.length) throw httpError('callbackUrl is not accepted: no callback hosts are allowed (ANALYZE_JOB_CALLBACK_HOSTS)', 400);
+    if (!hosts.includes(url.hostname.toLowerCase())) {
+        throw httpError(`callbackUrl host ${url.hostname} is not in ANALYZE_JOB_CALLBACK_HOSTS`, 400);
+    }
+    return url.toString();
+}
+
+// Store a job for `body` (an /api/analyze request body) on behalf of `user` and wake the worker
+export async function enqueueAnalysisJob({ body, user, callbackUrl = null }) {
+    const job = await createJob({
+        request: toStorable(body || {}),
+        // only the uid: role and links are reloaded when the job runs, so revoked access is not replayed
+        requestedBy: { uid: user.uid },
+        callbackUrl: callbackUrl ? assertCallbackUrl(callbackUrl) : null,
+        maxAttempts: Math.max(1, intEnv('ANALYZE_JOB_MAX_ATTEMPTS', 3))
+    });
+    kickJobWorker();
+    return job;
+}
+
+// public shape of a job for the status endpoint
+export function jobView(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        attempts: job.attempts,
+        maxAttempts: job.maxAttempts,
+        nextAttemptAt: job.status === 'queued' ? job.nextAttemptAt : null,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error,
+        result: job.status === 'succeeded' ? job.result : null,
+        callback: job.callbackUrl ? { url: job.callbackUrl, ...(job.callback || {}) } : null
+    };
+}
+
+export async function getAnalysisJob(id) {
+    const job = await getJob(id);
+    // status polling doubles as a wake-up for jobs left behind by a restart
+    kickJobWorker();
+    return job;
+}
+
+// startup hook; quiet when Firestore is not configured (jobs are unavailable then anyway)
+export function resumeAnalysisJobs() {
+    drain().catch(err => {
+        if (err?.status !== 503) console.warn('[analyze/jobs] resume failed:', err?.message || err);
+    });
+}
+
+export function kickJobWorker() {
+    drain().catch(err => console.warn('[analyze/jobs] worker error:', err?.message || err));
+}
+
+async function drain() {
+    const state = workerState();
+    if (state.draining) {
+        state.again = true;
+        return;
+    }
+    state.draining = true;
+    try {
+        do {
+            state.again = false;
+            const jobs = await listRunnableJobs({ limit: 10 });
+            for (const job of jobs) {
+                const claimed = await claimJob(job.id, { leaseMs: intEnv('ANALYZE_JOB_LEASE_MS', 10 * 60 * 1000) });
+                if (claimed?.status === 'running') await runJob(claimed);
+                else if (claimed) {
+                    console.error(`[analyze/jobs] job ${claimed.id} failed: its worker stopped during the last attempt`);
+                    await notifyCallback(claimed);
+                }
+            }
+            if (jobs.length) state.again = true;
+        } while (state.again);
+        await scheduleWake(state);
+    } finally {
+        state.draining = false;
+    }
+}
+
+// wake up for the earliest pending retry
+async function scheduleWake(state) {
+    if (state.wakeTimer) clearTimeout(state.wakeTimer);
+    state.wakeTimer = null;
+    const at = await nextQueuedAttemptAt();
+    if (!at) return;
+    const delay = Math.max(0, new Date(at).getTime() - Date.now());
+    state.wakeTimer = setTimeout(() => {
+        state.wakeTimer = null;
+        kickJobWorker();
+    }, delay);
+    if (state.wakeTimer.unref) state.wakeTimer.unref();
+}
+
+function retryDelayMs(attempt) {
+    return Math.min(MAX_RETRY_DELAY_MS, intEnv('ANALYZE_JOB_RETRY_BASE_MS', 5000) * 2 ** Math.max(0, attempt - 1));
+}
+
+async function runJob(job) {
+    const now = () => new Date().toISOString();
+    try {
+        const user = await loadUser(job.requestedBy.uid, { roles: STAFF_ROLES });
+        const result = toStorable(await runAnalysis(job.request, { user, audit: { route: `job:${job.id}` } }));
+        const patch = { status: 'succeeded', result, error: null, leaseUntil: null, finishedAt: now() };
+        await updateJob(job.id, patch);
+        await notifyCallback({ ...job, ...patch });
+    } catch (err) {
+        const status = err.status || 500;
+        const error = { message: err.message || String(err), status, ...(err.details ? { details: toStorable(err.details) } : {}) };
+        const errors = [...(job.errors || []), { attempt: job.attempts, at: now(), ...error }];
+        // client errors (bad request, no access) will not get better on retry
+        if (status >= 500 && job.attempts < job.maxAttempts) {
+            const nextAttemptAt = new Date(Date.now() + retryDelayMs(job.attempts)).toISOString();
+            console.warn(`[analyze/jobs] job ${job.id} attempt ${job.attempts} failed, retrying at ${nextAttemptAt}:`, error.message);
+            await updateJob(job.id, { status: 'queued', error, errors, nextAttemptAt, leaseUntil: null });
+            return;
+        }
+        console.error(`[analyze/jobs] job ${job.id} failed after ${job.attempts} attempt(s):`, error.message);
+        const patch = { status: 'failed', error, errors, leaseUntil: null, finishedAt: now() };
+        await updateJob(job.id, patch);
+        await notifyCallback({ ...job, ...patch });
+    }
+}
+
+// POST the final job state to its callbackUrl; delivery problems are recorded on the job, never thrown
+async function notifyCallback(job) {
+    if (!job.callbackUrl) return;
+    const body = { jobId: job.id, ...jobView(job), callback: undefined };
+    const headers = {};
+    if (process.env.ANALYZE_JOB_CALLBACK_SECRET) {
+        const signature = crypto.createHmac('sha256', process.env.ANALYZE_JOB_CALLBACK_SECRET).update(JSON.stringify(body)).digest('hex');
+        headers['X-Tebyan-Signature'] = `sha256=${signature}`;
+    }
+    let callback;
+    try {
+        // the allowlist may have changed since the job was stored; redirects could lead anywhere, so none are followed
+        const url = assertCallbackUrl(job.callbackUrl);
+        const res = await postJsonWithTimeout(url, body, { headers, redirect: 'manual', timeoutMs: intEnv('ANALYZE_JOB_CALLBACK_TIMEOUT_MS', 10000) });
+        callback = { ok: res.ok, status: res.status, at: new Date().toISOString() };
+    } catch (err) {
+        callback = { ok: false, status: null, error: err?.message || String(err), at: new Date().toISOString() };
+    }
+    if (!callback.ok) console.warn(`[analyze/jobs] callback for job ${job.id} failed:`, callback.error || callback.status);
+    await updateJob(job.id, { callback }).catch(() => {});
+}
@@ -0,0 +1,378 @@
+// lib/ai/normalize.js
+// Normalizers that map raw model JSON onto the canonical plan shapes the frontend expects.
+// They accept common alias keys and fill defaults; describeFieldProvenance() reports which
+// fields came straight from the model and which had to be repaired or defaulted.
+import { REVISION_ACTIONS } from './schemas';
+
+// Ensure suggestion/customization entries are objects with a stable shape
+export function ensureSuggestionObjects(arr) {
+    if (!Array.isArray(arr)) return [];
+    return arr.map(item => {
+        if (typeof item === 'string') {
+            return { text: item, rationale: '', confidence: null };
+        }
+        if (item && typeof item === 'object') {
+            return {
+                text: String(item.text || item.title || item.label || ''),
+                rationale: String(item.rationale || item.reason || item.explanation || ''),
+                confidence: (typeof item.confidence === 'number') ? item.confidence : null
+            };
+        }
+        return { text: String(item ?? ''), rationale: '', confidence: null };
+    }).filter(item => item.text.trim());
+}
+
+// suggestions/customizations as the model sent them: strings stay strings and objects become
+// { text, rationale, confidence } (never String(object)); a single string is split with `split`
+function suggestionEntries(value, split = (text) => text.split(/\r?\n/).map(s => s.trim()).filter(Boolean)) {
+    if (typeof value === 'string') return split(value);
+    if (!Array.isArray(value)) return [];
+    return value.map(item => {
+        if (item && typeof item === 'object') {
+            const text = String(item.text || item.title || item.label || '').trim();
+            if (!text) return null;
+            return {
+                text,
+                rationale: String(item.rationale || item.reason || item.explanation || ''),
+                confidence: (typeof item.confidence === 'number') ? item.confidence : null
+            };
+        }
+        const text = String(item ?? '').trim();
+        return text || null;
+    }).filter(Boolean);
+}
+
+const entryText = (entry) => (typeof entry === 'string' ? entry : entry.text);
+
+// normalize AI output into the canonical plan schema expected by frontend (general)
+export function normalizeAi(parsed, fallbackNote = '') {
+    const canonical = {
+        smart_goal: '',
+        summary: '',
+        teaching_strategy: '',
+        task_analysis_steps: [],
+        subgoals: [],
+        activities: [],
+        execution_plan: [],
+        reinforcement: { type: '', schedule: '' },
+        measurement: { type: '', sheet: '' },
+        generalization_plan: [],
+        accommodations: [],
+        suggestions: [],
+        customizations: [],
+        parent_instructions: '',
+        meta: {}
+    };
+
+    if (!parsed || typeof parsed !== 'object') {
+        canonical.summary = fallbackNote || '';
+        canonical.suggestions = ['لا توجد مخرجات AI صالحة؛ تم إرجاع ملخص افتراضي.'];
+        return canonical;
+    }
+
+    canonical.summary = parsed.summary || parsed.smart_goal || parsed.overview || '';
+    canonical.smart_goal = parsed.smart_goal || parsed.summary || parsed.goal || canonical.summary;
+    canonical.teaching_strategy = parsed.teaching_strategy || parsed.strategy || parsed.customization || parsed.teaching || '';
+
+    const tasksCandidates = parsed.task_analysis_steps || parsed.task_analysis || parsed.steps || parsed.tasks || parsed.customizations || [];
+    if (Array.isArray(tasksCandidates)) {
+        canonical.task_analysis_steps = suggestionEntries(tasksCandidates).map(entryText);
+    } else if (typeof tasksCandidates === 'string' && tasksCandidates.trim()) {
+        canonical.task_analysis_steps = tasksCandidates.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+    }
+
+    const subs = parsed.subgoals || parsed.goals || parsed.suggestions || parsed.phases || [];
+    if (Array.isArray(subs)) canonical.subgoals = suggestionEntries(subs).map(entryText);
+    else if (typeof subs === 'string' && subs.trim()) canonical.subgoals = subs.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+
+    const acts = parsed.activities || parsed.activities_list || parsed.tasks_list || [];
+    if (Array.isArray(acts)) {
+        canonical.activities = acts.map(a => {
+            if (typeof a === 'string') {
+                const parts = a.split(':').map(p => p.trim());
+                if (parts.length >= 2) return { type: parts[0], name: parts.slice(1).join(':') };
+                return { type: 'نشاط', name: a };
+            } else if (a && typeof a === 'object') {
+                return {
+                    type: a.type || a.kind || a.category || 'نشاط',
+                    name: a.name || a.title || a.label || JSON.stringify(a)
+                };
+            } else {
+                return { type: 'نشاط', name: String(a) };
+            }
+        });
+    } else if (typeof acts === 'string' && acts.trim()) {
+        canonical.activities = acts.split(/\r?\n/).map(s => {
+            const parts = s.split(':').map(p => p.trim());
+            if (parts.length >= 2) return { type: parts[0], name: parts.slice(1).join(':') };
+            return { type: 'نشاط', name: s.trim() };
+        }).filter(Boolean);
+    }
+
+    const execPlan = parsed.execution_plan || parsed.execution || parsed.steps_plan || [];
+    if (Array.isArray(execPlan)) canonical.execution_plan = execPlan.map(String);
+    else if (typeof execPlan === 'string' && execPlan.trim()) canonical.execution_plan = execPlan.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+
+    canonical.reinforcement.type = (parsed.reinforcement && (parsed.reinforcement.type || parsed.reinforcement.name)) || parsed.reinforce || '';
+    canonical.reinforcement.schedule = (parsed.reinforcement && parsed.reinforcement.schedule) || parsed.reinforce_schedule || parsed.reinforcement_schedule || '';
+
+    canonical.measurement.type = (parsed.measurement && (parsed.measurement.type || parsed.measurement.method)) || parsed.measurement_type || '';
+    canonical.measurement.sheet = (parsed.measurement && parsed.measurement.sheet) || parsed.measurement_tool || '';
+
+    const gen = parsed.generalization_plan || parsed.generalization || parsed.generalise || [];
+    if (Array.isArray(gen)) canonical.generalization_plan = gen.map(String);
+    else if (typeof gen === 'string' && gen.trim()) canonical.generalization_plan = gen.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+
+    const acc = parsed.accommodations || parsed.accommodation || parsed.adaptations || [];
+    if (Array.isArray(acc)) canonical.accommodations = acc.map(String);
+    else if (typeof acc === 'string' && acc.trim()) canonical.accommodations = acc.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+
+    canonical.suggestions = suggestionEntries(parsed.suggestions);
+    canonical.customizations = suggestionEntries(parsed.customizations);
+
+    canonical.parent_instructions = parsed.parent_instructions || parsed.caregiver_instructions || parsed.home_instructions || '';
+
+    canonical.meta = {
+        model_provided_confidence: parsed.confidence || parsed.confidence_score || null,
+        notes: parsed._notes || parsed.notes || ''
+    };
+
+    if (!canonical.task_analysis_steps.length) {
+        const maybe = canonical.customizations.length ? canonical.customizations : canonical.suggestions;
+        if (maybe.length) canonical.task_analysis_steps = maybe.slice(0, 6).map(entryText);
+    }
+    if (!canonical.smart_goal) canonical.smart_goal = canonical.summary || `خطة بناءً على الملاحظة.`;
+    if (!canonical.teaching_strategy && canonical.customizations.length) canonical.teaching_strategy = entryText(canonical.customizations[0]);
+
+    return canonical;
+}
+
+// New: normalize outputs specifically for behavioral (BIP) responses
+export function normalizeBehavior(parsed, fallbackNote = '') {
+    const splitSentences = (text) => {
+        if (!text || typeof text !== 'string') return [];
+        return text
+            .split(/[\.\?\!\;\n]+/)
+            .map(s => s.trim())
+            .filter(Boolean);
+    };
+
+    const collectStrings = (obj) => {
+        const out = [];
+        const walk = (v) => {
+            if (!v && v !== 0) return;
+            if (typeof v === 'string') out.push(v);
+            else if (Array.isArray(v)) v.forEach(walk);
+            else if (typeof v === 'object') Object.values(v).forEach(walk);
+        };
+        walk(obj);
+        return out;
+    };
+
+    const containsKeyword = (s, keywords) => {
+        if (!s) return false;
+        const low = s.toLowerCase();
+        return keywords.some(k => low.includes(k));
+    };
+
+    const antecedentKeywords = ['قبل', 'عند', 'أثناء', 'مسبق', 'سابقاً', 'قبل السلوك'];
+    const consequenceKeywords = ['بعد', 'عقب', 'ينتج', 'نتيجة', 'يحصل', 'يحصل على', 'يؤدي إلى', 'ثم'];
+
+    const canonical = {
+        behavior_goal: '',
+        summary: '',
+        antecedents: [],
+        consequences: [],
+        function_analysis: '',
+        antecedent_strategies: [],
+        replacement_behavior: { skill: '', modality: '' },
+        consequence_strategies: [],
+        data_collection: { metric: '', tool: '' },
+        review_after_days: 14,
+        safety_flag: false,
+        suggestions: [],
+        customizations: [],
+        parent_instructions: '',
+        meta: {}
+    };
+
+    if (!parsed || typeof parsed !== 'object') {
+        canonical.summary = fallbackNote || '';
+        canonical.suggestions = ['لا توجد مخرجات AI صالحة؛ تم إرجاع ملخص افتراضي.'];
+        return canonical;
+    }
+
+    canonical.summary = parsed.summary || parsed.behavior_goal || parsed.smart_goal || parsed.overview || '';
+    canonical.behavior_goal = parsed.behavior_goal || parsed.smart_goal || parsed.summary || '';
+
+    const toArrayStrings = (v) => {
+        if (!v && v !== 0) return [];
+        if (Array.isArray(v)) return v.map(String).map(s => s.trim()).filter(Boolean);
+        if (typeof v === 'string') return splitSentences(v);
+        return [];
+    };
+
+    canonical.antecedents = toArrayStrings(parsed.antecedents || parsed.antecedent || parsed.preceding || parsed.before);
+    canonical.consequences = toArrayStrings(parsed.consequences || parsed.consequence || parsed.following || parsed.after);
+
+    canonical.function_analysis = parsed.function_analysis || parsed.behavior_function || parsed.hypothesized_function || parsed.function || '';
+
+    canonical.antecedent_strategies = toArrayStrings(parsed.antecedent_strategies || parsed.antecedentStrategies || parsed.prevention || parsed.proactive || parsed.prep);
+    canonical.consequence_strategies = toArrayStrings(parsed.consequence_strategies || parsed.consequenceStrategies || parsed.response_strategies || parsed.reactive || parsed.reinforcement);
+
+    if (parsed.replacement_behavior && typeof parsed.replacement_behavior === 'object') {
+        canonical.replacement_behavior.skill = parsed.replacement_behavior.skill || parsed.replacement_behavior.name || parsed.replacement_behavior.label || '';
+        canonical.replacement_behavior.modality = parsed.replacement_behavior.modality || parsed.replacement_behavior.medium || '';
+    } else if (typeof parsed.replacement_behavior === 'string') {
+        const s = parsed.replacement_behavior;
+        const parts = s.split(/\||\-|\:/).map(p => p.trim()).filter(Boolean);
+        canonical.replacement_behavior.skill = parts[0] || s;
+        canonical.replacement_behavior.modality = parts[1] || '';
+    } else {
+        canonical.replacement_behavior.skill = parsed.replacement || parsed.replacement_skill || '';
+        canonical.replacement_behavior.modality = parsed.replacement_modality || '';
+    }
+
+    canonical.data_collection.metric = (parsed.data_collection && (parsed.data_collection.metric || parsed.data_collection.measure)) || parsed.measurement?.type || parsed.metric || '';
+    canonical.data_collection.tool = (parsed.data_collection && (parsed.data_collection.tool || parsed.data_collection.instrument)) || parsed.measurement?.sheet || parsed.tool || '';
+
+    canonical.review_after_days = parsed.review_after_days || parsed.meta?.review_after_days || parsed.review || 14;
+    canonical.safety_flag = !!parsed.safety_flag || !!parsed.meta?.safety_flag || (parsed.severity === 'شديد') || false;
+
+    canonical.suggestions = suggestionEntries(parsed.suggestions || parsed.recommendations || parsed.advice, splitSentences);
+    canonical.customizations = suggestionEntries(parsed.customizations || parsed.tweaks || parsed.modifications, splitSentences);
+
+    canonical.parent_instructions = parsed.parent_instructions || parsed.caregiver_instructions || parsed.home_instructions || '';
+    canonical.meta = {
+        model_provided_confidence: parsed.confidence || parsed.confidence_score || null,
+        notes: parsed._notes || parsed.notes || ''
+    };
+
+    const allStrings = collectStrings(parsed).flatMap(s => splitSentences(String(s)));
+    if (!canonical.antecedents.length) {
+        const cand = allStrings.filter(s => containsKeyword(s, antecedentKeywords));
+        if (cand.length) canonical.antecedents = cand;
+    }
+    if (!canonical.consequences.length) {
+        const cand = allStrings.filter(s => containsKeyword(s, consequenceKeywords));
+        if (cand.length) canonical.consequences = cand;
+    }
+    if (!canonical.antecedent_strategies.length) {
+        const cand = canonical.suggestions.length ? canonical.suggestions.map(s => (typeof s === 'object' ? s.text || '' : String(s))) : [];
+        canonical.antecedent_strategies = cand.slice(0, 6);
+    }
+    if (!canonical.consequence_strategies.length) {
+        const cand = canonical.customizations.length ? canonical.customizations.map(s => (typeof s === 'object' ? s.text || '' : String(s))) : [];
+        canonical.consequence_strategies = cand.slice(0, 6);
+    }
+
+    if (!canonical.consequences.length && canonical.summary) {
+        const sents = splitSentences(canonical.summary).filter(Boolean);
+        const cand = sents.filter(s => containsKeyword(s, consequenceKeywords));
+        if (cand.length) canonical.consequences = cand;
+    }
+
+    const uniq = (arr) => Array.from(new Set((arr || []).map(String).map(s => s.trim()).filter(Boolean)));
+
+    canonical.antecedents = uniq(canonical.antecedents);
+    canonical.consequences = uniq(canonical.consequences);
+    canonical.antecedent_strategies = uniq(canonical.antecedent_strategies);
+    canonical.consequence_strategies = uniq(canonical.consequence_strategies);
+    // suggestion entries may be objects: deduplicate them by their text
+    const uniqEntries = (arr) => (arr || []).filter((entry, i, all) => all.findIndex(other => entryText(other) === entryText(entry)) === i);
+    canonical.suggestions = uniqEntries(canonical.suggestions);
+    canonical.customizations = uniqEntries(canonical.customizations);
+
+    if (!canonical.antecedents.length) canonical.antecedents = [];
+    if (!canonical.consequences.length) canonical.consequences = [];
+
+    return canonical;
+}
+
+// Family report: plain-language sections for parents
+export function normalizeFamilyReport(parsed, fallbackNote = '') {
+    const canonical = {
+        report_period: '',
+        progress_narrative: '',
+        wins: [],
+        home_activities: [],
+        questions_for_family: [],
+        summary: '',
+        meta: {}
+    };
+    if (!parsed || typeof parsed !== 'object') {
+        canonical.summary = fallbackNote || '';
+        return canonical;
+    }
+
+    const toList = (v) => {
+        if (Array.isArray(v)) return v.map(x => (typeof x === 'string' ? x : (x && (x.text || x.title)) || '')).map(x => String(x).trim()).filter(Boolean);
+        if (typeof v === 'string' && v.trim()) return v.split(/\r?\n/).map(x => x.replace(/^[-•*]\s*/, '').trim()).filter(Boolean);
+        return [];
+    };
+
+    canonical.report_period = String(parsed.report_period || parsed.period || '');
+    canonical.progress_narrative = String(parsed.progress_narrative || parsed.narrative || parsed.progress || parsed.summary || '');
+    canonical.summary = String(parsed.summary || canonical.progress_narrative.slice(0, 300) || fallbackNote || '');
+    canonical.wins = toList(parsed.wins || parsed.achievements || parsed.successes);
+    canonical.questions_for_family = toList(parsed.questions_for_family || parsed.questions || parsed.family_questions);
+
+    const acts = parsed.home_activities || parsed.activities || parsed.home_practice || [];
+    canonical.home_activities = (Array.isArray(acts) ? acts : toList(acts)).map(a => {
+        if (a && typeof a === 'object') {
+            return { title: String(a.title || a.name || a.activity || '').trim(), how: String(a.how || a.steps || a.description || '').trim(), when: String(a.when || a.frequency || '').trim() };
+        }
+        return { title: String(a).trim(), how: '', when: '' };
+    }).filter(a => a.title || a.how);
+
+    if (parsed.meta && typeof parsed.meta === 'object') canonical.meta = { ...parsed.meta };
+    return canonical;
+}
+
+// Pick the normalizer for an analysis type (educational plan is the default shape)
+export function normalizerFor(analysisType) {
+    if (analysisType === 'behavior') return normalizeBehavior;
+    if (analysisType === 'family_report') return normalizeFamilyReport;
+    return normalizeAi;
+}
+
+// Classify every schema field of the normalized plan:
+//   'model'     - returned by the model and valid as-is
+//   'repaired'  - missing/invalid in the model output but recovered (alias key, type coercion, derived from other fields)
+//   'defaulted' - nothing usable from the model; the canonical default was filled in
+export function describeFieldProvenance({ analysisType, parsed, normalized, validation, keys }) {
+    const defaults = normalizerFor(analysisType)({}, '');
+    const invalidFields = new Set((validation?.errors || []).map(e => e.field).filter(Boolean));
+    const fields = {};
+
+    for (const key of keys) {
+        const provided = parsed && typeof parsed === 'object' && Object.prototype.hasOwnProperty.call(parsed, key);
+        if (provided && !invalidFields.has(key)) {
+            fields[key] = 'model';
+            continue;
+        }
+        const isDefault = JSON.stringify(normalized?.[key]) === JSON.stringify(defaults[key]);
+        fields[key] = isDefault ? 'defaulted' : 'repaired';
+    }
+
+    return {
+        fields,
+        repaired: Object.keys(fields).filter(k => fields[k] === 'repaired'),
+        defaulted: Object.keys(fields).filter(k => fields[k] === 'defaulted')
+    };
+}
+
+// Normalize the change log of a revision: [{ field, action, from, to, reason }] with a known action
+export function normalizeChangeLog(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter(item => item && typeof item === 'object')
+        .map(item => ({
+            field: String(item.field || item.key || '').trim(),
+            action: REVISION_ACTIONS.includes(item.action) ? item.action : 'modify',
+            from: item.from === undefined ? null : item.from,
+            to: item.to === undefined ? null : item.to,
+            reason: String(item.reason || item.rationale || '').trim()
+        }))
+        .filter(item => item.field);
+}
@@ -0,0 +1,122 @@
+// lib/ai/parse.js
+// Helpers that turn whatever a model provider returned (n8n envelope, raw chat
+// completion text, fixture object...) into the plain AI JSON object.
+
+// safe JSON parse helper (tries to extract first JSON object inside text)
+export function safeParseJSON(raw) {
+    if (!raw || typeof raw !== 'string') return null;
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        const match = raw.match(/\{[\s\S]*\}/);
+        if (match) {
+            try { return JSON.parse(match[0]); } catch (_) { return null; }
+        }
+    }
+    return null;
+}
+
+// safe short stringify for debugging
+export function shortStringify(obj, max = 1000) {
+    try {
+        const s = typeof obj === 'string' ? obj : JSON.stringify(obj, null, 2);
+        return s.length > max ? s.slice(0, max) + '... (truncated)' : s;
+    } catch (e) {
+        return String(obj).slice(0, max);
+    }
+}
+
+// -----------------------
+// Robust candidate parsing helper
+// -----------------------
+export function tryParseCandidate(candidate) {
+    if (candidate === undefined || candidate === null) return null;
+    // If it's already an object, return it
+    if (typeof candidate === 'object') return candidate;
+
+    if (typeof candidate === 'string') {
+        const trimmed = candidate.trim();
+
+        // 1) direct JSON.parse
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) { /* continue */ }
+
+        // 2) safeParseJSON (extract first {...} inside text)
+        try {
+            const sp = safeParseJSON(trimmed);
+            if (sp) return sp;
+        } catch (e) { /* continue */ }
+
+        // 3) unescape common escapes then parse
+        try {
+            const unescaped = trimmed.replace(/\\"/g, '"').replace(/\\n/g, '\n').replace(/\\"/g, '"');
+            try {
+                return JSON.parse(unescaped);
+            } catch (_) { /* continue */ }
+        } catch (e) { /* continue */ }
+
+        // 4) extract the first {...} block and parse it
+        try {
+            const m = trimmed.match(/\{[\s\S]*\}/);
+            if (m && m[0]) {
+                try {
+                    return JSON.parse(m[0]);
+                } catch (_) {
+                    const sp2 = safeParseJSON(m[0]);
+                    if (sp2) return sp2;
+                }
+            }
+        } catch (e) { /* continue */ }
+    }
+
+    return null;
+}
+
+// Extract the AI object from a provider response.
+// `json` is the provider's parsed body (object, array or string) and `rawText` the raw body text.
+export function parseProviderOutput(json, rawText) {
+    let parsed = null;
+
+    try {
+        if (Array.isArray(json)) {
+            const first = json[0] || {};
+            // common candidate field names
+            const commonFields = ['output', 'body', 'data', 'json', 'result', 'response'];
+            for (const f of commonFields) {
+                if (first[f] !== undefined && first[f] !== null) {
+                    parsed = tryParseCandidate(first[f]);
+                    if (parsed) break;
+                }
+            }
+            // If still not parsed, maybe first itself is the parsed object
+            if (!parsed && typeof first === 'object' && Object.keys(first).length && !first.output) {
+                parsed = first;
+            }
+            // final fallback: parse the entire array string
+            if (!parsed) parsed = tryParseCandidate(JSON.stringify(json));
+        } else if (json && typeof json === 'object') {
+            if (json.output !== undefined) {
+                parsed = tryParseCandidate(json.output) || tryParseCandidate(json.body) || tryParseCandidate(json);
+            } else {
+                parsed = json;
+            }
+        } else if (typeof json === 'string') {
+            parsed = tryParseCandidate(json);
+        } else {
+            parsed = null;
+        }
+    } catch (err) {
+        console.error('[parse] parsing provider response failed', err);
+        parsed = null;
+    }
+
+    // last-ditch attempt using raw text
+    if (!parsed) {
+        const text = typeof rawText === 'string' ? rawText : (typeof json === 'string' ? json : JSON.stringify(json || ''));
+        const attempt = safeParseJSON(text);
+        if (attempt) parsed = attempt;
+    }
+
+    return parsed;
+}
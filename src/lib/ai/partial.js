@@ -0,0 +1,63 @@
+// lib/ai/partial.js
+// Incremental reader for a JSON object that arrives in pieces (streamed model tokens):
+// reports each top-level member as soon as its value is complete, so a plan section
+// can be shown before the rest of the object has been generated.
+
+export function createSectionReader() {
+    let buffer = '';
+    let pos = 0;
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let memberStart = -1;
+    let done = false;
+
+    // append `text` and return the newly completed members as [key, value] pairs
+    function push(text) {
+        const completed = [];
+        if (done || !text) return completed;
+        buffer += text;
+
+        for (; pos < buffer.length; pos++) {
+            const ch = buffer[pos];
+            if (inString) {
+                if (escaped) escaped = false;
+                else if (ch === '\\') escaped = true;
+                else if (ch === '"') inString = false;
+                continue;
+            }
+            // text before the opening brace (```json fences, chatter) is skipped
+            if (depth === 0 && ch !== '{') continue;
+
+            if (ch === '"') {
+                inString = true;
+            } else if (ch === '{' || ch === '[') {
+                depth += 1;
+                if (depth === 1) memberStart = pos + 1;
+            } else if (ch === '}' || ch === ']') {
+                if (depth === 1) closeMember(completed);
+                depth -= 1;
+                if (depth === 0) {
+                    done = true;
+                    break;
+                }
+            } else if (ch === ',' && depth === 1) {
+                closeMember(completed);
+                memberStart = pos + 1;
+            }
+        }
+        return completed;
+    }
+
+    function closeMember(completed) {
+        const member = buffer.slice(memberStart, pos).trim();
+        if (!member) return;
+        try {
+            const obj = JSON.parse(`{${member}}`);
+            const key = Object.keys(obj)[0];
+            if (key !== undefined) completed.push([key, obj[key]]);
+        } catch (_) { /* not a well-formed member; the full-object parser decides later */ }
+    }
+
+    return { push };
+}
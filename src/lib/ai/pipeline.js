@@ -0,0 +1,722 @@
+// lib/ai/pipeline.js
+// The analyze pipeline shared by /api/analyze (JSON), /api/analyze/stream (SSE) and background jobs:
+// build the model context, call the provider with the schema repair loop, normalize and persist the plan.
+import { httpError } from '@/lib/http';
+import { parseProviderOutput } from '@/lib/ai/parse';
+import { resolveProvider, listProviders } from '@/lib/ai/providers';
+import { ensureSuggestionObjects, normalizerFor, describeFieldProvenance, normalizeChangeLog } from '@/lib/ai/normalize';
+import { schemaForAnalysisType, revisionTypeFor, REVISION_ACTIONS } from '@/lib/ai/schemas';
+import { validatePlanOutput, buildRepairMessage } from '@/lib/ai/validate';
+import { savePlanVersion, getPlan } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { assertCanAccessChildRef, canAccessChildRef } from '@/lib/auth';
+import { retrieveCurriculum, formatCurriculumForPrompt } from '@/lib/curriculum';
+import { searchChunks } from '@/lib/rag/store';
+import { getSession, createSession, updateSession, listSessionsByChild } from '@/lib/data/sessions';
+import { sessionFields, sessionAnalysisFromResult, formatRecentSessionsForPrompt } from '@/lib/sessions';
+import { loadPlanProgress, formatProgressForPrompt } from '@/lib/plans/progress';
+import { loadFamilyReportContext } from '@/lib/reports/family';
+import { createSectionReader } from '@/lib/ai/partial';
+import { buildPromptMessages } from '@/lib/ai/prompts';
+import { escalateAnalysisSafety } from '@/lib/safety';
+import { fetchAudio, transcribeAudio, mergeTranscriptIntoNote, transcriptSummary } from '@/lib/audio';
+import { createPrivacyGuard } from '@/lib/privacy';
+import { auditAnalysis } from '@/lib/audit';
+import { analysisCacheKey, withAnalysisCache } from '@/lib/ai/cache';
+
+// create a short assessment summary string for messages
+function buildAssessmentSummaryForModel(assessmentDocOrData) {
+    if (!assessmentDocOrData) return '';
+    try {
+        // Accept either { id, data } or raw data object
+        const data = assessmentDocOrData.data ? assessmentDocOrData.data : assessmentDocOrData;
+        const basic = data?.assessmentData?.basicInfo || data?.basicInfo || data?.assessmentData?.basic || data?.basic || {};
+        const name = basic.childName || basic.name || basic.child || '(اسم غير متوفر)';
+        const age = basic.age || basic.birthDate || basic.ageYears || '';
+        const diagnosis = (data?.assessmentData?.diagnosis || data?.diagnoses || basic.diagnosis || '') || '';
+        const autismSeverity = data?.assessmentData?.autismSeverity || data?.autismSeverity || '';
+        const sensory = data?.assessmentData?.sensoryProfile || data?.sensoryProfile || data?.sensory || null;
+        const reinforcers = data?.assessmentData?.reinforcers || data?.reinforcers || null;
+        const family = data?.assessmentData?.family || data?.family || null;
+        const notes = data?.assessmentData?.notes || data?.notes || '';
+
+        const parts = [
+            `Assessment summary for: ${name}${age ? `, age: ${age}` : ''}${diagnosis ? `, diagnosis: ${diagnosis}` : ''}${autismSeverity ? `, severity: ${autismSeverity}` : ''}`,
+        ];
+
+        if (sensory) {
+            const sensoryStr = (typeof sensory === 'string') ? sensory : JSON.stringify(sensory);
+            parts.push(`Sensory profile (truncated): ${sensoryStr.slice(0, 600)}`);
+        }
+        if (reinforcers) {
+            const r = (typeof reinforcers === 'string') ? reinforcers : JSON.stringify(reinforcers);
+            parts.push(`Preferred reinforcers (truncated): ${r.slice(0, 400)}`);
+        }
+        if (family) {
+            const f = (typeof family === 'string') ? family : JSON.stringify(family);
+            parts.push(`Family notes (truncated): ${f.slice(0, 400)}`);
+        }
+        if (notes) {
+            parts.push(`Clinician notes (truncated): ${String(notes).slice(0, 800)}`);
+        }
+
+        // join and ensure reasonable length
+        const joined = parts.join('\n').slice(0, 3000);
+        return joined;
+    } catch (e) {
+        return '';
+    }
+}
+
+// child age (years) from an assessment { id, data } or raw data object, used to pick the curriculum age band
+function childAgeFromAssessment(assessmentDocOrData) {
+    if (!assessmentDocOrData) return null;
+    const data = assessmentDocOrData.data ? assessmentDocOrData.data : assessmentDocOrData;
+    const basic = data?.assessmentData?.basicInfo || data?.basicInfo || {};
+    if (basic.age || basic.ageYears) return basic.age || basic.ageYears;
+    if (basic.birthDate) {
+        const born = new Date(basic.birthDate);
+        if (!Number.isNaN(born.getTime())) return (Date.now() - born.getTime()) / (365.25 * 24 * 3600 * 1000);
+    }
+    return null;
+}
+
+// helper to safely create a short excerpt of any report object (stringify + trim)
+function buildReportExcerpt(reportObj, maxChars = 3000) {
+    if (!reportObj) return '';
+    try {
+        if (typeof reportObj === 'string') {
+            return reportObj.slice(0, maxChars);
+        }
+        const j = JSON.stringify(reportObj, null, 2);
+        return j.slice(0, maxChars);
+    } catch (e) {
+        try {
+            return String(reportObj).slice(0, maxChars);
+        } catch {
+            return '';
+        }
+    }
+}
+
+// normalize a single plan section the same way the full plan is normalized
+function normalizeSection(analysisType, key, value) {
+    if (key === 'change_log') return normalizeChangeLog(value);
+    const normalized = normalizerFor(analysisType)({ [key]: value }, '');
+    const section = normalized[key] !== undefined ? normalized[key] : value;
+    return (key === 'suggestions' || key === 'customizations') ? ensureSuggestionObjects(section) : section;
+}
+
+// Run one analysis for `body` (the /api/analyze request body) on behalf of the authenticated `user`.
+// `onEvent(type, data)` receives progress events (curriculum, context, token, section, repair) for streaming callers.
+// `escalate: false` skips the safety escalation and `audit: false` the audit log entry (offline evaluation runs);
+// otherwise `audit` may carry the request context ({ route, ip, userAgent }, see lib/audit) for the entry.
+// Returns the { ai, meta } envelope; failures throw httpError with a status (and extra response fields in err.details).
+export async function runAnalysis(body, { user, onEvent, escalate = true, audit = true } = {}) {
+    const context = audit && typeof audit === 'object' ? audit : {};
+    let result;
+    try {
+        result = await analyze(body, { user, onEvent, escalate });
+    } catch (err) {
+        if (audit) await auditAnalysis({ user, context, body, error: err });
+        throw err;
+    }
+    if (audit) await auditAnalysis({ user, context, body, result });
+    return result;
+}
+
+async function analyze(body, { user, onEvent, escalate }) {
+    const emit = (type, data) => { if (onEvent) onEvent(type, data); };
+
+    const {
+        // existing fields
+        textNote,
+        currentActivity,
+        energyLevel,
+        tags = [],
+        sessionDuration = 0,
+        curriculumQuery,
+        audioUrl, // optional: voice note recording, transcribed and merged into the note text
+        analysisType = 'general', // NEW: frontend can send analysisType: 'behavior'
+        planType, // Alternative parameter name for plan type
+        messagesForModel, // optional override from client
+        provider: requestedProvider, // optional: 'n8n' | 'openai' | 'mock' (defaults to AI_PROVIDER)
+        repair, // optional: false disables the schema repair re-prompt loop
+        promptVersion, // optional: pin the version of the analysis type's prompt template (default: active version)
+        cache, // optional: 'bypass' calls the model even when an identical request's output is cached
+
+        // plan persistence: link to the assessment doc / child, or add a new version to an existing plan
+        assessmentId,
+        childId,
+        planId,
+        persist = true,
+
+        // revision mode (analysisType: 'revision'): optional extra progress data from the client
+        progressData,
+
+        // family report (analysisType: 'family_report'): how many days of sessions to report on
+        periodDays = 30,
+
+        // session logging: attach the analysis to an existing session, or log the note as a new session
+        sessionId,
+        logSession = false,
+        includeRecentSessions = true,
+
+        // <<< ADDED: accept assessment data from client (BehaviorPlan/EducationalPlan will send these)
+        assessmentDoc,
+        assessmentData,
+        assessmentReport,
+
+        // <<< ADDED: accept childName and planRequestMeta for better context (EducationalPlan used these)
+        childName,
+        planRequestMeta,
+
+        // <<< ADDED: accept family report payloads from FamilyReport.jsx
+        familyReport,
+        reportData,
+        generatedReport,
+
+        // <<< NEW: curriculum selection from frontend (domain, detailGoal, selectedIndicators)
+        curriculumSelection
+    } = body || {};
+
+    // the caller must be linked to the child this analysis refers to (and to the plan it extends)
+    const childRef = { childId: childId || null, assessmentId: assessmentId || (assessmentDoc && assessmentDoc.id) || null };
+    if (childRef.childId || childRef.assessmentId) await assertCanAccessChildRef(user, childRef, getAssessment);
+    const existingPlan = planId ? await getPlan(planId) : null;
+    if (existingPlan) await assertCanAccessChildRef(user, existingPlan, getAssessment);
+    // a new version of an existing plan belongs to that plan's child (used for the recent-sessions context)
+    if (existingPlan && !childRef.childId && !childRef.assessmentId) {
+        childRef.childId = existingPlan.childId || null;
+        childRef.assessmentId = existingPlan.assessmentId || null;
+    }
+    const session = sessionId ? await getSession(sessionId) : null;
+    if (session) await assertCanAccessChildRef(user, session, getAssessment);
+
+    // Voice note: audioUrl is transcribed (unless the session already holds its transcript); without one, a
+    // transcript stored on the session (POST /api/sessions/:id/audio) is used. The model sees it after the typed note.
+    let transcript = null;
+    let transcriptSource = null;
+    if (audioUrl && session?.transcript?.audioUrl === audioUrl) {
+        transcript = session.transcript;
+        transcriptSource = 'session';
+    } else if (audioUrl) {
+        transcript = await transcribeAudio({ ...(await fetchAudio(audioUrl)), audioUrl, user });
+        transcriptSource = 'audioUrl';
+    } else if (session?.transcript?.text) {
+        transcript = session.transcript;
+        transcriptSource = 'session';
+    }
+    const noteText = mergeTranscriptIntoNote(textNote, transcript);
+    if (transcript) emit('transcript', transcriptSummary(transcript, transcriptSource));
+
+    // Support both analysisType and planType parameters
+    const effectiveAnalysisType = planType === 'behavioral' ? 'behavior' : analysisType;
+
+    // Revision mode: the existing plan and its recorded progress drive the new version. The revised plan keeps
+    // the plan's own type (planAnalysisType); outputType selects the schema that adds change_log/revision_summary.
+    const isRevision = effectiveAnalysisType === 'revision';
+    if (isRevision && !existingPlan) throw httpError('analysisType "revision" needs the planId of the plan to revise', 400);
+    if (isRevision && existingPlan.analysisType === 'family_report') throw httpError('family reports are not revised; request a new family_report instead', 400);
+    const isFamilyReport = effectiveAnalysisType === 'family_report';
+    const planAnalysisType = isRevision ? (existingPlan.analysisType || 'general') : effectiveAnalysisType;
+    const outputType = isRevision ? revisionTypeFor(planAnalysisType) : effectiveAnalysisType;
+    let progress = null;
+    if (isRevision) {
+        try {
+            progress = await loadPlanProgress(existingPlan);
+        } catch (err) {
+            console.warn('[analyze] plan progress unavailable:', err?.message || err);
+        }
+    }
+    const progressSummary = [formatProgressForPrompt(progress), progressData ? buildReportExcerpt(progressData, 2000) : '']
+        .filter(Boolean)
+        .join('\n\n');
+
+    // Curriculum context: the exact indicators of the teacher's curriculumSelection when it
+    // resolves against the curriculum model, otherwise keyword-scored indicators for the note
+    const assessmentForAge = assessmentDoc || assessmentData || null;
+    const curriculumRetrieval = retrieveCurriculum({
+        selection: curriculumSelection,
+        text: [curriculumQuery, noteText, currentActivity].filter(Boolean).join(' '),
+        age: childAgeFromAssessment(assessmentForAge)
+    });
+    const curriculumIndicatorIds = curriculumRetrieval.indicators.map(e => e.indicator.id);
+    emit('curriculum', { source: curriculumRetrieval.source, ageBand: curriculumRetrieval.ageBand, indicatorIds: curriculumIndicatorIds });
+    const relevant = formatCurriculumForPrompt(curriculumRetrieval).slice(0, 3000);
+
+    // Build a readable curriculumSelection summary (safe/truncated) to include in messages.
+    // A resolved selection is summarized from the model (exact indicator ids/texts).
+    let curriculumSelectionSummary = '';
+    try {
+        if (curriculumRetrieval.source === 'selection') {
+            curriculumSelectionSummary = relevant;
+        } else if (curriculumSelection && typeof curriculumSelection === 'object') {
+            const domainPart = curriculumSelection.domain ? `المجال: ${typeof curriculumSelection.domain === 'object' ? (curriculumSelection.domain.title || curriculumSelection.domain.id || '') : String(curriculumSelection.domain)}` : '';
+            const domainGoalPart = (curriculumSelection.domain && curriculumSelection.domain.domainGoal) ? `الهدف العام للمجال: ${curriculumSelection.domain.domainGoal}` : '';
+            const detailPart = curriculumSelection.detailGoal ? `الهدف التفصيلي: ${typeof curriculumSelection.detailGoal === 'object' ? (curriculumSelection.detailGoal.text || curriculumSelection.detailGoal.id || '') : String(curriculumSelection.detailGoal)}` : '';
+            const indicatorsArr = Array.isArray(curriculumSelection.selectedIndicators) ? curriculumSelection.selectedIndicators.map(i => (i && typeof i === 'object') ? (i.text || i.id || '') : String(i)).filter(Boolean) : [];
+            const indicatorsPart = indicatorsArr.length ? `المؤشرات المختارة:\n- ${indicatorsArr.join('\n- ')}` : '';
+            curriculumSelectionSummary = [domainPart, domainGoalPart, detailPart, indicatorsPart].filter(Boolean).join('\n').slice(0, 3000);
+        }
+    } catch (e) {
+        curriculumSelectionSummary = '';
+    }
+
+    // Top-k reference chunks (curriculum guides, behavior guidance) from the local vector index
+    let ragChunks = [];
+    try {
+        const ragQuery = [noteText, curriculumQuery, currentActivity, relevant].filter(Boolean).join('\n').slice(0, 2000);
+        ragChunks = await searchChunks(ragQuery, {
+            k: parseInt(process.env.RAG_TOP_K || '6', 10),
+            kinds: ['curriculum', 'guidance'],
+            minScore: parseFloat(process.env.RAG_MIN_SCORE || '0.1')
+        });
+    } catch (err) {
+        console.warn('[analyze] vector retrieval skipped:', err?.message || err);
+    }
+    const ragContext = ragChunks
+        .map(c => `[${c.fileName || c.docId} #${c.index}]\n${c.content}`)
+        .join('\n\n---\n\n')
+        .slice(0, 4000);
+
+    // Recent session observations of this child (oldest first) so the model can see the trend.
+    // A family report covers every session of the last `periodDays` days instead.
+    let recentSessions = [];
+    if (includeRecentSessions !== false && (childRef.childId || childRef.assessmentId)) {
+        try {
+            const limit = isFamilyReport
+                ? parseInt(process.env.FAMILY_REPORT_SESSION_LIMIT || '20', 10)
+                : parseInt(process.env.SESSION_CONTEXT_LIMIT || '5', 10);
+            const since = isFamilyReport ? new Date(Date.now() - Number(periodDays || 30) * 24 * 3600 * 1000).toISOString() : '';
+            const found = await listSessionsByChild({ childId: childRef.childId, assessmentId: childRef.assessmentId, limit: limit + 1 });
+            // sessions matched by only one of the ids can belong to a child the user is not linked to
+            const allowed = await Promise.all(found.map(sess => canAccessChildRef(user, sess, getAssessment)));
+            recentSessions = found
+                .filter((sess, i) => allowed[i] && sess.id !== sessionId && String(sess.observedAt || sess.createdAt || '') >= since)
+                .slice(0, limit);
+        } catch (err) {
+            console.warn('[analyze] recent sessions skipped:', err?.message || err);
+        }
+    }
+    const recentSessionsSummary = formatRecentSessionsForPrompt(recentSessions, { maxChars: isFamilyReport ? 5000 : 2500 });
+
+    // Family report: the child's current plans and their recorded progress
+    let familyContext = { plans: [], text: '' };
+    if (isFamilyReport) {
+        try {
+            familyContext = await loadFamilyReportContext(childRef, { user });
+        } catch (err) {
+            console.warn('[analyze] family report plans skipped:', err?.message || err);
+        }
+    }
+
+    // <<< ADDED: build assessment summary and report excerpt and attach to messages & n8n payload
+    const assessmentObj = assessmentDoc || assessmentData || null;
+    const assessmentSummary = buildAssessmentSummaryForModel(assessmentObj);
+    const assessmentReportExcerpt = buildReportExcerpt(assessmentReport || (assessmentObj && assessmentObj.data && assessmentObj.data.report) || null, 3000);
+
+    // <<< ADDED: build familyReport excerpt if provided
+    const familyReportObj = familyReport || reportData || generatedReport || null;
+    const familyReportExcerpt = buildReportExcerpt(familyReportObj, 3000);
+
+    // Data leaving the backend follows the tenant's privacy policy (lib/privacy): fields it withholds are not sent,
+    // and names, phone numbers, ids, addresses and emails are replaced with placeholders that are restored in the
+    // model output below
+    const privacy = createPrivacyGuard({
+        tenantId: user?.tenantId,
+        childName,
+        sources: [assessmentObj, familyReportObj, planRequestMeta]
+    });
+
+    // Model messages from the prompt template of the output type and the shared context template
+    // (data/prompts, see lib/ai/prompts.js); a client-provided messagesForModel only gets the context appended.
+    // Only the request's own data is redacted, before rendering: template text, curriculum and reference chunks are
+    // not about the child, and a name such as محمد must not be replaced inside them.
+    const prompt = buildPromptMessages({
+        templateId: outputType,
+        version: promptVersion,
+        clientMessages: Array.isArray(messagesForModel) && messagesForModel.length ? privacy.redact(messagesForModel) : undefined,
+        variables: {
+            ...privacy.redact({
+                currentActivity,
+                childName,
+                energyLevel,
+                tags: tags.join(', '),
+                sessionDuration,
+                textNote: noteText,
+                assessment: privacy.allows('assessmentSummary') ? assessmentSummary : '',
+                assessmentReport: privacy.allows('assessmentReport') ? assessmentReportExcerpt : '',
+                familyReport: privacy.allows('familyReport') ? familyReportExcerpt : '',
+                recentSessions: privacy.allows('recentSessions') ? recentSessionsSummary : '',
+                requestMeta: privacy.allows('planRequestMeta') && planRequestMeta && typeof planRequestMeta === 'object' ? JSON.stringify(planRequestMeta).slice(0, 1200) : '',
+                familyPlans: familyContext.text,
+                ...(isRevision ? {
+                    currentPlan: JSON.stringify(existingPlan.currentPlan || {}, null, 2).slice(0, 6000),
+                    progress: progressSummary
+                } : {})
+            }),
+            curriculum: curriculumRetrieval.source !== 'selection' ? relevant : '',
+            references: ragContext,
+            curriculumSelection: curriculumSelectionSummary,
+            periodDays,
+            ...(isRevision ? {
+                outputKeys: schemaForAnalysisType(outputType).required.map(k => `"${k}"`).join(', '),
+                revisionActions: REVISION_ACTIONS.join(', '),
+                basedOnVersion: existingPlan.latestVersion
+            } : {})
+        }
+    });
+    const messages = prompt.messages;
+
+    // shape of the request only: note, assessment and report text stay out of the server log (the audit log in
+    // lib/audit records who analyzed what)
+    console.log('[analyze] request:', JSON.stringify({
+        analysisType: effectiveAnalysisType,
+        childId: childRef.childId,
+        assessmentId: childRef.assessmentId,
+        planId: planId || null,
+        noteChars: String(noteText || '').length,
+        transcript: !!transcript,
+        assessment: !!assessmentObj,
+        assessmentReport: !!assessmentReportExcerpt,
+        familyReport: !!familyReportObj,
+        curriculum: { source: curriculumRetrieval.source, indicators: curriculumIndicatorIds.length },
+        retrievedChunks: ragChunks.length,
+        recentSessions: recentSessions.length,
+        messages: messages.length,
+        prompt: `${prompt.template.id}@v${prompt.template.version}`
+    }));
+    emit('context', {
+        analysisType: effectiveAnalysisType,
+        messages: messages.length,
+        sentAssessment: !!assessmentObj,
+        sentFamilyReport: !!familyReportObj,
+        retrievedChunks: ragChunks.map(c => ({ id: c.id, fileName: c.fileName, score: c.score }))
+    });
+
+    // -----------------------
+    // Resolve the model provider (n8n webhook, OpenAI-compatible endpoint or local mock)
+    // -----------------------
+    const provider = resolveProvider(requestedProvider);
+    if (!provider) {
+        throw httpError(`Unknown provider "${requestedProvider || process.env.AI_PROVIDER}"`, 400, { available: listProviders() });
+    }
+    if (!provider.isConfigured()) {
+        throw httpError(provider.missingConfigHint(), 500);
+    }
+
+    // Build payload for the provider - include assessment fields so n8n has full context
+    // (as far as the privacy policy allows, with PII replaced in the request's own data like in the messages)
+    const providerPayload = {
+        analysisType: effectiveAnalysisType,
+        planAnalysisType,
+        messagesForModel: messages,
+        // <<< NEW: include curriculum selection raw + safe excerpt
+        curriculumSelection: {
+            provided: !!curriculumSelection,
+            raw: privacy.allows('curriculumSelectionRaw') ? curriculumSelection || null : null,
+            summary: curriculumSelectionSummary || null
+        },
+        // retrieval already done by the backend, so the workflow can skip its own vector search
+        retrieval: {
+            chunks: ragChunks.map(c => ({ id: c.id, docId: c.docId, score: c.score, content: c.content })),
+            context: ragContext || null
+        },
+        meta: {
+            sentAt: new Date().toISOString()
+        },
+        ...privacy.redact({
+            childName: childName || null,
+            textNote: noteText,
+            currentActivity,
+            energyLevel,
+            tags,
+            sessionDuration,
+            curriculumQuery,
+            planRequestMeta: privacy.allows('planRequestMeta') ? planRequestMeta || null : null,
+            // <<< ADDED: include assessment raw objects for n8n usage (but safe excerpt for large report)
+            assessment: {
+                provided: !!assessmentObj,
+                summary: privacy.allows('assessmentSummary') ? assessmentSummary : '',
+                doc: privacy.allows('assessmentRaw') ? assessmentDoc || null : null,
+                data: privacy.allows('assessmentRaw') ? assessmentData || null : null,
+                report: !privacy.allows('assessmentReport') ? null : assessmentReport ? (typeof assessmentReport === 'string' ? assessmentReport.slice(0, 8000) : buildReportExcerpt(assessmentReport, 8000)) : (assessmentObj && assessmentObj.data && assessmentObj.data.report ? buildReportExcerpt(assessmentObj.data.report, 8000) : null),
+                reportExcerpt: privacy.allows('assessmentReport') ? assessmentReportExcerpt || null : null
+            },
+            // <<< ADDED: include family report info (if frontend sent it)
+            familyReport: {
+                provided: !!familyReportObj,
+                doc: privacy.allows('familyReportRaw') ? familyReport || null : null,
+                data: privacy.allows('familyReportRaw') ? reportData || generatedReport || null : null,
+                excerpt: privacy.allows('familyReport') ? familyReportExcerpt || null : null
+            },
+            // the voice note transcript (already merged into textNote) with its segment timestamps
+            transcript: transcript ? { ...transcriptSummary(transcript, transcriptSource), text: transcript.text, segments: transcript.segments } : null,
+            recentSessions: {
+                count: recentSessions.length,
+                summary: privacy.allows('recentSessions') ? recentSessionsSummary || null : null
+            },
+            familyReportContext: isFamilyReport ? {
+                periodDays,
+                plans: familyContext.plans.map(p => ({ id: p.id, analysisType: p.analysisType, goal: p.goal })),
+                summary: familyContext.text || null
+            } : null,
+            revision: isRevision ? {
+                planId: existingPlan.id,
+                basedOnVersion: existingPlan.latestVersion,
+                currentPlan: existingPlan.currentPlan || null,
+                progress,
+                summary: progressSummary || null
+            } : null
+        })
+    };
+
+    // -----------------------
+    // Call the provider, validate against the plan schema and re-prompt with the
+    // validation errors until the output conforms (bounded by AI_REPAIR_MAX_ATTEMPTS)
+    // -----------------------
+    const maxRepairAttempts = repair === false ? 0 : Math.max(0, parseInt(process.env.AI_REPAIR_MAX_ATTEMPTS || '2', 10));
+    const callModel = async () => {
+        let conversation = messages;
+        let providerRawText = null;
+        let parsed = null;
+        let validation = null;
+        let attempts = 0;
+
+        while (true) {
+            attempts += 1;
+            let candidate = null;
+            // streaming callers get each top-level plan section as soon as its JSON value is complete
+            const sectionReader = createSectionReader();
+            const emittedSections = new Set();
+            const emitSections = (members) => {
+                for (const [key, value] of members) {
+                    if (emittedSections.has(key)) continue;
+                    emittedSections.add(key);
+                    emit('section', { attempt: attempts, key, value: privacy.restore(normalizeSection(planAnalysisType, key, value)) });
+                }
+            };
+            try {
+                const out = await provider.generate({
+                    messages: conversation,
+                    payload: { ...providerPayload, messagesForModel: conversation, repairAttempt: attempts - 1 },
+                    analysisType: outputType,
+                    onToken: onEvent ? (text) => {
+                        emit('token', { attempt: attempts, text });
+                        emitSections(sectionReader.push(text));
+                    } : undefined
+                });
+                providerRawText = out.rawText;
+                candidate = parseProviderOutput(out.json, out.rawText);
+                // providers that cannot stream (n8n) deliver every section at once here
+                if (candidate && onEvent) emitSections(Object.entries(candidate));
+            } catch (err) {
+                console.error(`[analyze] ${provider.name} provider call failed (attempt ${attempts}):`, err.message || err);
+                // a failed repair attempt keeps the best output we already have
+                if (parsed) break;
+                throw httpError(`Failed to call ${provider.name} provider`, 500, { detail: String(err.message || err) });
+            }
+
+            if (candidate) {
+                parsed = candidate;
+                validation = validatePlanOutput(outputType, parsed);
+                if (validation.valid) break;
+            }
+            if (attempts > maxRepairAttempts) break;
+
+            console.warn(`[analyze] ${provider.name} output failed validation (attempt ${attempts}); re-prompting`, candidate ? validation.errors.map(e => e.message).slice(0, 10) : 'not parseable');
+            emit('repair', { attempt: attempts, errors: candidate ? validation.errors.map(e => e.message) : ['not parseable'] });
+            conversation = [
+                ...conversation,
+                { role: 'assistant', content: candidate ? JSON.stringify(candidate) : String(providerRawText || '').slice(0, 4000) },
+                {
+                    role: 'user',
+                    content: candidate
+                        ? buildRepairMessage(validation.errors)
+                        : 'المخرجات السابقة ليست JSON صالحًا. Return the complete plan as a single valid JSON object ONLY — no extra text.'
+                }
+            ];
+        }
+
+        if (!parsed) {
+            console.error(`[analyze] ${provider.name} returned non-parseable JSON (${String(providerRawText || '').length} chars)`);
+            throw httpError(`${provider.name} response not parseable as JSON`, 500, {
+                hint: 'n8n often returns { output: "...." } or an array. Paste raw execution output here for debugging.',
+                provider: provider.name,
+                raw: privacy.restore(providerRawText),
+                usedCurriculum: !!relevant,
+                sentAssessment: !!assessmentObj,
+                assessmentSummary: assessmentSummary ? assessmentSummary.slice(0, 800) : '',
+                assessmentReportExcerpt: assessmentReportExcerpt ? assessmentReportExcerpt.slice(0, 800) : '',
+                sentFamilyReport: !!familyReportObj,
+                familyReportExcerpt: familyReportExcerpt ? familyReportExcerpt.slice(0, 800) : ''
+            });
+        }
+        return { parsed, validation, attempts };
+    };
+
+    // Identical requests (same messages, output type, provider and repair budget) share one model call: a valid
+    // output is reused for ANALYZE_CACHE_TTL_SECONDS and duplicates that arrive while it runs wait for it
+    // (lib/ai/cache.js). "cache": "bypass" always calls the model and refreshes the cached output.
+    const cacheKey = analysisCacheKey({ analysisType: outputType, provider: provider.name, repair: maxRepairAttempts, messages });
+    const modelCall = await withAnalysisCache(cacheKey, callModel, {
+        bypass: cache === 'bypass',
+        cacheable: (out) => out.validation.valid
+    });
+    const { validation, attempts } = modelCall.value;
+    // streaming callers of a reused output get its sections at once
+    if (onEvent && modelCall.source !== 'call') {
+        for (const [key, value] of Object.entries(modelCall.value.parsed)) {
+            emit('section', { attempt: attempts, key, value: privacy.restore(normalizeSection(planAnalysisType, key, value)) });
+        }
+    }
+
+    // At this point `parsed` should be an object representing the AI JSON (placeholders restored to the real values)
+    const parsed = privacy.restore(modelCall.value.parsed);
+    // Choose correct normalizer based on requested analysisType
+    const fallbackNote = String(parsed.summary || parsed.behavior_goal || parsed.smart_goal || '').slice(0, 400);
+    const normalized = normalizerFor(planAnalysisType)(parsed, fallbackNote);
+    const provenance = describeFieldProvenance({
+        analysisType: planAnalysisType,
+        parsed,
+        normalized,
+        validation,
+        keys: schemaForAnalysisType(outputType).required
+    });
+    normalized.suggestions = ensureSuggestionObjects(normalized.suggestions || parsed.suggestions || []);
+    normalized.customizations = ensureSuggestionObjects(normalized.customizations || parsed.customizations || []);
+
+    // convenience top-level text arrays
+    const suggestionsText = (Array.isArray(normalized.suggestions) ? normalized.suggestions.map(s => (typeof s === 'object' ? s.text || '' : String(s))) : []);
+    const customizationsText = (Array.isArray(normalized.customizations) ? normalized.customizations.map(c => (typeof c === 'object' ? c.text || '' : String(c))) : []);
+
+    // Confidence (best-effort)
+    const confidences = (Array.isArray(normalized.suggestions) ? normalized.suggestions.map(s => typeof s.confidence === 'number' ? s.confidence : null).filter(c => c !== null) : []);
+    const confidenceOverall = confidences.length ? (confidences.reduce((a, b) => a + b, 0) / confidences.length) : (normalized.meta && normalized.meta.model_provided_confidence ? normalized.meta.model_provided_confidence : null);
+
+    const result = {
+        ai: {
+            raw: parsed,
+            normalized: {
+                ...normalized,
+                meta: { ...(normalized.meta || {}), confidence_overall: confidenceOverall }
+            },
+            suggestions: suggestionsText,
+            customizations: customizationsText,
+            // which parts of the plan came straight from the model vs. were repaired/defaulted by the backend
+            validation: {
+                schema: validation.schemaId,
+                valid: validation.valid,
+                attempts,
+                errors: validation.errors.map(e => e.message),
+                fields: provenance.fields,
+                repaired: provenance.repaired,
+                defaulted: provenance.defaulted
+            },
+            // revision mode: what changed relative to the version it was based on
+            ...(isRevision ? {
+                changeLog: normalizeChangeLog(parsed.change_log),
+                revision: {
+                    basedOnVersion: existingPlan.latestVersion,
+                    summary: String(parsed.revision_summary || ''),
+                    progress: progress ? progress.kind : null
+                }
+            } : {})
+        },
+        meta: {
+            sentAt: new Date().toISOString(),
+            usedCurriculum: !!relevant,
+            curriculum: { source: curriculumRetrieval.source, ageBand: curriculumRetrieval.ageBand, indicatorIds: curriculumIndicatorIds },
+            retrievedChunks: ragChunks.map(c => ({ id: c.id, fileName: c.fileName, score: c.score })),
+            recentSessionIds: recentSessions.map(sess => sess.id),
+            ...(transcript ? { transcript: transcriptSummary(transcript, transcriptSource) } : {}),
+            ...(isFamilyReport ? { familyReport: { periodDays, planIds: familyContext.plans.map(p => p.id) } } : {}),
+            analysisType: effectiveAnalysisType,
+            planAnalysisType,
+            provider: provider.name,
+            prompt: { template: prompt.template.id, version: prompt.template.version, contextVersion: prompt.context.version },
+            sentAssessment: !!assessmentObj,
+            assessmentReportExcerpt: assessmentReportExcerpt ? (assessmentReportExcerpt.slice(0, 1200)) : null,
+            sentFamilyReport: !!familyReportObj,
+            familyReportExcerpt: familyReportExcerpt ? familyReportExcerpt.slice(0, 1200) : null,
+            childName: childName || null,
+            childId: childRef.childId,
+            assessmentId: childRef.assessmentId,
+            sentCurriculumSelection: !!curriculumSelection,
+            privacy: privacy.summary(),
+            cache: { hit: modelCall.source !== 'call', source: modelCall.source, ageSeconds: modelCall.ageSeconds }
+        }
+    };
+
+    // Persist the normalized plan (new plan, or a new version when planId is given).
+    // Persistence problems never fail the analysis itself.
+    if (persist !== false) {
+        try {
+            const saved = await savePlanVersion({
+                planId,
+                childName: childName || null,
+                childId: childRef.childId,
+                assessmentId: childRef.assessmentId,
+                createdBy: user.uid,
+                analysisType: planAnalysisType,
+                plan: result.ai.normalized,
+                raw: parsed,
+                validation: result.ai.validation,
+                provider: provider.name,
+                revision: isRevision ? { ...result.ai.revision, changeLog: result.ai.changeLog } : null,
+                request: { textNote: textNote || '', currentActivity: currentActivity || '', energyLevel: energyLevel || '', tags, sessionDuration, curriculumSelection: curriculumSelection || null, audioUrl: audioUrl || null }
+            });
+            result.meta.planId = saved.planId;
+            result.meta.planVersion = saved.version;
+            result.meta.persisted = true;
+        } catch (err) {
+            console.warn('[analyze] plan not persisted:', err?.message || err);
+            result.meta.persisted = false;
+            result.meta.persistError = err?.message || String(err);
+        }
+    } else {
+        result.meta.persisted = false;
+    }
+
+    // Store the analysis on its session (logging the note as a new session first when asked to)
+    if (sessionId || logSession) {
+        try {
+            let targetSessionId = sessionId;
+            if (!targetSessionId) {
+                const created = await createSession({
+                    ...sessionFields({ ...childRef, childName, textNote, currentActivity, energyLevel, tags, sessionDuration }),
+                    createdBy: user.uid
+                });
+                targetSessionId = created.id;
+            }
+            await updateSession(targetSessionId, {
+                analysis: sessionAnalysisFromResult(result),
+                ...(transcriptSource === 'audioUrl' ? { transcript } : {})
+            });
+            result.meta.sessionId = targetSessionId;
+        } catch (err) {
+            console.warn('[analyze] session not updated:', err?.message || err);
+            result.meta.sessionError = err?.message || String(err);
+        }
+    }
+
+    // A concerning note (keyword detector) or a plan the model flagged opens a safety escalation for supervisors
+    if (escalate) {
+        result.meta.safety = await escalateAnalysisSafety({
+            textNote: noteText,
+            modelFlag: !!result.ai.normalized.safety_flag,
+            context: {
+                ...childRef,
+                childName,
+                planId: result.meta.planId || planId || null,
+                planVersion: result.meta.planVersion || null,
+                sessionId: result.meta.sessionId || null,
+                analysisType: effectiveAnalysisType
+            },
+            user
+        });
+    }
+
+    return result;
+}
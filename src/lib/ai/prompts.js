@@ -0,0 +1,163 @@
+// lib/ai/prompts.js
+// Versioned prompt templates: data/prompts/<id>/v<N>.json (override dir with PROMPTS_DIR). One template per
+// analysis type (general, behavior, family_report, revision, behavior-revision) holds the system prompt, the
+// few-shot example and the instruction; the shared `context` template holds the note block and the optional
+// context messages (assessment, reports, references, recent sessions, curriculum selection).
+// Text is an array of lines with {{name}} / {{name|fallback}} variables; a part with `requires` is left out
+// when any of those variables is empty. The active version is the highest one not marked `draft`.
+import fs from 'fs';
+import path from 'path';
+import { httpError } from '@/lib/http';
+
+export const CONTEXT_TEMPLATE = 'context';
+const FALLBACK_TEMPLATE = 'general';
+const VARIABLE = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+
+function promptsDir() {
+    const dir = process.env.PROMPTS_DIR;
+    if (!dir) return path.join(process.cwd(), 'data', 'prompts');
+    return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+// [{ version, file }] of one template id, lowest version first
+function templateFiles(id) {
+    if (!/^[\w-]+$/.test(String(id || ''))) return [];
+    let names = [];
+    try {
+        names = fs.readdirSync(path.join(promptsDir(), id));
+    } catch (_) {
+        return [];
+    }
+    return names
+        .map(name => ({ name, match: /^v(\d+)\.json$/.exec(name) }))
+        .filter(f => f.match)
+        .map(f => ({ version: parseInt(f.match[1], 10), file: path.join(promptsDir(), id, f.name) }))
+        .sort((a, b) => a.version - b.version);
+}
+
+function readTemplate(id, { version, file }) {
+    try {
+        return { ...JSON.parse(fs.readFileSync(file, 'utf8')), id, version };
+    } catch (err) {
+        throw httpError(`prompt template ${id} v${version} is not valid JSON: ${err.message}`, 500);
+    }
+}
+
+const textOf = (lines) => (Array.isArray(lines) ? lines.join('\n') : String(lines ?? ''));
+const requiresOf = (part) => [].concat(part?.requires || []);
+
+// Names of the variables a template reads (its own `define` blocks excluded)
+export function templateVariables(template) {
+    const found = new Set();
+    const scan = (value) => {
+        if (typeof value === 'string') for (const m of value.matchAll(VARIABLE)) found.add(m[1]);
+        else if (Array.isArray(value)) value.forEach(scan);
+        else if (value && typeof value === 'object') {
+            for (const [key, v] of Object.entries(value)) {
+                if (key === 'requires') [].concat(v).forEach(name => found.add(name));
+                else if (key !== 'example' && key !== 'description') scan(v);
+            }
+        }
+    };
+    scan(template);
+    for (const name of Object.keys(template.define || {})) found.delete(name);
+    found.delete('system');
+    return [...found].sort();
+}
+
+// Every template id with its versions and the active one
+export function listPromptTemplates() {
+    let ids = [];
+    try {
+        ids = fs.readdirSync(promptsDir(), { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+    } catch (_) {
+        return [];
+    }
+    return ids.sort().map(id => {
+        const versions = templateFiles(id).map(f => {
+            const t = readTemplate(id, f);
+            return { version: f.version, draft: !!t.draft, description: t.description || '' };
+        });
+        const active = versions.filter(v => !v.draft).pop();
+        return { id, activeVersion: active ? active.version : null, versions };
+    }).filter(t => t.versions.length);
+}
+
+// One template; without `version` the active one (404 when the id or version does not exist)
+export function loadPromptTemplate(id, version) {
+    const files = templateFiles(id);
+    if (!files.length) throw httpError(`prompt template not found: ${id}`, 404);
+    if (version !== undefined && version !== null && version !== '') {
+        const file = files.find(f => f.version === parseInt(version, 10));
+        if (!file) throw httpError(`prompt template ${id} has no version ${version}`, 404);
+        return readTemplate(id, file);
+    }
+    const active = files.map(f => readTemplate(id, f)).filter(t => !t.draft).pop();
+    if (!active) throw httpError(`prompt template ${id} has no active (non-draft) version`, 404);
+    return active;
+}
+
+// {{name}} / {{name|fallback}} substitution in one pass (substituted values are not expanded again)
+export function renderPromptText(lines, variables = {}) {
+    return textOf(lines).replace(VARIABLE, (_, name, fallback) => {
+        const value = variables[name];
+        return value === undefined || value === null || value === '' ? (fallback ?? '') : String(value);
+    });
+}
+
+function stringVariables(variables) {
+    const out = {};
+    for (const [name, value] of Object.entries(variables || {})) {
+        out[name] = value === undefined || value === null ? '' : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+    return out;
+}
+
+const enabled = (part, vars) => requiresOf(part).every(name => vars[name] !== undefined && vars[name] !== '');
+
+function renderDefines(template, vars) {
+    for (const [name, lines] of Object.entries(template.define || {})) vars[name] = renderPromptText(lines, vars);
+}
+
+// Model messages for `templateId` (falls back to the general template when the type has none) and the context
+// template. With `clientMessages` (messagesForModel sent by the client) the template's clientMessages and the
+// context's clientText parts are appended to them instead of building the system / few-shot conversation.
+// Returns { messages, template: { id, version }, context: { id, version } }.
+export function buildPromptMessages({ templateId, version, variables, clientMessages } = {}) {
+    const pinned = version !== undefined && version !== null && version !== '';
+    const id = pinned || templateFiles(templateId).length ? templateId : FALLBACK_TEMPLATE;
+    const template = loadPromptTemplate(id, version);
+    const context = loadPromptTemplate(CONTEXT_TEMPLATE);
+
+    const vars = stringVariables(variables);
+    renderDefines(context, vars);
+    renderDefines(template, vars);
+    vars.system = renderPromptText(template.system, vars);
+
+    const messages = [];
+    const contextParts = (context.messages || []).filter(part => enabled(part, vars));
+    if (Array.isArray(clientMessages)) {
+        messages.push(...clientMessages);
+        for (const part of (template.clientMessages || []).filter(p => enabled(p, vars))) {
+            messages.push({ role: 'user', content: renderPromptText(part.text, vars) });
+        }
+        for (const part of contextParts.filter(p => p.clientText)) {
+            messages.push({ role: 'user', content: renderPromptText(part.clientText, vars) });
+        }
+    } else {
+        const suffix = (context.systemSuffix || []).filter(p => enabled(p, vars)).map(p => renderPromptText(p.text, vars));
+        messages.push({ role: 'system', content: [vars.system, ...suffix].join('\n') });
+        if (template.example) {
+            messages.push({ role: 'user', content: renderPromptText(template.example.user, vars) });
+            messages.push({ role: 'assistant', content: JSON.stringify(template.example.assistant, null, 2) });
+        }
+        messages.push({ role: 'user', content: renderPromptText(template.instruction, vars) });
+        for (const part of contextParts) messages.push({ role: 'user', content: renderPromptText(part.text, vars) });
+    }
+
+    return {
+        messages,
+        template: { id: template.id, version: template.version },
+        context: { id: context.id, version: context.version }
+    };
+}
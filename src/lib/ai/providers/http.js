@@ -0,0 +1,62 @@
+// lib/ai/providers/http.js
+// Shared fetch helper for remote providers: POST JSON with an abort timeout and
+// hand back both the raw text and the parsed body (or the text when it isn't JSON).
+
+// `redirect: 'manual'` answers a 3xx with that response instead of following it.
+export async function postJsonWithTimeout(url, body, { headers = {}, timeoutMs = 120000, redirect = 'follow' } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            redirect,
+            signal: controller.signal
+        });
+        clearTimeout(timeoutId);
+        const rawText = await res.text().catch(() => '');
+        let json;
+        try { json = JSON.parse(rawText); } catch (e) { json = rawText; }
+        return { status: res.status, ok: res.ok, rawText, json };
+    } catch (err) {
+        clearTimeout(timeoutId);
+        throw err;
+    }
+}
+
+// POST JSON and read a Server-Sent Events response line by line, calling onData(payload)
+// for every `data:` line. Non-2xx answers are read whole and returned like postJsonWithTimeout.
+export async function postJsonForEventStream(url, body, { headers = {}, timeoutMs = 120000, onData } = {}) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const res = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+        if (!res.ok || !res.body) {
+            const rawText = await res.text().catch(() => '');
+            let json;
+            try { json = JSON.parse(rawText); } catch (e) { json = rawText; }
+            return { status: res.status, ok: false, rawText, json };
+        }
+
+        const decoder = new TextDecoder();
+        let pending = '';
+        for await (const chunk of res.body) {
+            pending += decoder.decode(chunk, { stream: true });
+            const lines = pending.split(/\r?\n/);
+            pending = lines.pop();
+            for (const line of lines) {
+                if (line.startsWith('data:')) onData(line.slice(5).trim());
+            }
+        }
+        if (pending.startsWith('data:')) onData(pending.slice(5).trim());
+        return { status: res.status, ok: true };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
@@ -0,0 +1,29 @@
+// lib/ai/providers/index.js
+// Model provider registry. A provider exposes:
+//   name, isConfigured(), missingConfigHint(), generate({ messages, payload, analysisType }) -> { rawText, json }
+// The returned `json` goes through parseProviderOutput() so every provider shares the same parsing/normalizing pipeline.
+// generate() may also receive onToken(text); providers that can stream (openai, mock) report output pieces through it.
+import { n8nProvider } from './n8n';
+import { openaiProvider } from './openai';
+import { mockProvider } from './mock';
+import { recordedProvider } from './recorded';
+
+const PROVIDERS = {
+    [n8nProvider.name]: n8nProvider,
+    [openaiProvider.name]: openaiProvider,
+    [mockProvider.name]: mockProvider,
+    [recordedProvider.name]: recordedProvider
+};
+
+export function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+// Pick a provider: per-request name first (if overrides are allowed), then AI_PROVIDER, then n8n.
+// Overrides are off unless AI_PROVIDER_ALLOW_OVERRIDE=true (dev / eval): in production a request must not be able to
+// pick the mock or recorded provider and have fixture output saved as a real plan.
+export function resolveProvider(requested) {
+    const allowOverride = process.env.AI_PROVIDER_ALLOW_OVERRIDE === 'true';
+    const name = String((allowOverride && requested) || process.env.AI_PROVIDER || 'n8n').trim().toLowerCase();
+    return PROVIDERS[name] || null;
+}
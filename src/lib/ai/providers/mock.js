@@ -0,0 +1,50 @@
+// lib/ai/providers/mock.js
+// Deterministic local provider for dev/CI: answers from fixture files instead of calling a model.
+// Fixtures live in data/fixtures/analyze/<analysisType>.json (override dir with MOCK_PROVIDER_FIXTURES_DIR).
+import fs from 'fs';
+import path from 'path';
+
+function fixturesDir() {
+    const dir = process.env.MOCK_PROVIDER_FIXTURES_DIR;
+    if (!dir) return path.join(process.cwd(), 'data', 'fixtures', 'analyze');
+    return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+function readFixture(analysisType) {
+    const dir = fixturesDir();
+    for (const name of [analysisType, 'general']) {
+        if (!name) continue;
+        try {
+            return fs.readFileSync(path.join(dir, `${name}.json`), 'utf8');
+        } catch (_) { /* try next */ }
+    }
+    return null;
+}
+
+export const mockProvider = {
+    name: 'mock',
+
+    isConfigured() {
+        return true;
+    },
+
+    missingConfigHint() {
+        return '';
+    },
+
+    async generate({ analysisType, onToken }) {
+        const rawText = readFixture(analysisType);
+        if (rawText === null) {
+            throw new Error(`no mock fixture for analysisType "${analysisType}" in ${fixturesDir()}`);
+        }
+        if (onToken) {
+            // replay the fixture in small pieces so streaming clients see incremental output
+            for (let i = 0; i < rawText.length; i += 40) {
+                onToken(rawText.slice(i, i + 40));
+                await new Promise(resolve => setImmediate(resolve));
+            }
+        }
+        // mimic the n8n envelope so the same parsing path is exercised
+        return { rawText, json: { output: rawText } };
+    }
+};
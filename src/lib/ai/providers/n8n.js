@@ -0,0 +1,21 @@
+// lib/ai/providers/n8n.js
+// Sends the full analyze payload (messages + assessment/family/curriculum context) to the n8n webhook.
+import { postJsonWithTimeout } from './http';
+
+export const n8nProvider = {
+    name: 'n8n',
+
+    isConfigured() {
+        return !!process.env.N8N_WEBHOOK_URL;
+    },
+
+    missingConfigHint() {
+        return 'N8N_WEBHOOK_URL not configured';
+    },
+
+    async generate({ payload }) {
+        const timeoutMs = parseInt(process.env.N8N_TIMEOUT_MS || '120000', 10);
+        const { rawText, json } = await postJsonWithTimeout(process.env.N8N_WEBHOOK_URL, payload, { timeoutMs });
+        return { rawText, json };
+    }
+};
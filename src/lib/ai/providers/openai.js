@@ -0,0 +1,68 @@
+// lib/ai/providers/openai.js
+// Direct call to any OpenAI-compatible /chat/completions endpoint (OpenAI, Azure-style gateways, vLLM, Ollama...).
+import { postJsonWithTimeout, postJsonForEventStream } from './http';
+
+function chatCompletionsUrl() {
+    const base = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    return `${base}/chat/completions`;
+}
+
+// streamed variant (stream: true): forwards each content delta to onToken and returns the assembled text
+async function streamCompletion(body, { headers, timeoutMs, onToken }) {
+    let content = '';
+    const res = await postJsonForEventStream(chatCompletionsUrl(), { ...body, stream: true }, {
+        headers,
+        timeoutMs,
+        onData(data) {
+            if (!data || data === '[DONE]') return;
+            let event;
+            try { event = JSON.parse(data); } catch (_) { return; }
+            const delta = event?.choices?.[0]?.delta?.content;
+            if (typeof delta === 'string' && delta) {
+                content += delta;
+                onToken(delta);
+            }
+        }
+    });
+    if (!res.ok) {
+        const detail = res.json && res.json.error ? (res.json.error.message || JSON.stringify(res.json.error)) : res.rawText;
+        throw new Error(`chat completion failed (${res.status}): ${String(detail).slice(0, 500)}`);
+    }
+    return { rawText: content, json: content };
+}
+
+export const openaiProvider = {
+    name: 'openai',
+
+    isConfigured() {
+        // local OpenAI-compatible servers often run without a key, so a custom base URL is enough
+        return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+    },
+
+    missingConfigHint() {
+        return 'OPENAI_API_KEY (or OPENAI_BASE_URL) not configured';
+    },
+
+    async generate({ messages, onToken }) {
+        const timeoutMs = parseInt(process.env.AI_TIMEOUT_MS || process.env.N8N_TIMEOUT_MS || '120000', 10);
+        const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+        const body = {
+            model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+            messages: messages.map(m => ({ role: m.role, content: String(m.content || '') })),
+            temperature: parseFloat(process.env.OPENAI_TEMPERATURE || '0.3'),
+            response_format: { type: 'json_object' }
+        };
+
+        if (onToken) return streamCompletion(body, { headers, timeoutMs, onToken });
+
+        const res = await postJsonWithTimeout(chatCompletionsUrl(), body, { headers, timeoutMs });
+        if (!res.ok) {
+            const detail = res.json && res.json.error ? (res.json.error.message || JSON.stringify(res.json.error)) : res.rawText;
+            throw new Error(`chat completion failed (${res.status}): ${String(detail).slice(0, 500)}`);
+        }
+
+        // hand the assistant message content to the shared parser (it is a JSON string in json_object mode)
+        const content = res.json?.choices?.[0]?.message?.content;
+        return { rawText: typeof content === 'string' ? content : res.rawText, json: typeof content === 'string' ? content : res.json };
+    }
+};
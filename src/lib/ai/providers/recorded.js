@@ -0,0 +1,53 @@
+// lib/ai/providers/recorded.js
+// Replays model outputs recorded from a live provider (npm run eval -- --record) instead of calling a model, so an
+// evaluation run can be repeated offline. Recordings live in data/eval/recordings/<key>.json (override dir with
+// RECORDED_PROVIDER_DIR), keyed by the output type and the note text the provider receives (payload.textNote, with
+// the privacy placeholders of lib/privacy in place of names and numbers).
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+function recordingsDir() {
+    const dir = process.env.RECORDED_PROVIDER_DIR;
+    if (!dir) return path.join(process.cwd(), 'data', 'eval', 'recordings');
+    return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+export function recordingKey(analysisType, textNote) {
+    return crypto.createHash('sha256').update(`${analysisType || 'general'}\n${textNote || ''}`).digest('hex').slice(0, 16);
+}
+
+// Store the parsed model output of one request so the recorded provider can replay it
+export function saveRecording({ analysisType, textNote, provider, output }) {
+    const key = recordingKey(analysisType, textNote);
+    fs.mkdirSync(recordingsDir(), { recursive: true });
+    const file = path.join(recordingsDir(), `${key}.json`);
+    const recording = { key, analysisType, provider, recordedAt: new Date().toISOString(), output };
+    fs.writeFileSync(file, JSON.stringify(recording, null, 2) + '\n');
+    return file;
+}
+
+export const recordedProvider = {
+    name: 'recorded',
+
+    isConfigured() {
+        return fs.existsSync(recordingsDir());
+    },
+
+    missingConfigHint() {
+        return `recorded provider: no recordings in ${recordingsDir()} (record them with npm run eval -- --record --provider <live provider>)`;
+    },
+
+    async generate({ analysisType, payload, onToken }) {
+        const key = recordingKey(analysisType, payload?.textNote);
+        let recording;
+        try {
+            recording = JSON.parse(fs.readFileSync(path.join(recordingsDir(), `${key}.json`), 'utf8'));
+        } catch (_) {
+            throw new Error(`no recording ${key} for analysisType "${analysisType}" in ${recordingsDir()}`);
+        }
+        const rawText = JSON.stringify(recording.output);
+        if (onToken) onToken(rawText);
+        return { rawText, json: recording.output };
+    }
+};
@@ -0,0 +1,208 @@
+// lib/ai/schemas.js
+// JSON Schemas (draft-07) for the model output of each analysis type.
+// These describe what we ask the model to return, not the normalized shape sent to the frontend.
+
+const stringList = { type: 'array', items: { type: 'string' } };
+const nonEmptyStringList = { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 };
+
+// suggestions/customizations may be plain strings or { text, rationale, confidence } objects
+const suggestionList = {
+    type: 'array',
+    items: {
+        anyOf: [
+            { type: 'string' },
+            {
+                type: 'object',
+                required: ['text'],
+                properties: {
+                    text: { type: 'string', minLength: 1 },
+                    rationale: { type: 'string' },
+                    confidence: { type: ['number', 'null'], minimum: 0, maximum: 1 }
+                },
+                additionalProperties: false
+            }
+        ]
+    }
+};
+
+// optional bookkeeping keys the model is allowed to add
+const modelExtras = {
+    confidence: { type: ['number', 'null'] },
+    confidence_score: { type: ['number', 'null'] },
+    notes: { type: 'string' },
+    _notes: { type: 'string' },
+    meta: { type: 'object' }
+};
+
+export const educationalPlanSchema = {
+    $id: 'tebyan/educational-plan',
+    type: 'object',
+    required: [
+        'smart_goal', 'teaching_strategy', 'task_analysis_steps', 'subgoals', 'activities',
+        'execution_plan', 'reinforcement', 'measurement', 'generalization_plan', 'accommodations',
+        'suggestions', 'customizations', 'summary', 'parent_instructions'
+    ],
+    properties: {
+        smart_goal: { type: 'string', minLength: 1 },
+        summary: { type: 'string' },
+        teaching_strategy: { type: 'string', minLength: 1 },
+        task_analysis_steps: nonEmptyStringList,
+        subgoals: stringList,
+        activities: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['type', 'name'],
+                properties: {
+                    type: { type: 'string' },
+                    name: { type: 'string', minLength: 1 }
+                },
+                additionalProperties: false
+            }
+        },
+        execution_plan: stringList,
+        reinforcement: {
+            type: 'object',
+            required: ['type', 'schedule'],
+            properties: { type: { type: 'string' }, schedule: { type: 'string' } },
+            additionalProperties: false
+        },
+        measurement: {
+            type: 'object',
+            required: ['type', 'sheet'],
+            properties: { type: { type: 'string' }, sheet: { type: 'string' } },
+            additionalProperties: false
+        },
+        generalization_plan: stringList,
+        accommodations: stringList,
+        suggestions: suggestionList,
+        customizations: suggestionList,
+        parent_instructions: { type: 'string' },
+        ...modelExtras
+    },
+    additionalProperties: false
+};
+
+export const behaviorPlanSchema = {
+    $id: 'tebyan/behavior-plan',
+    type: 'object',
+    required: [
+        'behavior_goal', 'summary', 'antecedents', 'consequences', 'function_analysis',
+        'antecedent_strategies', 'replacement_behavior', 'consequence_strategies',
+        'data_collection', 'review_after_days', 'safety_flag', 'suggestions', 'customizations', 'parent_instructions'
+    ],
+    properties: {
+        behavior_goal: { type: 'string', minLength: 1 },
+        summary: { type: 'string' },
+        antecedents: nonEmptyStringList,
+        consequences: nonEmptyStringList,
+        function_analysis: { type: 'string', minLength: 1 },
+        antecedent_strategies: nonEmptyStringList,
+        replacement_behavior: {
+            type: 'object',
+            required: ['skill', 'modality'],
+            properties: { skill: { type: 'string', minLength: 1 }, modality: { type: 'string' } },
+            additionalProperties: false
+        },
+        consequence_strategies: nonEmptyStringList,
+        data_collection: {
+            type: 'object',
+            required: ['metric', 'tool'],
+            properties: { metric: { type: 'string', minLength: 1 }, tool: { type: 'string' } },
+            additionalProperties: false
+        },
+        review_after_days: { type: 'integer', minimum: 1, maximum: 365 },
+        safety_flag: { type: 'boolean' },
+        suggestions: suggestionList,
+        customizations: suggestionList,
+        parent_instructions: { type: 'string' },
+        ...modelExtras
+    },
+    additionalProperties: false
+};
+
+// Report for the family: plain-language Arabic, built from the child's plans and session history
+export const familyReportSchema = {
+    $id: 'tebyan/family-report',
+    type: 'object',
+    required: ['report_period', 'progress_narrative', 'wins', 'home_activities', 'questions_for_family', 'summary'],
+    properties: {
+        report_period: { type: 'string' },
+        progress_narrative: { type: 'string', minLength: 1 },
+        wins: nonEmptyStringList,
+        home_activities: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['title', 'how'],
+                properties: {
+                    title: { type: 'string', minLength: 1 },
+                    how: { type: 'string', minLength: 1 },
+                    when: { type: 'string' }
+                },
+                additionalProperties: false
+            }
+        },
+        questions_for_family: stringList,
+        summary: { type: 'string', minLength: 1 },
+        ...modelExtras
+    },
+    additionalProperties: false
+};
+
+// what a revision may do to a plan element, based on the recorded progress
+export const REVISION_ACTIONS = [
+    'advance', 'hold', 'step_back', 'fade_prompt', 'change_reinforcement', 'add', 'remove', 'modify'
+];
+
+const changeLog = {
+    type: 'array',
+    items: {
+        type: 'object',
+        required: ['field', 'action', 'reason'],
+        properties: {
+            field: { type: 'string', minLength: 1 },
+            action: { type: 'string', enum: REVISION_ACTIONS },
+            from: {},
+            to: {},
+            reason: { type: 'string', minLength: 1 }
+        },
+        additionalProperties: false
+    }
+};
+
+// a revision returns the complete revised plan plus the change log and a short summary of the revision
+function revisionSchema(planSchema, $id) {
+    return {
+        ...planSchema,
+        $id,
+        required: [...planSchema.required, 'change_log', 'revision_summary'],
+        properties: {
+            ...planSchema.properties,
+            change_log: changeLog,
+            revision_summary: { type: 'string', minLength: 1 }
+        }
+    };
+}
+
+export const educationalRevisionSchema = revisionSchema(educationalPlanSchema, 'tebyan/educational-plan-revision');
+export const behaviorRevisionSchema = revisionSchema(behaviorPlanSchema, 'tebyan/behavior-plan-revision');
+
+const SCHEMAS_BY_TYPE = {
+    general: educationalPlanSchema,
+    behavior: behaviorPlanSchema,
+    family_report: familyReportSchema,
+    revision: educationalRevisionSchema,
+    'behavior-revision': behaviorRevisionSchema
+};
+
+// schema key of a revision of a plan of `planAnalysisType`
+export function revisionTypeFor(planAnalysisType) {
+    return planAnalysisType === 'behavior' ? 'behavior-revision' : 'revision';
+}
+
+// analysis types without a dedicated schema are validated as educational plans
+export function schemaForAnalysisType(analysisType) {
+    return SCHEMAS_BY_TYPE[analysisType] || educationalPlanSchema;
+}
@@ -0,0 +1,60 @@
+// lib/ai/validate.js
+// Strict validation of model output against lib/ai/schemas.js, plus the re-prompt
+// message used by the repair loop in /api/analyze.
+import Ajv from 'ajv';
+import { schemaForAnalysisType } from './schemas';
+import { findClinicalJargon } from '@/lib/reports/jargon';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const compiled = new Map();
+
+function validatorFor(schema) {
+    if (!compiled.has(schema.$id)) compiled.set(schema.$id, ajv.compile(schema));
+    return compiled.get(schema.$id);
+}
+
+function formatError(err) {
+    const where = err.instancePath ? err.instancePath.replace(/^\//, '').replace(/\//g, '.') : '(root)';
+    if (err.keyword === 'required') return `${where === '(root)' ? '' : where + '.'}${err.params.missingProperty}: missing required field`;
+    if (err.keyword === 'additionalProperties') return `${where}: unexpected field "${err.params.additionalProperty}"`;
+    return `${where}: ${err.message}`;
+}
+
+// Validate a parsed model object. Returns { valid, errors: [{ path, keyword, message }] }.
+export function validatePlanOutput(analysisType, parsed) {
+    const schema = schemaForAnalysisType(analysisType);
+    const validate = validatorFor(schema);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return { valid: false, schemaId: schema.$id, errors: [{ path: '', field: '', keyword: 'type', message: '(root): must be a JSON object' }] };
+    }
+    const valid = validate(parsed);
+    const errors = valid ? [] : (validate.errors || []).map(err => {
+        const field = err.keyword === 'required' && !err.instancePath
+            ? err.params.missingProperty
+            : (err.instancePath.split('/')[1] || (err.keyword === 'additionalProperties' ? err.params.additionalProperty : ''));
+        return { path: err.instancePath, field, keyword: err.keyword, message: formatError(err) };
+    });
+    // family reports must also be free of clinical jargon
+    if (analysisType === 'family_report') {
+        for (const { field, term } of findClinicalJargon(parsed)) {
+            errors.push({ path: `/${field}`, field, keyword: 'jargon', message: `${field}: uses the clinical term "${term}" — rewrite it in plain Arabic for parents` });
+        }
+    }
+    // anyOf reports one error per branch; keep the list readable
+    const seen = new Set();
+    const unique = errors.filter(e => (seen.has(e.message) ? false : seen.add(e.message)));
+    return { valid: unique.length === 0, schemaId: schema.$id, errors: unique };
+}
+
+// Follow-up user message asking the model to fix the listed validation errors.
+export function buildRepairMessage(errors, maxErrors = 20) {
+    const lines = errors.slice(0, maxErrors).map(e => `- ${e.message}`);
+    if (errors.length > maxErrors) lines.push(`- ... (${errors.length - maxErrors} more)`);
+    return [
+        'المخرجات السابقة لا تطابق الـ JSON schema المطلوب. The previous output failed schema validation:',
+        ...lines,
+        '',
+        'أعيدي نفس الخطة كاملة بعد تصحيح هذه الأخطاء فقط، بنفس المفاتيح المطلوبة وبدون مفاتيح إضافية.',
+        'Return the corrected JSON ONLY — no extra text.'
+    ].join('\n');
+}
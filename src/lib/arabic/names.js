@@ -0,0 +1,87 @@
+// lib/arabic/names.js
+// Arabic child-name normalization and fuzzy matching.
+// Names are normalized with normalizeArabicText() (أ/إ/آ/ا, ة/ه, ى/ي, hamza carriers, tashkeel, tatweel),
+// "بن/بنت" connectors are dropped, then names are scored token-order-insensitively with edit distance.
+
+import { normalizeArabicText } from './text';
+
+// lineage connectors that may or may not be typed between the child's and father's names
+const CONNECTORS = new Set(['بن', 'بنت', 'ابن', 'ابنه', 'ابنة', 'bin', 'bint', 'ibn']);
+
+// Normalized name tokens without connectors; compound "عبد ..." names are joined ("عبد الله" -> "عبدالله")
+export function nameTokens(name) {
+    const raw = normalizeArabicText(name).split(' ').filter(Boolean);
+    const out = [];
+    for (let i = 0; i < raw.length; i++) {
+        const t = raw[i];
+        if (CONNECTORS.has(t)) continue;
+        if ((t === 'عبد' || t === 'ابو' || t === 'ام') && raw[i + 1] && !CONNECTORS.has(raw[i + 1])) {
+            out.push(t + raw[i + 1]);
+            i++;
+            continue;
+        }
+        out.push(t);
+    }
+    return out;
+}
+
+// Precomputed search fields stored on each assessment (see lib/data/assessments.js)
+export function buildNameSearchKey(name) {
+    const tokens = nameTokens(name);
+    return { key: tokens.join(' '), tokens: Array.from(new Set(tokens)) };
+}
+
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// 0..1 similarity from edit distance
+export function stringSimilarity(a, b) {
+    if (!a && !b) return 1;
+    const len = Math.max(a.length, b.length);
+    return len ? 1 - levenshtein(a, b) / len : 0;
+}
+
+// Score a typed query against a stored name, 0..1.
+// Every query token is matched to its best unused candidate token (order-insensitive); the
+// average is penalized slightly when the query only covers part of a longer stored name.
+export function scoreNameMatch(query, candidate) {
+    const q = Array.isArray(query) ? query : nameTokens(query);
+    const c = Array.isArray(candidate) ? candidate : nameTokens(candidate);
+    if (!q.length || !c.length) return 0;
+    if (q.join(' ') === c.join(' ')) return 1;
+
+    const used = new Set();
+    let total = 0;
+    for (const qt of q) {
+        let best = 0;
+        let bestIdx = -1;
+        c.forEach((ct, idx) => {
+            if (used.has(idx)) return;
+            // a typed prefix of a stored token ("محم" for "محمد") counts as a strong match
+            const sim = ct.startsWith(qt) && qt.length >= 3 ? Math.max(0.9, stringSimilarity(qt, ct)) : stringSimilarity(qt, ct);
+            if (sim > best) { best = sim; bestIdx = idx; }
+        });
+        if (bestIdx >= 0) used.add(bestIdx);
+        total += best;
+    }
+    const tokenScore = total / q.length;
+    const coverage = Math.min(q.length, c.length) / Math.max(q.length, c.length);
+    const score = tokenScore * (0.85 + 0.15 * coverage);
+
+    // also compare the order-insensitive joined forms, which tolerates split/merged tokens
+    const joined = stringSimilarity([...q].sort().join(''), [...c].sort().join(''));
+    return Math.round(Math.max(score, joined * 0.95) * 1000) / 1000;
+}
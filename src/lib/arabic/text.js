@@ -0,0 +1,48 @@
+// lib/arabic/text.js
+// Arabic text normalization and keyword tokenization shared by name search and curriculum retrieval.
+
+const DIACRITICS = /[\u064B-\u065F\u0610-\u061A\u0670\u06D6-\u06ED]/g;
+const TATWEEL = /\u0640/g;
+
+export function normalizeArabicText(s) {
+    if (!s) return '';
+    return String(s)
+        .normalize('NFC')
+        .replace(DIACRITICS, '')            // remove tashkeel
+        .replace(TATWEEL, '')               // remove tatweel (ـ)
+        .replace(/[أإآٱ]/g, 'ا')            // alef variants
+        .replace(/ة/g, 'ه')                 // taa marbuta -> haa
+        .replace(/ى/g, 'ي')                 // alef maqsura -> yaa
+        .replace(/ؤ/g, 'و')                 // hamza on waw
+        .replace(/ئ/g, 'ي')                 // hamza on yaa
+        .replace(/ء/g, '')                  // lone hamza
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')  // punctuation -> space
+        .replace(/\s+/g, ' ')               // collapse multiple spaces
+        .trim()
+        .toLowerCase();
+}
+
+// common Arabic function words that carry no retrieval signal
+const STOPWORDS = new Set([
+    'في', 'من', 'الي', 'علي', 'عن', 'مع', 'ان', 'او', 'ثم', 'هو', 'هي', 'هذا', 'هذه', 'ذلك', 'التي', 'الذي',
+    'كان', 'كانت', 'يكون', 'لا', 'لم', 'لن', 'ما', 'قد', 'كل', 'بعد', 'قبل', 'عند', 'حتي', 'به', 'بها', 'له', 'لها',
+    'the', 'and', 'of', 'to', 'a', 'in', 'is'
+]);
+
+// very light stemming: strip the definite article and attached conjunction/preposition prefixes
+export function lightStem(token) {
+    let t = token;
+    if (t.length > 4 && /^(وال|بال|كال|فال|لل)/.test(t)) t = t.slice(t.startsWith('لل') ? 2 : 3);
+    else if (t.length > 3 && t.startsWith('ال')) t = t.slice(2);
+    else if (t.length > 3 && /^[وف]/.test(t)) t = t.slice(1);
+    if (t.length > 4 && /(ات|ون|ين|ها|هم)$/.test(t)) t = t.slice(0, -2);
+    return t;
+}
+
+// normalized, stemmed keyword tokens of a text (stopwords and 1-letter tokens removed)
+export function keywordTokens(text) {
+    return normalizeArabicText(text)
+        .split(' ')
+        .filter(t => t.length > 1 && !STOPWORDS.has(t))
+        .map(lightStem);
+}
@@ -0,0 +1,161 @@
+// lib/audio/index.js
+// Voice notes: load the recording (multipart upload or audioUrl), transcribe it through ./transcribers and turn the
+// transcript into note text for the model. Transcripts are stored on the session they belong to as
+//   { text, language, durationSeconds, segments: [{ start, end, text }], transcriber, model,
+//     audioUrl, fileName, audioSha256, bytes, transcribedAt, transcribedBy }
+//
+//   AUDIO_MAX_BYTES          upload / download limit (default 25 MB, the whisper API limit)
+//   AUDIO_URL_HOSTS          comma separated allowlist of audioUrl hosts; without it audioUrl is refused
+//   AUDIO_FETCH_TIMEOUT_MS   audioUrl download timeout (default 60000)
+//   TRANSCRIBE_LANGUAGE      language hint for the transcriber (default ar)
+import crypto from 'crypto';
+import path from 'path';
+import { httpError } from '@/lib/http';
+import { resolveTranscriber } from './transcribers';
+
+export const MAX_AUDIO_BYTES = parseInt(process.env.AUDIO_MAX_BYTES || String(25 * 1024 * 1024), 10);
+
+const AUDIO_EXTENSIONS = ['.mp3', '.m4a', '.mp4', '.mpeg', '.mpga', '.wav', '.webm', '.ogg', '.oga', '.opus', '.flac', '.aac', '.amr', '.3gp'];
+const MAX_TRANSCRIPT_PROMPT_CHARS = 4000;
+
+function assertAudioFile({ buffer, fileName, mimeType }) {
+    if (!buffer || !buffer.length) throw httpError('audio file is empty', 400);
+    if (buffer.length > MAX_AUDIO_BYTES) throw httpError(`audio too large (max ${MAX_AUDIO_BYTES} bytes)`, 413);
+    const type = String(mimeType || '').split(';')[0].trim().toLowerCase();
+    const ext = path.extname(String(fileName || '')).toLowerCase();
+    // phone recorders often send .m4a / .webm as video/* or application/octet-stream
+    if (type.startsWith('audio/') || type.startsWith('video/') || AUDIO_EXTENSIONS.includes(ext)) return;
+    throw httpError(`unsupported audio type ${type || ext || '(unknown)'}`, 415);
+}
+
+// Validate an audioUrl: http(s) only, and one of AUDIO_URL_HOSTS. Deny by default: the server would otherwise fetch
+// any address a caller names (internal services, cloud metadata).
+export function assertAudioUrl(audioUrl) {
+    let url;
+    try {
+        url = new URL(String(audioUrl));
+    } catch (_) {
+        throw httpError('audioUrl is not a valid URL', 400);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw httpError('audioUrl must be http(s)', 400);
+    const hosts = (process.env.AUDIO_URL_HOSTS || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean);
+    if (!hosts.length) throw httpError('audioUrl is not accepted: no audio hosts are allowed (AUDIO_URL_HOSTS); upload the file instead', 400);
+    if (!hosts.includes(url.hostname.toLowerCase())) {
+        throw httpError(`audioUrl host ${url.hostname} is not in AUDIO_URL_HOSTS`, 400);
+    }
+    return url.toString();
+}
+
+// Download the recording at audioUrl -> { buffer, fileName, mimeType }, stopping at MAX_AUDIO_BYTES
+export async function fetchAudio(audioUrl) {
+    const url = assertAudioUrl(audioUrl);
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), parseInt(process.env.AUDIO_FETCH_TIMEOUT_MS || '60000', 10));
+    try {
+        // redirects could lead off the allowlist, so none are followed; what went wrong stays in the server log
+        let res;
+        try {
+            res = await fetch(url, { signal: controller.signal, redirect: 'manual' });
+        } catch (err) {
+            console.warn(`[audio] download from ${new URL(url).hostname} failed:`, err?.message || err);
+            throw httpError('audioUrl could not be downloaded', 502);
+        }
+        if (!res.ok) {
+            console.warn(`[audio] download from ${new URL(url).hostname} answered ${res.status}`);
+            throw httpError('audioUrl could not be downloaded', 502);
+        }
+        if (Number(res.headers.get('content-length')) > MAX_AUDIO_BYTES) throw httpError(`audio too large (max ${MAX_AUDIO_BYTES} bytes)`, 413);
+
+        const chunks = [];
+        let bytes = 0;
+        for await (const chunk of res.body) {
+            bytes += chunk.length;
+            if (bytes > MAX_AUDIO_BYTES) {
+                controller.abort();
+                throw httpError(`audio too large (max ${MAX_AUDIO_BYTES} bytes)`, 413);
+            }
+            chunks.push(Buffer.from(chunk));
+        }
+        let fileName = path.basename(new URL(url).pathname);
+        try { fileName = decodeURIComponent(fileName); } catch (_) { /* keep the raw name */ }
+        return { buffer: Buffer.concat(chunks), fileName: fileName || 'audio', mimeType: res.headers.get('content-type') || '' };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+// Transcribe one recording; returns the transcript record stored on the session
+export async function transcribeAudio({ buffer, fileName = '', mimeType = '', audioUrl = null, user = null }) {
+    assertAudioFile({ buffer, fileName, mimeType });
+    let transcriber;
+    try {
+        transcriber = resolveTranscriber();
+    } catch (err) {
+        throw httpError(err.message, 500);
+    }
+    if (!transcriber.isConfigured()) throw httpError(transcriber.missingConfigHint(), 500);
+
+    let out;
+    try {
+        out = await transcriber.transcribe({ buffer, fileName, mimeType, language: process.env.TRANSCRIBE_LANGUAGE || 'ar' });
+    } catch (err) {
+        throw httpError(`transcription failed: ${err?.message || err}`, 502);
+    }
+    const seconds = (value) => Math.round((Number(value) || 0) * 100) / 100;
+    const segments = (out.segments || [])
+        .map(s => ({ start: seconds(s.start), end: seconds(s.end), text: String(s.text || '').trim() }))
+        .filter(s => s.text);
+    const text = String(out.text || '').trim() || segments.map(s => s.text).join(' ');
+    if (!text) throw httpError('no speech was recognized in the recording', 422);
+
+    return {
+        text,
+        language: out.language || null,
+        durationSeconds: typeof out.durationSeconds === 'number' ? seconds(out.durationSeconds) : null,
+        segments,
+        transcriber: transcriber.name,
+        model: out.model || null,
+        audioUrl: audioUrl || null,
+        fileName: fileName || null,
+        audioSha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+        bytes: buffer.length,
+        transcribedAt: new Date().toISOString(),
+        transcribedBy: user?.uid || null
+    };
+}
+
+// 65.4 -> "01:05" (h:mm:ss from one hour on)
+export function formatTimestamp(value) {
+    const total = Math.max(0, Math.floor(Number(value) || 0));
+    const pad = (n) => String(n).padStart(2, '0');
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    return h ? `${h}:${pad(m)}:${pad(total % 60)}` : `${pad(m)}:${pad(total % 60)}`;
+}
+
+// "[mm:ss] text" per segment (the plain text when the transcriber gave no segments)
+export function formatTranscriptForNote(transcript, { maxChars = MAX_TRANSCRIPT_PROMPT_CHARS } = {}) {
+    const lines = transcript?.segments?.length
+        ? transcript.segments.map(s => `[${formatTimestamp(s.start)}] ${s.text}`).join('\n')
+        : String(transcript?.text || '');
+    return lines.slice(0, maxChars);
+}
+
+// The note text the model sees: the typed note followed by the timestamped voice note transcript
+export function mergeTranscriptIntoNote(textNote, transcript) {
+    if (!transcript?.text) return textNote;
+    const block = `تفريغ الملاحظة الصوتية (voice note transcript):\n${formatTranscriptForNote(transcript)}`;
+    return [String(textNote || '').trim(), block].filter(Boolean).join('\n\n');
+}
+
+// `meta.transcript` of an analysis: where the transcript came from, not the text itself
+export function transcriptSummary(transcript, source) {
+    return {
+        source,
+        transcriber: transcript.transcriber || null,
+        language: transcript.language || null,
+        durationSeconds: transcript.durationSeconds ?? null,
+        segments: (transcript.segments || []).length,
+        transcribedAt: transcript.transcribedAt || null
+    };
+}
@@ -0,0 +1,22 @@
+// lib/audio/transcribers/index.js
+// Transcriber registry. A transcriber exposes name, isConfigured(), missingConfigHint(),
+// transcribe({ buffer, fileName, mimeType, language }) -> { text, language, durationSeconds, segments, model }.
+// TRANSCRIBER picks one ('openai' — default | 'stub' — fixture transcripts for dev/CI).
+import { openaiTranscriber } from './openai';
+import { stubTranscriber } from './stub';
+
+const TRANSCRIBERS = {
+    [openaiTranscriber.name]: openaiTranscriber,
+    [stubTranscriber.name]: stubTranscriber
+};
+
+export function listTranscribers() {
+    return Object.keys(TRANSCRIBERS);
+}
+
+export function resolveTranscriber(requested) {
+    const name = String(requested || process.env.TRANSCRIBER || 'openai').trim().toLowerCase();
+    const transcriber = TRANSCRIBERS[name];
+    if (!transcriber) throw new Error(`unknown transcriber "${name}" (available: ${listTranscribers().join(', ')})`);
+    return transcriber;
+}
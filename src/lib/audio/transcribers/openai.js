@@ -0,0 +1,56 @@
+// lib/audio/transcribers/openai.js
+// OpenAI-compatible /audio/transcriptions (whisper-1 by default) with verbose_json, so the answer carries segment
+// timestamps. TRANSCRIBE_BASE_URL / TRANSCRIBE_API_KEY point it at another whisper server; they fall back to the
+// OPENAI_* settings used by the model provider.
+const baseUrl = () => (process.env.TRANSCRIBE_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+const apiKey = () => process.env.TRANSCRIBE_API_KEY || process.env.OPENAI_API_KEY || '';
+
+export const openaiTranscriber = {
+    name: 'openai',
+
+    isConfigured() {
+        return !!(apiKey() || process.env.TRANSCRIBE_BASE_URL || process.env.OPENAI_BASE_URL);
+    },
+
+    missingConfigHint() {
+        return 'OPENAI_API_KEY (or TRANSCRIBE_BASE_URL / TRANSCRIBE_API_KEY) is required for the openai transcriber';
+    },
+
+    async transcribe({ buffer, fileName, mimeType, language }) {
+        const model = process.env.TRANSCRIBE_MODEL || 'whisper-1';
+        const form = new FormData();
+        form.append('file', new Blob([buffer], { type: mimeType || 'application/octet-stream' }), fileName || 'audio');
+        form.append('model', model);
+        form.append('response_format', 'verbose_json');
+        form.append('timestamp_granularities[]', 'segment');
+        if (language) form.append('language', language);
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), parseInt(process.env.TRANSCRIBE_TIMEOUT_MS || '300000', 10));
+        let res;
+        let rawText;
+        try {
+            res = await fetch(`${baseUrl()}/audio/transcriptions`, {
+                method: 'POST',
+                headers: apiKey() ? { Authorization: `Bearer ${apiKey()}` } : {},
+                body: form,
+                signal: controller.signal
+            });
+            rawText = await res.text().catch(() => '');
+        } finally {
+            clearTimeout(timeoutId);
+        }
+        let json = null;
+        try { json = JSON.parse(rawText); } catch (_) { /* not JSON */ }
+        if (!res.ok || !json || typeof json.text !== 'string') {
+            throw new Error(`transcription request failed (${res.status}): ${String(rawText).slice(0, 300)}`);
+        }
+        return {
+            text: json.text,
+            language: json.language || language || null,
+            durationSeconds: typeof json.duration === 'number' ? json.duration : null,
+            segments: Array.isArray(json.segments) ? json.segments.map(s => ({ start: s.start, end: s.end, text: s.text })) : [],
+            model
+        };
+    }
+};
@@ -0,0 +1,49 @@
+// lib/audio/transcribers/stub.js
+// Deterministic local transcriber for dev/CI: answers from fixture files instead of transcribing.
+// data/fixtures/transcripts/<first 16 hex chars of the audio's sha256>.json is used when it exists, default.json
+// otherwise (override dir with TRANSCRIBER_FIXTURES_DIR). A fixture is { language, durationSeconds, segments, text? }.
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+function fixturesDir() {
+    const dir = process.env.TRANSCRIBER_FIXTURES_DIR;
+    if (!dir) return path.join(process.cwd(), 'data', 'fixtures', 'transcripts');
+    return path.isAbsolute(dir) ? dir : path.join(process.cwd(), dir);
+}
+
+function readFixture(buffer) {
+    const dir = fixturesDir();
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16);
+    for (const name of [hash, 'default']) {
+        try {
+            return JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+        } catch (_) { /* try next */ }
+    }
+    return null;
+}
+
+export const stubTranscriber = {
+    name: 'stub',
+
+    isConfigured() {
+        return true;
+    },
+
+    missingConfigHint() {
+        return '';
+    },
+
+    async transcribe({ buffer, language }) {
+        const fixture = readFixture(buffer);
+        if (!fixture) throw new Error(`no transcript fixture in ${fixturesDir()}`);
+        const segments = Array.isArray(fixture.segments) ? fixture.segments : [];
+        return {
+            text: fixture.text || segments.map(s => s.text).join(' '),
+            language: fixture.language || language || null,
+            durationSeconds: fixture.durationSeconds ?? (segments.length ? segments[segments.length - 1].end : null),
+            segments,
+            model: 'stub'
+        };
+    }
+};
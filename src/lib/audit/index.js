@@ -0,0 +1,97 @@
+// lib/audit/index.js
+// Audit trail of access to children's clinical data, stored in the append-only auditLog (lib/data/audit):
+//   assessment.read      assessments returned by /api/assessments and /api/assessments/by-name
+//   analysis.generate    every analysis run (/api/analyze, its stream and background jobs), failed ones included
+// An event is { at, action, actor: { uid, role, email }, tenantId, childIds, assessmentIds, outcome, route, ip,
+// userAgent, details }. Details name the inputs (ids, sizes, hashes and flags), never the note or assessment text.
+// Recording never throws: an event that cannot be stored is reported in the server log and the request goes on.
+import crypto from 'crypto';
+import { appendAuditEvent } from '@/lib/data/audit';
+
+export const AUDIT_ACTIONS = ['assessment.read', 'analysis.generate'];
+
+const unique = (values) => [...new Set(values.filter(Boolean).map(String))];
+const fingerprint = (text) => crypto.createHash('sha256').update(String(text)).digest('hex').slice(0, 16);
+
+// Where a request came from: { route, ip, userAgent }
+export function requestContext(request) {
+    if (!request) return {};
+    const forwarded = request.headers.get('x-forwarded-for') || '';
+    return {
+        route: new URL(request.url).pathname,
+        ip: forwarded.split(',')[0].trim() || request.headers.get('x-real-ip') || null,
+        userAgent: (request.headers.get('user-agent') || '').slice(0, 200) || null
+    };
+}
+
+export async function recordAuditEvent({ action, user, context = {}, childIds = [], assessmentIds = [], outcome = 'ok', details = {} }) {
+    try {
+        return await appendAuditEvent({
+            at: new Date().toISOString(),
+            action,
+            actor: user ? { uid: user.uid, role: user.role || null, email: user.email || null } : null,
+            tenantId: user?.tenantId || null,
+            childIds: unique(childIds),
+            assessmentIds: unique(assessmentIds),
+            outcome,
+            route: context.route || null,
+            ip: context.ip || null,
+            userAgent: context.userAgent || null,
+            details
+        });
+    } catch (err) {
+        console.error(`[audit] ${action} by ${user?.uid || '?'} not recorded:`, err?.message || err);
+        return null;
+    }
+}
+
+// Audit the assessments ({ id, data }) a read returned to `user`
+export async function auditAssessmentRead({ user, context, results, details = {} }) {
+    return recordAuditEvent({
+        action: 'assessment.read',
+        user,
+        context,
+        childIds: results.map(r => r.data?.childId),
+        assessmentIds: results.map(r => r.id),
+        details: { count: results.length, ...details }
+    });
+}
+
+// Audit one analysis: the request body, and the { ai, meta } result or the error it failed with
+export async function auditAnalysis({ user, context, body = {}, result = null, error = null }) {
+    const meta = result?.meta || {};
+    const textNote = String(body.textNote || '');
+    return recordAuditEvent({
+        action: 'analysis.generate',
+        user,
+        context,
+        childIds: [meta.childId, body.childId],
+        assessmentIds: [meta.assessmentId, body.assessmentId, body.assessmentDoc?.id],
+        outcome: error ? 'failed' : 'ok',
+        details: {
+            analysisType: meta.analysisType || body.analysisType || body.planType || 'general',
+            provider: meta.provider || body.provider || null,
+            prompt: meta.prompt || (body.promptVersion ? { version: body.promptVersion } : null),
+            planId: meta.planId || body.planId || null,
+            planVersion: meta.planVersion || null,
+            sessionId: meta.sessionId || body.sessionId || null,
+            inputs: {
+                textNote: textNote ? { chars: textNote.length, sha256: fingerprint(textNote) } : null,
+                audio: !!body.audioUrl,
+                transcript: meta.transcript ? { source: meta.transcript.source, segments: meta.transcript.segments } : null,
+                assessment: !!(body.assessmentDoc || body.assessmentData),
+                assessmentReport: !!body.assessmentReport,
+                familyReport: !!(body.familyReport || body.reportData || body.generatedReport),
+                curriculumSelection: !!body.curriculumSelection,
+                clientMessages: Array.isArray(body.messagesForModel) && body.messagesForModel.length > 0,
+                curriculumIndicatorIds: meta.curriculum?.indicatorIds || [],
+                retrievedChunkIds: (meta.retrievedChunks || []).map(c => c.id),
+                recentSessionIds: meta.recentSessionIds || []
+            },
+            privacy: meta.privacy || null,
+            cache: meta.cache ? meta.cache.source : null,
+            safety: meta.safety ? { flagged: meta.safety.flagged, escalationId: meta.safety.escalationId || null } : null,
+            error: error ? { status: error.status || 500, message: String(error.message || error).slice(0, 300) } : null
+        }
+    });
+}
@@ -0,0 +1,130 @@
+// lib/auth.js
+// Firebase ID-token authentication and role/child-link checks for the API routes.
+//
+// Callers send `Authorization: Bearer <Firebase ID token>`. The role comes from the `role`
+// custom claim, falling back to users/{uid}.role. A user is linked to a child when the child's
+// id / assessment id is listed on their profile, or when the assessment names them as
+// assigned teacher/specialist or guardian. Admins see everything.
+//
+// The tenant (center) of the caller comes from the `tenantId` custom claim, falling back to users/{uid}.tenantId.
+//
+// AUTH_DISABLED=true skips verification (local dev / CI only) and treats the caller as admin
+// (of the AUTH_DEV_TENANT_ID tenant, when set).
+import { initializeAdminIfPossible } from '@/lib/firebase/admin';
+import { getUserProfile } from '@/lib/data/users';
+import { httpError } from '@/lib/http';
+
+export const ROLES = ['teacher', 'specialist', 'parent', 'admin'];
+export const STAFF_ROLES = ['teacher', 'specialist', 'admin'];
+
+function bearerToken(request) {
+    const header = request.headers.get('authorization') || '';
+    const m = header.match(/^Bearer\s+(.+)$/i);
+    return m ? m[1].trim() : null;
+}
+
+const devUser = () => ({ uid: 'dev', email: null, role: 'admin', tenantId: process.env.AUTH_DEV_TENANT_ID || null, childIds: [], assessmentIds: [], anonymousDev: true });
+
+// { uid, email, role, tenantId, childIds, assessmentIds } from the custom claims and users/{uid}
+async function userAccess({ uid, email, claims }, roles) {
+    const profile = await getUserProfile(uid).catch(() => null);
+    const role = claims?.role || profile?.role || null;
+    if (!role || !ROLES.includes(role)) throw httpError('no role assigned to this account', 403);
+    if (!roles.includes(role)) throw httpError(`role "${role}" is not allowed to use this endpoint`, 403);
+
+    return {
+        uid,
+        email: email || null,
+        role,
+        tenantId: claims?.tenantId || profile?.tenantId || null,
+        childIds: Array.isArray(profile?.childIds) ? profile.childIds.map(String) : [],
+        assessmentIds: Array.isArray(profile?.assessmentIds) ? profile.assessmentIds.map(String) : []
+    };
+}
+
+// Verify the caller and (optionally) their role. Throws 401/403 http errors.
+// Returns { uid, email, role, tenantId, childIds, assessmentIds }.
+export async function authenticate(request, { roles = ROLES } = {}) {
+    if (process.env.AUTH_DISABLED === 'true') return devUser();
+
+    const token = bearerToken(request);
+    if (!token) throw httpError('missing Authorization: Bearer <Firebase ID token>', 401);
+
+    const app = await initializeAdminIfPossible();
+    if (!app) throw httpError('authentication unavailable (firebase-admin credentials missing)', 503);
+
+    let decoded;
+    try {
+        const { getAuth } = await import('firebase-admin/auth');
+        decoded = await getAuth(app).verifyIdToken(token);
+    } catch (err) {
+        throw httpError(`invalid or expired ID token: ${err?.code || err?.message || err}`, 401);
+    }
+
+    return userAccess({ uid: decoded.uid, email: decoded.email, claims: decoded }, roles);
+}
+
+// Current role and links of `uid` without a request (background work acting for a user, e.g. analysis jobs).
+// Same shape and errors as authenticate(); a deleted or disabled account gets 403.
+export async function loadUser(uid, { roles = ROLES } = {}) {
+    if (process.env.AUTH_DISABLED === 'true') return devUser();
+
+    const app = await initializeAdminIfPossible();
+    if (!app) throw httpError('authentication unavailable (firebase-admin credentials missing)', 503);
+
+    let record;
+    try {
+        const { getAuth } = await import('firebase-admin/auth');
+        record = await getAuth(app).getUser(String(uid));
+    } catch (err) {
+        if (err?.code === 'auth/user-not-found') throw httpError('the account no longer exists', 403);
+        throw httpError(`could not load account ${uid}: ${err?.code || err?.message || err}`, 503);
+    }
+    if (record.disabled) throw httpError('the account is disabled', 403);
+
+    return userAccess({ uid: record.uid, email: record.email, claims: record.customClaims || {} }, roles);
+}
+
+function assessmentLinkedUids(data) {
+    return [
+        data?.assignedTeacherId,
+        data?.assignedSpecialistId,
+        data?.guardianUid,
+        ...(Array.isArray(data?.accessUids) ? data.accessUids : [])
+    ].filter(Boolean).map(String);
+}
+
+// Can `user` see the child behind this assessment ({ id, data } as returned by the repositories)?
+export function canAccessAssessment(user, assessment) {
+    if (!user || !assessment) return false;
+    if (user.role === 'admin') return true;
+    const data = assessment.data || {};
+    if (user.assessmentIds.includes(String(assessment.id))) return true;
+    if (data.childId && user.childIds.includes(String(data.childId))) return true;
+    return assessmentLinkedUids(data).includes(user.uid);
+}
+
+// Child reference check for records that only carry { childId, assessmentId } (plans, sessions...).
+// `loadAssessment(id)` is used to resolve assessment-level links when needed.
+// With both ids, the user must be linked to the assessment, and the childId must be the assessment's child unless
+// the user is linked to that child directly: callers read and write by childId, so an assessment link alone must
+// not open another child's records.
+export async function canAccessChildRef(user, { childId, assessmentId } = {}, loadAssessment) {
+    if (!user) return false;
+    if (user.role === 'admin') return true;
+    const childLinked = !!childId && user.childIds.includes(String(childId));
+    if (!assessmentId) return childLinked;
+    if (user.assessmentIds.includes(String(assessmentId)) && (!childId || childLinked)) return true;
+    if (!loadAssessment) return false;
+    const assessment = await loadAssessment(assessmentId).catch(() => null);
+    // a record pointing at a deleted assessment stays reachable through its child link
+    if (!assessment) return childLinked;
+    if (!canAccessAssessment(user, assessment)) return false;
+    return !childId || childLinked || String(assessment.data?.childId || '') === String(childId);
+}
+
+export async function assertCanAccessChildRef(user, ref, loadAssessment) {
+    if (!(await canAccessChildRef(user, ref, loadAssessment))) {
+        throw httpError('you are not linked to this child', 403);
+    }
+}
@@ -0,0 +1,225 @@
+// lib/curriculum/index.js
+// Structured curriculum: domains -> detailed goals -> indicators, tagged with age bands.
+// Source is data/curriculum.json (override with CURRICULUM_PATH). The legacy flat
+// [{ id, title, content }] format is still accepted and mapped to one domain per item.
+import fs from 'fs';
+import path from 'path';
+import { normalizeArabicText, keywordTokens } from '@/lib/arabic/text';
+
+let _cache = null;
+
+function curriculumPath() {
+    const p = process.env.CURRICULUM_PATH;
+    if (!p) return path.join(process.cwd(), 'data', 'curriculum.json');
+    return path.isAbsolute(p) ? p : path.join(process.cwd(), p);
+}
+
+function fromLegacyList(items) {
+    return {
+        version: 1,
+        ageBands: [],
+        domains: items.map(item => ({
+            id: String(item.id),
+            title: item.title || String(item.id),
+            domainGoal: '',
+            keywords: [],
+            detailGoals: [{
+                id: `${item.id}.content`,
+                text: item.title || '',
+                ageBands: [],
+                keywords: [],
+                indicators: [{ id: `${item.id}.content.1`, text: String(item.content || ''), ageBand: null, keywords: [] }]
+            }]
+        }))
+    };
+}
+
+// Load (and cache until the file changes) the curriculum model
+export function loadCurriculum() {
+    const file = curriculumPath();
+    let mtimeMs = 0;
+    try {
+        mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (e) {
+        console.warn('[curriculum] curriculum file missing:', file);
+        return { version: 0, ageBands: [], domains: [] };
+    }
+    if (_cache && _cache.file === file && _cache.mtimeMs === mtimeMs) return _cache.model;
+
+    let model;
+    try {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        model = Array.isArray(raw) ? fromLegacyList(raw) : { version: raw.version || 2, ageBands: raw.ageBands || [], domains: raw.domains || [] };
+    } catch (e) {
+        console.warn('[curriculum] failed to parse curriculum file:', e.message);
+        return { version: 0, ageBands: [], domains: [] };
+    }
+    _cache = { file, mtimeMs, model };
+    return model;
+}
+
+// Flat list of indicators with their domain/detail-goal context
+export function allIndicators(model = loadCurriculum()) {
+    const out = [];
+    for (const domain of model.domains) {
+        for (const goal of domain.detailGoals || []) {
+            for (const indicator of goal.indicators || []) {
+                out.push({ indicator, goal, domain });
+            }
+        }
+    }
+    return out;
+}
+
+// Bands are whole years (3–5, 6–8, ...); an age from a birth date is fractional, so 5.5 counts as 5
+export function ageBandForAge(age, model = loadCurriculum()) {
+    const years = Math.floor(parseFloat(age));
+    if (!Number.isFinite(years)) return null;
+    const band = model.ageBands.find(b => years >= b.minAge && years <= b.maxAge);
+    return band ? band.id : null;
+}
+
+// Domain tree for the browse API; `ageBand` keeps only goals/indicators for that band
+export function listDomains({ ageBand, withIndicators = true } = {}) {
+    const model = loadCurriculum();
+    const fitsBand = (bands) => !ageBand || !bands || !bands.length || bands.includes(ageBand);
+    return model.domains.map(domain => ({
+        id: domain.id,
+        title: domain.title,
+        domainGoal: domain.domainGoal || '',
+        detailGoals: (domain.detailGoals || [])
+            .filter(goal => fitsBand(goal.ageBands))
+            .map(goal => ({
+                id: goal.id,
+                text: goal.text,
+                ageBands: goal.ageBands || [],
+                ...(withIndicators ? {
+                    indicators: (goal.indicators || [])
+                        .filter(ind => fitsBand(ind.ageBand ? [ind.ageBand] : []))
+                        .map(ind => ({ id: ind.id, text: ind.text, ageBand: ind.ageBand || null }))
+                } : {})
+            }))
+    }));
+}
+
+export function getDomain(id, options) {
+    return listDomains(options).find(d => d.id === String(id)) || null;
+}
+
+// -----------------------
+// Selection resolution (exact) and keyword retrieval (fallback)
+// -----------------------
+
+const labelOf = (v) => (v && typeof v === 'object') ? (v.id || v.text || v.title || '') : String(v || '');
+const sameText = (a, b) => normalizeArabicText(a) === normalizeArabicText(b);
+
+// Map the frontend's curriculumSelection ({ domain, detailGoal, selectedIndicators }) onto the model.
+// Entries may be ids, texts or { id, text/title } objects.
+export function resolveSelection(selection, model = loadCurriculum()) {
+    if (!selection || typeof selection !== 'object') return null;
+    const entries = allIndicators(model);
+
+    const domainRef = selection.domain;
+    const domain = domainRef ? model.domains.find(d => d.id === labelOf(domainRef) || sameText(d.title, domainRef?.title || labelOf(domainRef))) : null;
+
+    const goalRef = selection.detailGoal;
+    const goalPool = domain ? (domain.detailGoals || []) : model.domains.flatMap(d => d.detailGoals || []);
+    const goal = goalRef ? goalPool.find(g => g.id === labelOf(goalRef) || sameText(g.text, goalRef?.text || labelOf(goalRef))) : null;
+
+    const refs = Array.isArray(selection.selectedIndicators) ? selection.selectedIndicators : [];
+    const matched = [];
+    const unmatched = [];
+    for (const ref of refs) {
+        const key = labelOf(ref);
+        const text = ref && typeof ref === 'object' ? (ref.text || ref.title || '') : String(ref || '');
+        const hit = entries.find(e => e.indicator.id === key || sameText(e.indicator.text, text));
+        if (hit) matched.push(hit);
+        else if (text || key) unmatched.push(text || key);
+    }
+
+    // a detail goal without explicit indicators selects all of its indicators
+    if (!refs.length && goal) {
+        entries.filter(e => e.goal.id === goal.id).forEach(e => matched.push(e));
+    }
+
+    return {
+        domain: domain || (matched[0] && matched[0].domain) || null,
+        goal: goal || (matched[0] && matched[0].goal) || null,
+        indicators: matched,
+        unmatched
+    };
+}
+
+function keywordHit(token, keyword) {
+    if (token === keyword) return 1;
+    if (token.length >= 3 && keyword.length >= 3 && (token.includes(keyword) || keyword.includes(token))) return 0.7;
+    return 0;
+}
+
+// Score every indicator against free text (note, curriculum query). Keywords weigh more than plain text.
+export function searchIndicators(text, { ageBand = null, limit = 5, domainId = null } = {}) {
+    const queryTokens = Array.from(new Set(keywordTokens(text)));
+    if (!queryTokens.length) return [];
+
+    const scored = allIndicators().map(entry => {
+        const { indicator, goal, domain } = entry;
+        const weighted = [
+            ...[...(indicator.keywords || []), ...(goal.keywords || [])].flatMap(k => keywordTokens(k)).map(t => [t, 3]),
+            ...(domain.keywords || []).flatMap(k => keywordTokens(k)).map(t => [t, 1.5]),
+            ...keywordTokens(`${indicator.text} ${goal.text}`).map(t => [t, 1])
+        ];
+        let score = 0;
+        for (const q of queryTokens) {
+            let best = 0;
+            for (const [t, w] of weighted) best = Math.max(best, keywordHit(q, t) * w);
+            score += best;
+        }
+        if (ageBand && indicator.ageBand && indicator.ageBand !== ageBand) score *= 0.5;
+        if (domainId && domain.id !== domainId) score *= 0.5;
+        return { ...entry, score: Math.round(score * 100) / 100 };
+    });
+
+    return scored
+        .filter(e => e.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+// Build the curriculum context for a plan request: exact selection first, keyword retrieval otherwise.
+// Returns { source: 'selection' | 'keywords' | 'none', domain, goal, indicators, unmatched }.
+export function retrieveCurriculum({ selection, text, age, limit = 5 } = {}) {
+    const ageBand = ageBandForAge(age);
+    const resolved = resolveSelection(selection);
+    if (resolved && resolved.indicators.length) {
+        return { source: 'selection', ageBand, ...resolved };
+    }
+
+    const query = [text, resolved?.goal?.text, resolved?.domain?.title].filter(Boolean).join(' ');
+    const hits = searchIndicators(query, { ageBand, limit, domainId: resolved?.domain?.id || null });
+    if (!hits.length) {
+        return { source: 'none', ageBand, domain: resolved?.domain || null, goal: resolved?.goal || null, indicators: [], unmatched: resolved?.unmatched || [] };
+    }
+    return { source: 'keywords', ageBand, domain: resolved?.domain || hits[0].domain, goal: resolved?.goal || null, indicators: hits, unmatched: resolved?.unmatched || [] };
+}
+
+// Compact prompt section listing the exact indicators (grouped by domain / detailed goal)
+export function formatCurriculumForPrompt(retrieval) {
+    if (!retrieval || !retrieval.indicators.length) return '';
+    const groups = new Map();
+    for (const { indicator, goal, domain } of retrieval.indicators) {
+        const key = `${domain.id}|${goal.id}`;
+        if (!groups.has(key)) groups.set(key, { domain, goal, items: [] });
+        groups.get(key).items.push(indicator);
+    }
+    const lines = [];
+    for (const { domain, goal, items } of groups.values()) {
+        lines.push(`المجال: ${domain.title}${domain.domainGoal ? ` — ${domain.domainGoal}` : ''}`);
+        lines.push(`الهدف التفصيلي [${goal.id}]: ${goal.text}`);
+        items.forEach(ind => lines.push(`- المؤشر [${ind.id}]${ind.ageBand ? ` (${ind.ageBand})` : ''}: ${ind.text}`));
+        lines.push('');
+    }
+    if (retrieval.unmatched && retrieval.unmatched.length) {
+        lines.push(`مؤشرات أخرى اختارتها المعلمة:\n- ${retrieval.unmatched.join('\n- ')}`);
+    }
+    return lines.join('\n').trim();
+}
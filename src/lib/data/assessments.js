@@ -0,0 +1,237 @@
+// lib/data/assessments.js
+// Assessments repository (collection written by the assessment questionnaire frontend).
+import { httpError } from '@/lib/http';
+import { nameTokens, buildNameSearchKey, scoreNameMatch } from '@/lib/arabic/names';
+import { requireDb, docToResult, COLLECTIONS } from './firestore';
+
+// precomputed normalized name written on each assessment: { key: 'احمد محمد', tokens: ['احمد', 'محمد'] }
+const SEARCH_TOKENS_FIELD = 'childNameSearch.tokens';
+
+export function childNameOf(data) {
+    return data?.assessmentData?.basicInfo?.childName || '';
+}
+
+export async function getAssessment(id) {
+    const db = await requireDb();
+    const doc = await db.collection(COLLECTIONS.assessments).doc(String(id)).get();
+    if (!doc.exists) throw httpError(`assessment ${id} not found`, 404);
+    return docToResult(doc);
+}
+
+// the queries for assessments that name `uid` (assigned teacher / specialist, guardian, accessUids)
+function linkedToUidQueries(col, uid) {
+    return [
+        col.where('assignedTeacherId', '==', String(uid)).limit(500).get(),
+        col.where('assignedSpecialistId', '==', String(uid)).limit(500).get(),
+        col.where('guardianUid', '==', String(uid)).limit(500).get(),
+        col.where('accessUids', 'array-contains', String(uid)).limit(500).get()
+    ];
+}
+
+// Assessments that name `uid` as assigned teacher / specialist, guardian or in accessUids -> [{ id, childId }]
+export async function listAssessmentRefsLinkedTo(uid) {
+    const db = await requireDb();
+    const snaps = await Promise.all(linkedToUidQueries(db.collection(COLLECTIONS.assessments), uid));
+    const refs = new Map();
+    for (const snap of snaps) snap.docs.forEach(doc => refs.set(doc.id, { id: doc.id, childId: doc.data()?.childId || null }));
+    return [...refs.values()];
+}
+
+// Every assessment a non-admin user is linked to (see lib/auth): the ones naming them, the ones of the children
+// and the assessment ids on their profile -> [{ id, data }]
+export async function listLinkedAssessments({ uid, childIds = [], assessmentIds = [] }) {
+    const db = await requireDb();
+    const col = db.collection(COLLECTIONS.assessments);
+    const queries = linkedToUidQueries(col, uid);
+    const children = [...new Set(childIds.filter(Boolean).map(String))];
+    for (let i = 0; i < children.length; i += 30) queries.push(col.where('childId', 'in', children.slice(i, i + 30)).limit(500).get());
+    const found = new Map();
+    for (const snap of await Promise.all(queries)) snap.docs.forEach(doc => found.set(doc.id, docToResult(doc)));
+    const missing = [...new Set(assessmentIds.filter(Boolean).map(String))].filter(id => !found.has(id)).slice(0, 500);
+    for (const doc of await Promise.all(missing.map(id => col.doc(id).get()))) {
+        if (doc.exists) found.set(doc.id, docToResult(doc));
+    }
+    return [...found.values()];
+}
+
+// Ranked fuzzy search by child name. Candidates come from the precomputed token index
+// (childNameSearch.tokens) plus a window of recent assessments, and are scored with
+// scoreNameMatch(). Returns [{ id, data, score, matchedName }] best first.
+// `candidates` ([{ id, data }], e.g. listLinkedAssessments()) ranks only those assessments instead.
+// Read-only: documents without the search key are normalized on the fly. This backend does not write assessments,
+// so the key is only written by backfillNameSearchKeys (POST /api/assessments/search-keys), which has to be run
+// for new assessments to become index hits.
+export async function searchAssessmentsByChildName(childName, options = {}) {
+    const queryTokens = nameTokens(childName);
+    if (!queryTokens.length) return [];
+
+    const limit = options.limit && options.limit > 0 ? options.limit : 5;
+    const minScore = typeof options.minScore === 'number' ? options.minScore : 0.6;
+    const scanLimit = options.scanLimit || 200;
+
+    const candidates = new Map();
+    if (Array.isArray(options.candidates)) {
+        options.candidates.forEach(r => candidates.set(r.id, r));
+    } else {
+        const db = await requireDb();
+        const col = db.collection(COLLECTIONS.assessments);
+
+        // 1) token index hit (cheap, only documents that already carry the search key)
+        const indexSnap = await col.where(SEARCH_TOKENS_FIELD, 'array-contains-any', queryTokens.slice(0, 10)).limit(100).get();
+        indexSnap.docs.forEach(doc => candidates.set(doc.id, docToResult(doc)));
+
+        // 2) recent window for fuzzy/typo matches and documents written before the search key existed
+        // WARNING: this reads more documents — keep scanLimit reasonable
+        const hasExact = indexSnap.docs.some(doc => doc.data()?.childNameSearch?.key === queryTokens.join(' '));
+        if (!hasExact || options.alwaysScan) {
+            let q = col;
+            if (options.orderByCreatedAt !== false) q = q.orderBy('createdAt', 'desc');
+            const scanSnap = await q.limit(scanLimit).get();
+            scanSnap.docs.forEach(doc => candidates.set(doc.id, docToResult(doc)));
+        }
+    }
+
+    const ranked = [];
+    for (const { id, data } of candidates.values()) {
+        const rawName = childNameOf(data);
+        if (!rawName) continue;
+        const tokens = data?.childNameSearch?.key ? data.childNameSearch.key.split(' ') : nameTokens(rawName);
+        const score = scoreNameMatch(queryTokens, tokens);
+        if (score >= minScore) ranked.push({ id, data, score, matchedName: rawName });
+    }
+
+    ranked.sort((a, b) => (b.score - a.score) || createdAtIso(b.data).localeCompare(createdAtIso(a.data)));
+    return ranked.slice(0, limit);
+}
+
+async function writeNameSearchKeys(db, docs) {
+    for (let i = 0; i < docs.length; i += 400) {
+        const batch = db.batch();
+        docs.slice(i, i + 400).forEach(doc => {
+            batch.set(doc.ref, { childNameSearch: buildNameSearchKey(childNameOf(doc.data())) }, { merge: true });
+        });
+        await batch.commit();
+    }
+}
+
+// Backfill/refresh childNameSearch on a page of assessments (ordered by document id).
+// Returns { updated, scanned, nextCursor } — call again with nextCursor until it is null.
+export async function backfillNameSearchKeys({ pageSize = 300, cursor = null } = {}) {
+    const db = await requireDb();
+    const { FieldPath } = await import('firebase-admin/firestore');
+    let q = db.collection(COLLECTIONS.assessments).orderBy(FieldPath.documentId()).limit(pageSize);
+    if (cursor) q = q.startAfter(String(cursor));
+    const snap = await q.get();
+    const stale = snap.docs.filter(doc => {
+        const data = doc.data();
+        const name = childNameOf(data);
+        return name && data?.childNameSearch?.key !== buildNameSearchKey(name).key;
+    });
+    await writeNameSearchKeys(db, stale);
+    return {
+        scanned: snap.size,
+        updated: stale.length,
+        nextCursor: snap.size === pageSize ? snap.docs[snap.size - 1].id : null
+    };
+}
+
+// Firestore paths of the filterable assessment fields
+export const ASSESSMENT_FILTER_FIELDS = {
+    childId: 'childId',
+    guardianPhone: 'assessmentData.basicInfo.guardianPhone',
+    assignedTeacher: 'assignedTeacherId',
+    diagnosis: 'assessmentData.diagnosis',
+    severity: 'assessmentData.autismSeverity'
+};
+
+// Phones are stored as typed; query the common spellings of the same number
+function phoneVariants(phone) {
+    const arabicDigits = '٠١٢٣٤٥٦٧٨٩';
+    const raw = String(phone).trim();
+    const digits = raw.replace(/[٠-٩]/g, d => String(arabicDigits.indexOf(d))).replace(/\D/g, '');
+    return Array.from(new Set([raw, digits, digits && `+${digits}`, digits.startsWith('00') ? `+${digits.slice(2)}` : null].filter(Boolean)));
+}
+
+// createdAt is a Firestore Timestamp or an ISO string depending on the writer -> ISO string ('' when missing)
+function createdAtIso(data) {
+    const value = data?.createdAt;
+    return String(value?.toDate ? value.toDate().toISOString() : value || '');
+}
+
+const valueAt = (data, path) => path.split('.').reduce((v, key) => v?.[key], data);
+
+function matchesFilters(data, filters) {
+    for (const key of ['childId', 'assignedTeacher', 'diagnosis', 'severity']) {
+        if (filters[key] && String(valueAt(data, ASSESSMENT_FILTER_FIELDS[key]) ?? '') !== String(filters[key])) return false;
+    }
+    if (filters.guardianPhone && !phoneVariants(filters.guardianPhone).includes(String(valueAt(data, ASSESSMENT_FILTER_FIELDS.guardianPhone) ?? ''))) return false;
+    const createdAt = createdAtIso(data);
+    if (filters.createdFrom && !(createdAt && createdAt >= filters.createdFrom.toISOString())) return false;
+    if (filters.createdTo && !(createdAt && createdAt <= filters.createdTo.toISOString())) return false;
+    return true;
+}
+
+// Firestore range filters only match values of the same type, so the createdFrom / createdTo bounds are
+// compared in the representation of the newest assessment (Timestamp or ISO string). A collection mixing
+// both only matches the documents stored like the newest one.
+async function createdAtBounds(col, filters) {
+    if (!filters.createdFrom && !filters.createdTo) return {};
+    const snap = await col.orderBy('createdAt', 'desc').limit(1).get();
+    const asString = typeof snap.docs[0]?.data()?.createdAt === 'string';
+    const bound = date => (date && asString ? date.toISOString() : date);
+    return { from: bound(filters.createdFrom), to: bound(filters.createdTo) };
+}
+
+// General assessment query ordered by createdAt (newest first) with cursor pagination.
+// `cursor` is the id of the last document of the previous page. Returns { results, nextCursor }.
+// `candidates` ([{ id, data }], e.g. listLinkedAssessments()) filters and pages through only those assessments.
+export async function queryAssessments(filters = {}, { limit = 20, cursor = null, candidates } = {}) {
+    if (candidates) return pageCandidates(candidates, filters, { limit, cursor });
+
+    const db = await requireDb();
+    const col = db.collection(COLLECTIONS.assessments);
+
+    if (filters.id) {
+        const doc = await col.doc(String(filters.id)).get();
+        return { results: doc.exists ? [docToResult(doc)] : [], nextCursor: null };
+    }
+
+    let q = col;
+    for (const key of ['childId', 'assignedTeacher', 'diagnosis', 'severity']) {
+        if (filters[key]) q = q.where(ASSESSMENT_FILTER_FIELDS[key], '==', String(filters[key]));
+    }
+    if (filters.guardianPhone) q = q.where(ASSESSMENT_FILTER_FIELDS.guardianPhone, 'in', phoneVariants(filters.guardianPhone));
+    const { from, to } = await createdAtBounds(col, filters);
+    if (from) q = q.where('createdAt', '>=', from);
+    if (to) q = q.where('createdAt', '<=', to);
+    q = q.orderBy('createdAt', 'desc');
+
+    if (cursor) {
+        const last = await col.doc(String(cursor)).get();
+        if (!last.exists) throw httpError('invalid cursor', 400);
+        q = q.startAfter(last);
+    }
+
+    // read one extra document to know whether another page exists
+    const snap = await q.limit(limit + 1).get();
+    const docs = snap.docs.slice(0, limit);
+    return {
+        results: docs.map(docToResult),
+        nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null
+    };
+}
+
+// In-memory version of queryAssessments() over a known set of assessments (both createdAt representations match)
+function pageCandidates(candidates, filters, { limit, cursor }) {
+    const matching = candidates
+        .filter(r => (filters.id ? r.id === String(filters.id) : true) && matchesFilters(r.data, filters))
+        .sort((a, b) => createdAtIso(b.data).localeCompare(createdAtIso(a.data)) || a.id.localeCompare(b.id));
+    let start = 0;
+    if (cursor) {
+        const index = matching.findIndex(r => r.id === String(cursor));
+        if (index < 0) throw httpError('invalid cursor', 400);
+        start = index + 1;
+    }
+    const results = matching.slice(start, start + limit);
+    return { results, nextCursor: matching.length > start + limit ? results[results.length - 1].id : null };
+}
@@ -0,0 +1,45 @@
+// lib/data/audit.js
+// Audit log repository: one document per audited event (see lib/audit). The log is append-only: events are created
+// with create() (never overwritten) and this module has no update or delete.
+import { httpError } from '@/lib/http';
+import { requireDb, COLLECTIONS } from './firestore';
+
+const AUDIT_LOG = COLLECTIONS.auditLog;
+
+export async function appendAuditEvent(event) {
+    const db = await requireDb();
+    const ref = db.collection(AUDIT_LOG).doc();
+    const doc = { ...event, at: event.at || new Date().toISOString() };
+    await ref.create(doc);
+    return { id: ref.id, ...doc };
+}
+
+// Events ordered by `at` (newest first) with cursor pagination; `cursor` is the id of the last event of the previous
+// page. Filters: uid, childId (or assessmentId), action, from / to (ISO dates). Returns { events, nextCursor }.
+export async function queryAuditEvents(filters = {}, { limit = 50, cursor = null } = {}) {
+    const db = await requireDb();
+    const col = db.collection(AUDIT_LOG);
+
+    let q = col;
+    if (filters.uid) q = q.where('actor.uid', '==', String(filters.uid));
+    if (filters.action) q = q.where('action', '==', String(filters.action));
+    if (filters.childId) q = q.where('childIds', 'array-contains', String(filters.childId));
+    else if (filters.assessmentId) q = q.where('assessmentIds', 'array-contains', String(filters.assessmentId));
+    if (filters.from) q = q.where('at', '>=', filters.from);
+    if (filters.to) q = q.where('at', '<=', filters.to);
+    q = q.orderBy('at', 'desc');
+
+    if (cursor) {
+        const last = await col.doc(String(cursor)).get();
+        if (!last.exists) throw httpError('invalid cursor', 400);
+        q = q.startAfter(last);
+    }
+
+    // read one extra document to know whether another page exists
+    const snap = await q.limit(limit + 1).get();
+    const docs = snap.docs.slice(0, limit);
+    return {
+        events: docs.map(d => ({ id: d.id, ...d.data() })),
+        nextCursor: snap.docs.length > limit ? docs[docs.length - 1].id : null
+    };
+}
@@ -0,0 +1,83 @@
+// lib/data/escalations.js
+// Safety escalations repository: one document per safety concern raised by an analysis (see lib/safety).
+//   status: open -> acknowledged -> resolved (open -> resolved directly is allowed)
+// Every change is appended to the document's `audit` list ({ at, action, by, note }) in the same transaction.
+import { httpError } from '@/lib/http';
+import { requireDb, COLLECTIONS } from './firestore';
+
+const ESCALATIONS = COLLECTIONS.safetyEscalations;
+
+export async function createEscalation(fields) {
+    const db = await requireDb();
+    const now = new Date().toISOString();
+    const ref = db.collection(ESCALATIONS).doc();
+    const doc = { ...fields, createdAt: now, updatedAt: now };
+    await ref.set(doc);
+    return { id: ref.id, ...doc };
+}
+
+export async function getEscalation(id) {
+    const db = await requireDb();
+    const snap = await db.collection(ESCALATIONS).doc(String(id)).get();
+    if (!snap.exists) throw httpError(`escalation ${id} not found`, 404);
+    return { id: snap.id, ...snap.data() };
+}
+
+// The escalation still open (or acknowledged) for the same concern, or null
+export async function findUnresolvedEscalation(fingerprint) {
+    const db = await requireDb();
+    const snap = await db.collection(ESCALATIONS).where('fingerprint', '==', String(fingerprint)).limit(20).get();
+    const found = snap.docs.map(d => ({ id: d.id, ...d.data() })).find(e => e.status !== 'resolved');
+    return found || null;
+}
+
+// Newest first, filtered in memory so no composite index is needed
+export async function listEscalations({ status, childId, assessmentId, limit = 50 } = {}) {
+    const db = await requireDb();
+    let q = db.collection(ESCALATIONS);
+    if (childId) q = q.where('childId', '==', String(childId));
+    else if (assessmentId) q = q.where('assessmentId', '==', String(assessmentId));
+    else if (status) q = q.where('status', '==', String(status));
+    const snap = await q.limit(500).get();
+    return snap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(e => !status || e.status === status)
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+        .slice(0, limit);
+}
+
+// Escalations of the given children / assessments, newest first. Queried per id (Firestore `in`, 30 ids per query)
+// so a supervisor's own escalations are found however many other escalations exist.
+export async function listEscalationsByRefs({ childIds = [], assessmentIds = [], status, limit = 50 } = {}) {
+    const db = await requireDb();
+    const col = db.collection(ESCALATIONS);
+    const queries = [];
+    for (const [field, ids] of [['childId', childIds], ['assessmentId', assessmentIds]]) {
+        const unique = [...new Set(ids.filter(Boolean).map(String))];
+        for (let i = 0; i < unique.length; i += 30) queries.push(col.where(field, 'in', unique.slice(i, i + 30)).limit(500).get());
+    }
+    const found = new Map();
+    for (const snap of await Promise.all(queries)) {
+        snap.docs.forEach(d => found.set(d.id, { id: d.id, ...d.data() }));
+    }
+    return [...found.values()]
+        .filter(e => !status || e.status === status)
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')))
+        .slice(0, limit);
+}
+
+// Apply `change(current)` -> { patch, audit } atomically: `audit` entries are appended to the trail.
+// `change` may throw (e.g. httpError 409 for a transition that is not allowed) to abort.
+export async function updateEscalation(id, change) {
+    const db = await requireDb();
+    const ref = db.collection(ESCALATIONS).doc(String(id));
+    return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) throw httpError(`escalation ${id} not found`, 404);
+        const current = { id: snap.id, ...snap.data() };
+        const { patch = {}, audit = [] } = change(current);
+        const next = { ...patch, audit: [...(current.audit || []), ...audit], updatedAt: new Date().toISOString() };
+        tx.set(ref, next, { merge: true });
+        return { ...current, ...next };
+    });
+}
@@ -0,0 +1,25 @@
+// lib/data/firestore.js
+// Firestore access for the repositories in lib/data.
+import { getFirestoreIfPossible } from '@/lib/firebase/admin';
+import { httpError } from '@/lib/http';
+
+export const COLLECTIONS = {
+    analysisJobs: 'analysisJobs',
+    assessments: 'assessments',
+    auditLog: 'auditLog',
+    plans: 'plans',
+    safetyEscalations: 'safetyEscalations',
+    sessions: 'sessions',
+    users: 'users'
+};
+
+export async function requireDb() {
+    const db = await getFirestoreIfPossible();
+    if (!db) throw httpError('Firestore is not configured (firebase-admin credentials missing)', 503);
+    return db;
+}
+
+// plain { id, data } shape used by the assessment endpoints
+export function docToResult(doc) {
+    return { id: doc.id, data: doc.data() };
+}
@@ -0,0 +1,118 @@
+// lib/data/jobs.js
+// Analysis jobs repository: one document per asynchronous /api/analyze request.
+//   status: queued -> running -> succeeded | failed (a failed attempt goes back to queued until maxAttempts)
+// A running job holds a lease (leaseUntil); a job whose lease expired (server restart mid-run) is runnable again,
+// unless it has used up its attempts: it then fails instead of crashing workers forever.
+import { httpError } from '@/lib/http';
+import { requireDb, COLLECTIONS } from './firestore';
+
+const JOBS = COLLECTIONS.analysisJobs;
+
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+export async function createJob({ request, requestedBy, callbackUrl = null, maxAttempts = 3 }) {
+    const db = await requireDb();
+    const now = new Date().toISOString();
+    const ref = db.collection(JOBS).doc();
+    const doc = {
+        status: 'queued',
+        request,
+        requestedBy,
+        callbackUrl,
+        attempts: 0,
+        maxAttempts,
+        nextAttemptAt: now,
+        leaseUntil: null,
+        result: null,
+        error: null,
+        errors: [],
+        callback: null,
+        createdAt: now,
+        updatedAt: now,
+        startedAt: null,
+        finishedAt: null
+    };
+    await ref.set(doc);
+    return { id: ref.id, ...doc };
+}
+
+export async function getJob(id) {
+    const db = await requireDb();
+    const snap = await db.collection(JOBS).doc(String(id)).get();
+    if (!snap.exists) throw httpError(`job ${id} not found`, 404);
+    return { id: snap.id, ...snap.data() };
+}
+
+// Jobs that may run now: queued and due, or running with an expired lease. Oldest first.
+// Filtered in memory so no composite index is needed.
+export async function listRunnableJobs({ limit = 10 } = {}) {
+    const db = await requireDb();
+    const now = new Date().toISOString();
+    const [queued, running] = await Promise.all([
+        db.collection(JOBS).where('status', '==', 'queued').limit(200).get(),
+        db.collection(JOBS).where('status', '==', 'running').limit(200).get()
+    ]);
+    return [
+        ...queued.docs.map(d => ({ id: d.id, ...d.data() })).filter(j => !j.nextAttemptAt || j.nextAttemptAt <= now),
+        ...running.docs.map(d => ({ id: d.id, ...d.data() })).filter(j => !j.leaseUntil || j.leaseUntil <= now)
+    ]
+        .sort((a, b) => String(a.createdAt || '').localeCompare(String(b.createdAt || '')))
+        .slice(0, limit);
+}
+
+// Earliest nextAttemptAt among queued jobs (ISO string) or null, used to schedule the next retry wake-up
+export async function nextQueuedAttemptAt() {
+    const db = await requireDb();
+    const snap = await db.collection(JOBS).where('status', '==', 'queued').limit(200).get();
+    const times = snap.docs.map(d => d.data().nextAttemptAt).filter(Boolean).sort();
+    return times[0] || null;
+}
+
+// Atomically move a runnable job to running and count the attempt. Returns the job, or null
+// when another worker got it first or it is not runnable any more. A job whose lease expired after its last
+// attempt is marked failed instead and returned with that status.
+export async function claimJob(id, { leaseMs }) {
+    const db = await requireDb();
+    const ref = db.collection(JOBS).doc(String(id));
+    return db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists) return null;
+        const job = snap.data();
+        const now = new Date();
+        const nowIso = now.toISOString();
+        const runnable = (job.status === 'queued' && (!job.nextAttemptAt || job.nextAttemptAt <= nowIso))
+            || (job.status === 'running' && (!job.leaseUntil || job.leaseUntil <= nowIso));
+        if (!runnable) return null;
+
+        if (job.status === 'running' && (job.attempts || 0) >= (job.maxAttempts || 1)) {
+            const error = { message: `the worker stopped during attempt ${job.attempts} (lease expired)`, status: 500 };
+            const failed = {
+                status: 'failed',
+                error,
+                errors: [...(job.errors || []), { attempt: job.attempts, at: nowIso, ...error }],
+                leaseUntil: null,
+                finishedAt: nowIso,
+                updatedAt: nowIso
+            };
+            tx.set(ref, failed, { merge: true });
+            return { id: snap.id, ...job, ...failed };
+        }
+
+        const patch = {
+            status: 'running',
+            attempts: (job.attempts || 0) + 1,
+            leaseUntil: new Date(now.getTime() + leaseMs).toISOString(),
+            startedAt: job.startedAt || nowIso,
+            updatedAt: nowIso
+        };
+        tx.set(ref, patch, { merge: true });
+        return { id: snap.id, ...job, ...patch };
+    });
+}
+
+export async function updateJob(id, patch) {
+    const db = await requireDb();
+    const next = { ...patch, updatedAt: new Date().toISOString() };
+    await db.collection(JOBS).doc(String(id)).set(next, { merge: true });
+    return next;
+}
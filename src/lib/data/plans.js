@@ -0,0 +1,190 @@
+// lib/data/plans.js
+// Plans repository.
+//   plans/{planId}                      -> plan header (child link, analysis type, latest version + current plan)
+//   plans/{planId}/versions/{version}   -> every normalized plan ever generated for it
+//   plans/{planId}/behaviorData/{id}    -> ABC incidents / frequency counts recorded against a behavior plan
+//   plans/{planId}/trialSheets/{id}     -> trial-by-trial measurement sheets (one per session) of an educational plan
+import { httpError } from '@/lib/http';
+import { reviewDueAt } from '@/lib/plans/behavior';
+import { requireDb, COLLECTIONS } from './firestore';
+
+const PLANS = COLLECTIONS.plans;
+const VERSIONS = 'versions';
+const BEHAVIOR_DATA = 'behaviorData';
+const TRIAL_SHEETS = 'trialSheets';
+
+// Save a normalized plan. Without planId a new plan (version 1) is created,
+// with planId the plan gets a new version. Returns { planId, version }.
+export async function savePlanVersion({
+    planId,
+    childName = null,
+    childId = null,
+    assessmentId = null,
+    analysisType = 'general',
+    plan,
+    raw = null,
+    validation = null,
+    provider = null,
+    request = null,
+    createdBy = null,
+    revision = null
+}) {
+    const db = await requireDb();
+    const plansCol = db.collection(PLANS);
+    const planRef = planId ? plansCol.doc(String(planId)) : plansCol.doc();
+    const now = new Date().toISOString();
+
+    const version = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(planRef);
+        if (planId && !snap.exists) throw httpError(`plan ${planId} not found`, 404);
+
+        const header = snap.exists ? snap.data() : null;
+        if (header && header.analysisType && header.analysisType !== analysisType) {
+            throw httpError(`plan ${planId} is a "${header.analysisType}" plan, cannot add a "${analysisType}" version`, 409);
+        }
+        const nextVersion = (header?.latestVersion || 0) + 1;
+
+        tx.set(planRef.collection(VERSIONS).doc(String(nextVersion)), {
+            version: nextVersion,
+            plan,
+            raw,
+            validation,
+            provider,
+            request,
+            createdBy,
+            // revisions record what changed and which version they were based on
+            revision,
+            createdAt: now
+        });
+        tx.set(planRef, {
+            childName: header?.childName || childName,
+            childId: header?.childId || childId,
+            assessmentId: header?.assessmentId || assessmentId,
+            analysisType,
+            latestVersion: nextVersion,
+            currentPlan: plan,
+            createdAt: header?.createdAt || now,
+            updatedAt: now
+        });
+        return nextVersion;
+    });
+
+    return { planId: planRef.id, version };
+}
+
+// The review_after_days deadline passes without any write, so the stored review flag (only written when behavior
+// data is recorded) is completed on read: a behavior plan past its review.dueAt reads as flagged for 'review_due',
+// also when no entries were ever recorded.
+function withReviewState(plan, now = new Date()) {
+    if (plan.analysisType !== 'behavior') return plan;
+    const stored = plan.review || null;
+    const computed = reviewDueAt(plan, now);
+    const dueAt = stored?.dueAt || computed.dueAt;
+    const reasons = stored?.reasons || [];
+    if (now.toISOString() < dueAt || reasons.includes('review_due')) return plan;
+    return {
+        ...plan,
+        review: {
+            reviewAfterDays: computed.days,
+            trend: null,
+            ...stored,
+            flagged: true,
+            reasons: ['review_due', ...reasons],
+            dueAt,
+            flaggedAt: stored?.flagged ? stored.flaggedAt : dueAt
+        }
+    };
+}
+
+// List plan headers for a child (by childId, assessmentId or childName), newest first.
+export async function listPlans({ childId, assessmentId, childName, analysisType, limit = 50 } = {}) {
+    const db = await requireDb();
+    let q = db.collection(PLANS);
+    if (childId) q = q.where('childId', '==', String(childId));
+    else if (assessmentId) q = q.where('assessmentId', '==', String(assessmentId));
+    else if (childName) q = q.where('childName', '==', String(childName).trim());
+    else throw httpError('one of childId, assessmentId or childName is required', 400);
+    if (analysisType) q = q.where('analysisType', '==', analysisType);
+
+    // sorted in memory so the equality filters don't need a composite index
+    const snap = await q.limit(500).get();
+    return snap.docs
+        .map(d => withReviewState({ id: d.id, ...d.data() }))
+        .sort((a, b) => String(b.updatedAt || '').localeCompare(String(a.updatedAt || '')))
+        .slice(0, limit);
+}
+
+export async function getPlan(planId) {
+    const db = await requireDb();
+    const snap = await db.collection(PLANS).doc(String(planId)).get();
+    if (!snap.exists) throw httpError(`plan ${planId} not found`, 404);
+    return withReviewState({ id: snap.id, ...snap.data() });
+}
+
+// All versions of a plan, oldest first. `full: false` leaves out the plan bodies.
+export async function listPlanVersions(planId, { full = false } = {}) {
+    const db = await requireDb();
+    const planRef = db.collection(PLANS).doc(String(planId));
+    const header = await planRef.get();
+    if (!header.exists) throw httpError(`plan ${planId} not found`, 404);
+    const snap = await planRef.collection(VERSIONS).orderBy('version', 'asc').get();
+    return snap.docs.map(d => {
+        const v = d.data();
+        if (full) return v;
+        return { version: v.version, createdAt: v.createdAt, provider: v.provider, valid: v.validation ? !!v.validation.valid : null };
+    });
+}
+
+export async function getPlanVersion(planId, version) {
+    const db = await requireDb();
+    const snap = await db.collection(PLANS).doc(String(planId)).collection(VERSIONS).doc(String(version)).get();
+    if (!snap.exists) throw httpError(`version ${version} of plan ${planId} not found`, 404);
+    return snap.data();
+}
+
+// Append behavior data entries (already validated) to a plan in one batch. Returns the stored entries.
+export async function addBehaviorEntries(planId, entries) {
+    const db = await requireDb();
+    const planRef = db.collection(PLANS).doc(String(planId));
+    const now = new Date().toISOString();
+    const batch = db.batch();
+    const stored = entries.map(entry => {
+        const ref = planRef.collection(BEHAVIOR_DATA).doc();
+        const doc = { ...entry, createdAt: now };
+        batch.set(ref, doc);
+        return { id: ref.id, ...doc };
+    });
+    await batch.commit();
+    return stored;
+}
+
+// Behavior data of a plan, oldest first, optionally limited to occurredAt in [from, to]
+export async function listBehaviorEntries(planId, { from, to } = {}) {
+    const db = await requireDb();
+    const snap = await db.collection(PLANS).doc(String(planId)).collection(BEHAVIOR_DATA).orderBy('occurredAt', 'asc').get();
+    return snap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .filter(e => (!from || e.occurredAt >= from) && (!to || e.occurredAt <= to));
+}
+
+// Store the review flag on the plan header (cleared again when a new version is saved)
+export async function setPlanReview(planId, review) {
+    const db = await requireDb();
+    await db.collection(PLANS).doc(String(planId)).set({ review }, { merge: true });
+    return review;
+}
+
+export async function addTrialSheet(planId, sheet) {
+    const db = await requireDb();
+    const ref = db.collection(PLANS).doc(String(planId)).collection(TRIAL_SHEETS).doc();
+    const doc = { ...sheet, createdAt: new Date().toISOString() };
+    await ref.set(doc);
+    return { id: ref.id, ...doc };
+}
+
+// Trial sheets of a plan, oldest session first
+export async function listTrialSheets(planId) {
+    const db = await requireDb();
+    const snap = await db.collection(PLANS).doc(String(planId)).collection(TRIAL_SHEETS).orderBy('occurredAt', 'asc').get();
+    return snap.docs.map(d => ({ id: d.id, ...d.data() }));
+}
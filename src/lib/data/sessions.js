@@ -0,0 +1,46 @@
+// lib/data/sessions.js
+// Sessions repository: one document per teaching session observation.
+import { httpError } from '@/lib/http';
+import { requireDb, COLLECTIONS } from './firestore';
+
+export async function createSession(fields) {
+    const db = await requireDb();
+    const now = new Date().toISOString();
+    const ref = db.collection(COLLECTIONS.sessions).doc();
+    const doc = { ...fields, createdAt: fields.createdAt || now, updatedAt: now };
+    await ref.set(doc);
+    return { id: ref.id, ...doc };
+}
+
+export async function getSession(id) {
+    const db = await requireDb();
+    const snap = await db.collection(COLLECTIONS.sessions).doc(String(id)).get();
+    if (!snap.exists) throw httpError(`session ${id} not found`, 404);
+    return { id: snap.id, ...snap.data() };
+}
+
+export async function updateSession(id, patch) {
+    const db = await requireDb();
+    const ref = db.collection(COLLECTIONS.sessions).doc(String(id));
+    const snap = await ref.get();
+    if (!snap.exists) throw httpError(`session ${id} not found`, 404);
+    const next = { ...patch, updatedAt: new Date().toISOString() };
+    await ref.set(next, { merge: true });
+    return { id: snap.id, ...snap.data(), ...next };
+}
+
+// Sessions of one child, newest observation first (sorted in memory: no composite index needed)
+export async function listSessionsByChild({ childId, assessmentId, childName, limit = 50 } = {}) {
+    const db = await requireDb();
+    let q = db.collection(COLLECTIONS.sessions);
+    if (childId) q = q.where('childId', '==', String(childId));
+    else if (assessmentId) q = q.where('assessmentId', '==', String(assessmentId));
+    else if (childName) q = q.where('childName', '==', String(childName).trim());
+    else throw httpError('childId, assessmentId or childName is required', 400);
+    const snap = await q.limit(500).get();
+    const observed = s => String(s.observedAt || s.createdAt || '');
+    return snap.docs
+        .map(d => ({ id: d.id, ...d.data() }))
+        .sort((a, b) => observed(b).localeCompare(observed(a)))
+        .slice(0, limit);
+}
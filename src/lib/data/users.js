@@ -0,0 +1,9 @@
+// lib/data/users.js
+// User profiles: users/{uid} -> { role, childIds: [], assessmentIds: [] }
+import { requireDb, COLLECTIONS } from './firestore';
+
+export async function getUserProfile(uid) {
+    const db = await requireDb();
+    const snap = await db.collection(COLLECTIONS.users).doc(String(uid)).get();
+    return snap.exists ? { uid, ...snap.data() } : null;
+}
@@ -0,0 +1,133 @@
+// lib/documents/extract.js
+// Local text extraction for uploaded reference material (replaces the pdf.co / ocr.space calls
+// of the n8n ingestion workflow):
+//   PDF  -> pdf-parse        DOCX -> mammoth        images -> tesseract.js (OCR_LANGS, default 'ara+eng')
+//   text/markdown/csv -> utf8    HTML (e.g. Google Docs "Web page" export) -> tags stripped
+// OCR language data comes from OCR_LANG_PATH or the @tesseract.js-data/<lang> packages, never from the CDN.
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRequire } from 'module';
+import { httpError } from '@/lib/http';
+
+const KIND_BY_EXTENSION = {
+    pdf: 'pdf',
+    docx: 'docx',
+    txt: 'text', md: 'text', csv: 'text',
+    html: 'html', htm: 'html',
+    png: 'image', jpg: 'image', jpeg: 'image', webp: 'image', bmp: 'image', gif: 'image', tif: 'image', tiff: 'image'
+};
+
+export function detectFileKind(mimeType = '', fileName = '') {
+    const mime = String(mimeType).toLowerCase();
+    if (mime.includes('application/pdf')) return 'pdf';
+    if (mime.includes('wordprocessingml.document')) return 'docx';
+    if (mime.startsWith('image/')) return 'image';
+    if (mime.includes('text/html')) return 'html';
+    if (mime.startsWith('text/')) return 'text';
+    const ext = String(fileName).toLowerCase().split('.').pop();
+    return KIND_BY_EXTENSION[ext] || null;
+}
+
+async function extractPdf(buffer) {
+    const { PDFParse } = await import('pdf-parse');
+    const parser = new PDFParse({ data: new Uint8Array(buffer) });
+    try {
+        const result = await parser.getText();
+        return { text: result.text || '', pages: result.total || null };
+    } finally {
+        await parser.destroy().catch(() => { });
+    }
+}
+
+async function extractDocx(buffer) {
+    const mammoth = await import('mammoth');
+    const extractRawText = mammoth.extractRawText || mammoth.default?.extractRawText;
+    const result = await extractRawText({ buffer });
+    return { text: result.value || '', warnings: (result.messages || []).map(m => m.message) };
+}
+
+const packagedLangPaths = new Map();
+
+// tesseract.js reads every language from one langPath, so the traineddata of the installed
+// @tesseract.js-data packages is copied into a shared temp directory (once per process)
+async function packagedLangPath(langs) {
+    const require = createRequire(path.join(process.cwd(), 'package.json'));
+    const sources = langs.map(lang => {
+        try {
+            return { lang, dir: require(`@tesseract.js-data/${lang}`).langPath };
+        } catch (_) {
+            throw httpError(`OCR language data for "${lang}" is not installed: add @tesseract.js-data/${lang} or set OCR_LANG_PATH`, 500);
+        }
+    });
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tebyan-ocr-'));
+    for (const { lang, dir: from } of sources) {
+        await fs.copyFile(path.join(from, `${lang}.traineddata.gz`), path.join(dir, `${lang}.traineddata.gz`));
+    }
+    return dir;
+}
+
+function ocrLangPath(langs) {
+    if (process.env.OCR_LANG_PATH) return Promise.resolve(process.env.OCR_LANG_PATH);
+    const key = langs.join('+');
+    if (!packagedLangPaths.has(key)) {
+        packagedLangPaths.set(key, packagedLangPath(langs).catch(err => {
+            packagedLangPaths.delete(key);
+            throw err;
+        }));
+    }
+    return packagedLangPaths.get(key);
+}
+
+async function extractImage(buffer) {
+    const { createWorker } = await import('tesseract.js');
+    const langs = (process.env.OCR_LANGS || 'ara+eng').split('+').map(l => l.trim()).filter(Boolean);
+    const langPath = await ocrLangPath(langs);
+    // cacheMethod 'none': do not write the unpacked traineddata into the working directory
+    const worker = await createWorker(langs, 1, { langPath, cacheMethod: 'none' });
+    try {
+        const { data } = await worker.recognize(buffer);
+        return { text: data?.text || '', confidence: typeof data?.confidence === 'number' ? data.confidence : null };
+    } finally {
+        await worker.terminate().catch(() => { });
+    }
+}
+
+function extractHtml(buffer) {
+    const html = buffer.toString('utf8');
+    const text = html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6]|tr)>/gi, '\n')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'");
+    return { text };
+}
+
+// Returns { kind, text, details } where details carries extractor-specific info (pages, OCR confidence, warnings)
+export async function extractText(buffer, { mimeType, fileName } = {}) {
+    const kind = detectFileKind(mimeType, fileName);
+    if (!kind) {
+        throw httpError(`unsupported file type (${mimeType || 'unknown'} / ${fileName || 'no name'}); accepted: PDF, DOCX, text, HTML, images`, 415);
+    }
+
+    let out;
+    if (kind === 'pdf') out = await extractPdf(buffer);
+    else if (kind === 'docx') out = await extractDocx(buffer);
+    else if (kind === 'image') out = await extractImage(buffer);
+    else if (kind === 'html') out = extractHtml(buffer);
+    else out = { text: buffer.toString('utf8') };
+
+    const { text, ...details } = out;
+    const cleaned = String(text || '')
+        .replace(/\r\n/g, '\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+    return { kind, text: cleaned, details };
+}
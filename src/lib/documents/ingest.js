@@ -0,0 +1,55 @@
+// lib/documents/ingest.js
+// File ingestion: hash -> skip if unchanged -> extract text -> chunk store.
+// The byte hash check replaces the n8n "Was Updated?" / "Supabase Delete Old" branch:
+// a re-uploaded file with the same id replaces its previous chunks only when its content changed.
+import crypto from 'crypto';
+import { httpError } from '@/lib/http';
+import { normalizeArabicText } from '@/lib/arabic/text';
+import { findDocument, upsertDocument } from '@/lib/rag/store';
+import { extractText } from './extract';
+
+export const MAX_UPLOAD_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES || String(20 * 1024 * 1024), 10);
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Stable document id: explicit id, then the Drive file id, then the (normalized) file name
+export function documentIdFor({ id, fileId, fileName }) {
+    if (id) return String(id);
+    if (fileId) return `drive-${fileId}`;
+    return `file-${sha256(normalizeArabicText(fileName || '') || String(Date.now())).slice(0, 16)}`;
+}
+
+export async function ingestFile({ buffer, fileName = '', mimeType = '', id, fileId, kind = 'curriculum', source = 'upload', metadata = {}, uploadedBy = null, force = false }) {
+    if (!buffer || !buffer.length) throw httpError('uploaded file is empty', 400);
+    if (buffer.length > MAX_UPLOAD_BYTES) throw httpError(`file too large (max ${MAX_UPLOAD_BYTES} bytes)`, 413);
+
+    const docId = documentIdFor({ id, fileId, fileName });
+    const sourceHash = sha256(buffer);
+    const existing = findDocument(docId);
+    if (existing && existing.metadata?.sourceHash === sourceHash && !force) {
+        return { document: existing, skipped: true, reason: 'unchanged' };
+    }
+
+    const extraction = await extractText(buffer, { mimeType, fileName });
+    if (!extraction.text) throw httpError(`no text could be extracted from ${fileName || 'the file'} (${extraction.kind})`, 422);
+
+    const { document } = await upsertDocument({
+        id: docId,
+        fileName,
+        kind,
+        text: extraction.text,
+        metadata: {
+            ...metadata,
+            source,
+            fileId: fileId || null,
+            mimeType: mimeType || null,
+            size: buffer.length,
+            sourceHash,
+            extraction: { kind: extraction.kind, ...extraction.details },
+            uploadedBy
+        },
+        // the file changed, so refresh the header even when the extracted text is identical
+        force: true
+    });
+    return { document, skipped: false, replaced: !!existing };
+}
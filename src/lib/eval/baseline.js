@@ -0,0 +1,40 @@
+// lib/eval/baseline.js
+// Comparison of an evaluation run with the saved baseline run (data/eval/baseline.json): a metric regresses when it
+// moves the wrong way by more than `tolerance`, per case and for the run summary.
+import { METRICS, LOWER_IS_BETTER } from './score';
+
+export const DEFAULT_TOLERANCE = 0.05;
+const COMPARED = [...METRICS, 'overall'];
+
+function compareMetrics(current, baseline, tolerance) {
+    const changes = [];
+    for (const metric of COMPARED) {
+        const now = current?.[metric];
+        const before = baseline?.[metric];
+        if (typeof now !== 'number' || typeof before !== 'number') continue;
+        const delta = Math.round((now - before) * 1000) / 1000;
+        const better = LOWER_IS_BETTER.has(metric) ? -delta : delta;
+        if (Math.abs(delta) <= tolerance) continue;
+        changes.push({ metric, baseline: before, current: now, delta, regression: better < 0 });
+    }
+    return changes;
+}
+
+// { summary: [changes], cases: { id: [changes] }, regressions: [{ case, metric, ... }], newCases, missingCases }
+// where a change is { metric, baseline, current, delta, regression }
+export function compareWithBaseline(run, baseline, { tolerance = DEFAULT_TOLERANCE } = {}) {
+    const baselineCases = baseline?.cases || {};
+    const cases = {};
+    const regressions = [];
+    for (const [id, scores] of Object.entries(run.cases)) {
+        if (!baselineCases[id]) continue;
+        cases[id] = compareMetrics(scores, baselineCases[id], tolerance);
+        for (const change of cases[id]) if (change.regression) regressions.push({ case: id, ...change });
+    }
+    const newCases = Object.keys(run.cases).filter(id => !baselineCases[id]);
+    const missingCases = Object.keys(baselineCases).filter(id => !run.cases[id]);
+    // the means are only comparable over the same set of cases
+    const summary = newCases.length || missingCases.length ? [] : compareMetrics(run.summary, baseline?.summary, tolerance);
+    for (const change of summary) if (change.regression) regressions.push({ case: '(summary)', ...change });
+    return { summary, cases, regressions, newCases, missingCases };
+}
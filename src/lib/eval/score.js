@@ -0,0 +1,101 @@
+// lib/eval/score.js
+// Plan quality metrics of the offline evaluation (scripts/eval.mjs). Every metric is a number in [0, 1], or null when
+// it does not apply to the analysis type:
+//   completeness - share of the schema's required fields the model filled itself (not repaired / defaulted / empty)
+//   smartGoal    - the goal names a time frame (0.5) and a measurable percentage (0.5)
+//   noteEcho     - share of the note's word 4-grams copied into the output (lower is better)
+//   arabicRatio  - Arabic letters among all letters of the output text
+import { normalizeArabicText } from '@/lib/arabic/text';
+
+export const METRICS = ['completeness', 'smartGoal', 'noteEcho', 'arabicRatio'];
+// metrics where a lower value is better
+export const LOWER_IS_BETTER = new Set(['noteEcho']);
+
+const ECHO_SHINGLE = 4;
+const TIME_FRAME = /(خلال|في غضون|في نهاية|بعد|لمدة|حتى)\s+\S*\s*(يوم|أيام|ايام|أسبوع|اسبوع|أسابيع|اسابيع|أسبوعين|اسبوعين|شهر|أشهر|اشهر|شهرين|جلسة|جلسات|فصل)|\b(within|by the end of|in \d+)\b/i;
+const PERCENTAGE = /[0-9٠-٩]+\s*[%٪]|بنسبة\s+[0-9٠-٩]+|[0-9٠-٩]+\s*(من|out of)\s*[0-9٠-٩]+\s*(محاولات|مرات|trials)/i;
+const ARABIC_LETTER = /\p{Script=Arabic}/u;
+const LETTER = /\p{L}/u;
+
+const isEmpty = (value) => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+
+// every string value of a (nested) model output
+function textValues(value, out = []) {
+    if (typeof value === 'string') out.push(value);
+    else if (Array.isArray(value)) value.forEach(v => textValues(v, out));
+    else if (value && typeof value === 'object') Object.values(value).forEach(v => textValues(v, out));
+    return out;
+}
+
+export function completenessScore(result) {
+    const fields = result?.ai?.validation?.fields || {};
+    const keys = Object.keys(fields);
+    if (!keys.length) return 0;
+    const raw = result.ai.raw || {};
+    return keys.filter(k => fields[k] === 'model' && !isEmpty(raw[k])).length / keys.length;
+}
+
+export function smartGoalScore(raw) {
+    const goal = raw?.smart_goal ?? raw?.behavior_goal;
+    if (goal === undefined) return null;
+    const text = String(goal || '');
+    return (TIME_FRAME.test(text) ? 0.5 : 0) + (PERCENTAGE.test(text) ? 0.5 : 0);
+}
+
+export function noteEchoScore(raw, textNote) {
+    const noteWords = normalizeArabicText(textNote).split(' ').filter(Boolean);
+    if (!noteWords.length) return null;
+    const output = ` ${normalizeArabicText(textValues(raw).join(' \n '))} `;
+    if (noteWords.length < ECHO_SHINGLE) return output.includes(` ${noteWords.join(' ')} `) ? 1 : 0;
+    const shingles = new Set();
+    for (let i = 0; i + ECHO_SHINGLE <= noteWords.length; i++) shingles.add(noteWords.slice(i, i + ECHO_SHINGLE).join(' '));
+    let copied = 0;
+    for (const shingle of shingles) if (output.includes(` ${shingle} `)) copied++;
+    return copied / shingles.size;
+}
+
+export function arabicRatioScore(raw) {
+    let arabic = 0;
+    let letters = 0;
+    for (const ch of textValues(raw).join('')) {
+        if (!LETTER.test(ch)) continue;
+        letters++;
+        if (ARABIC_LETTER.test(ch)) arabic++;
+    }
+    return letters ? arabic / letters : 0;
+}
+
+const round = (n) => (n === null ? null : Math.round(n * 1000) / 1000);
+
+// Metrics of one analyze result ({ ai, meta }) for the note it was produced from, plus their mean as `overall`
+// (noteEcho counted as 1 - echo)
+export function scoreResult(result, { textNote } = {}) {
+    const raw = result?.ai?.raw || {};
+    const metrics = {
+        completeness: completenessScore(result),
+        smartGoal: smartGoalScore(raw),
+        noteEcho: noteEchoScore(raw, textNote),
+        arabicRatio: arabicRatioScore(raw)
+    };
+    const applicable = METRICS.filter(m => metrics[m] !== null).map(m => (LOWER_IS_BETTER.has(m) ? 1 - metrics[m] : metrics[m]));
+    const scores = Object.fromEntries(METRICS.map(m => [m, round(metrics[m])]));
+    return {
+        ...scores,
+        overall: round(applicable.reduce((sum, v) => sum + v, 0) / applicable.length),
+        schemaValid: !!result?.ai?.validation?.valid,
+        attempts: result?.ai?.validation?.attempts || 0
+    };
+}
+
+// Mean of every metric over a list of case scores (metrics that never applied stay null)
+export function summarizeScores(scores) {
+    const summary = {};
+    for (const metric of [...METRICS, 'overall']) {
+        const values = scores.map(s => s[metric]).filter(v => typeof v === 'number');
+        summary[metric] = values.length ? round(values.reduce((sum, v) => sum + v, 0) / values.length) : null;
+    }
+    summary.schemaValid = round(scores.filter(s => s.schemaValid).length / (scores.length || 1));
+    return summary;
+}
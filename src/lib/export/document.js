@@ -0,0 +1,267 @@
+// lib/export/document.js
+// Printable documents for saved plans: the layout of an educational plan, BIP or family report, and the
+// blank data sheet a teacher fills in by hand (built from measurement.sheet / data_collection.tool).
+//
+// Both are described with a small format-neutral model that ./pdf.js and ./docx.js render:
+//   { title, subtitle, orientation, meta: [[label, value]], sections: [{ heading, blocks }] }
+// where a block is { type: 'paragraph', text, tone? } | { type: 'list', items }
+//   | { type: 'table', columns: [{ label, width }], rows: [[text]], rowHeight? } (width is a relative weight).
+import fs from 'fs';
+import path from 'path';
+import { httpError } from '@/lib/http';
+import { PROMPT_LEVELS } from '@/lib/plans/trials';
+
+export const EXPORT_FORMATS = ['pdf', 'docx'];
+
+const TITLES = {
+    general: 'الخطة التربوية الفردية',
+    behavior: 'خطة تعديل السلوك',
+    family_report: 'تقرير الأسرة'
+};
+
+const PROMPT_LEVEL_LABELS = {
+    full_physical: 'مساعدة جسدية كاملة',
+    partial_physical: 'مساعدة جسدية جزئية',
+    model: 'نمذجة',
+    gestural: 'إشارة',
+    verbal: 'تلقين لفظي',
+    visual: 'تلقين بصري'
+};
+
+const REVISION_ACTION_LABELS = {
+    advance: 'تقدم',
+    hold: 'إبقاء',
+    step_back: 'رجوع خطوة',
+    fade_prompt: 'تخفيف المساعدة',
+    change_reinforcement: 'تغيير التعزيز',
+    add: 'إضافة',
+    remove: 'حذف',
+    modify: 'تعديل'
+};
+
+// School branding from the environment: EXPORT_SCHOOL_NAME, EXPORT_SCHOOL_LOGO_PATH (PNG or JPEG),
+// EXPORT_BRAND_COLOR (hex) and EXPORT_DOCX_FONT (font name DOCX files ask Word for)
+export function exportBranding() {
+    let logo = null;
+    const logoPath = process.env.EXPORT_SCHOOL_LOGO_PATH;
+    if (logoPath) {
+        const file = path.isAbsolute(logoPath) ? logoPath : path.join(process.cwd(), logoPath);
+        try {
+            logo = { data: fs.readFileSync(file), type: /\.png$/i.test(file) ? 'png' : 'jpg' };
+        } catch (err) {
+            console.warn('[export] school logo not readable:', err?.message || err);
+        }
+    }
+    const color = String(process.env.EXPORT_BRAND_COLOR || '').trim();
+    return {
+        schoolName: process.env.EXPORT_SCHOOL_NAME || 'تبيان',
+        logo,
+        color: /^#?[0-9a-f]{6}$/i.test(color) ? `#${color.replace('#', '')}` : '#1F6F8B',
+        docxFont: process.env.EXPORT_DOCX_FONT || 'Arial'
+    };
+}
+
+// YYYY/MM/DD: with "-" the bidi algorithm shows an ISO date backwards inside Arabic text
+export function printedDate(iso) {
+    return String(iso || '').slice(0, 10).replace(/-/g, '/');
+}
+
+const text = v => (v === null || v === undefined ? '' : String(v).trim());
+const itemText = v => (v && typeof v === 'object' ? text(v.text || v.title || v.name) : text(v));
+
+function list(items) {
+    const out = (Array.isArray(items) ? items : [items]).map(itemText).filter(Boolean);
+    return out.length ? [{ type: 'list', items: out }] : [];
+}
+
+function paragraph(value, tone) {
+    const t = text(value);
+    return t ? [{ type: 'paragraph', text: t, ...(tone ? { tone } : {}) }] : [];
+}
+
+function table(columns, rows, extra = {}) {
+    const filled = rows.filter(r => r.some(cell => text(cell)));
+    return filled.length ? [{ type: 'table', columns, rows: filled.map(r => r.map(text)), ...extra }] : [];
+}
+
+// suggestions / customizations are strings or { text, rationale } objects
+function suggestions(items) {
+    const out = (Array.isArray(items) ? items : []).map(s => {
+        if (!s || typeof s !== 'object') return text(s);
+        return [text(s.text), text(s.rationale)].filter(Boolean).join(' — ');
+    }).filter(Boolean);
+    return out.length ? [{ type: 'list', items: out }] : [];
+}
+
+function section(heading, ...blocks) {
+    const flat = blocks.flat();
+    return flat.length ? { heading, blocks: flat } : null;
+}
+
+function educationalSections(p) {
+    const steps = Array.isArray(p.task_analysis_steps) ? p.task_analysis_steps : [];
+    return [
+        section('الهدف', paragraph(p.smart_goal)),
+        section('الملخص', paragraph(p.summary)),
+        section('استراتيجية التدريس', paragraph(p.teaching_strategy)),
+        section('تحليل المهمة', table([{ label: '#', width: 1 }, { label: 'الخطوة', width: 12 }], steps.map((s, i) => [String(i + 1), itemText(s)]))),
+        section('الأهداف الفرعية', list(p.subgoals || [])),
+        section('الأنشطة', table(
+            [{ label: 'النوع', width: 1 }, { label: 'النشاط', width: 3 }],
+            (p.activities || []).map(a => (a && typeof a === 'object' ? [a.type, a.name] : ['', a]))
+        )),
+        section('خطة التنفيذ', list(p.execution_plan || [])),
+        section('التعزيز', table([{ label: 'نوع المعزز', width: 1 }, { label: 'جدول التعزيز', width: 1 }], [[p.reinforcement?.type, p.reinforcement?.schedule]])),
+        section('القياس', table([{ label: 'طريقة القياس', width: 1 }, { label: 'ورقة التسجيل', width: 2 }], [[p.measurement?.type, p.measurement?.sheet]])),
+        section('خطة التعميم', list(p.generalization_plan || [])),
+        section('التسهيلات', list(p.accommodations || [])),
+        section('اقتراحات', suggestions(p.suggestions)),
+        section('تخصيصات', suggestions(p.customizations)),
+        section('إرشادات للأسرة', paragraph(p.parent_instructions))
+    ];
+}
+
+function behaviorSections(p) {
+    return [
+        section('تنبيه', p.safety_flag ? paragraph('تتضمن هذه الخطة مخاوف تتعلق بالسلامة؛ يلزم إشراف مختص قبل التطبيق.', 'warning') : []),
+        section('الهدف السلوكي', paragraph(p.behavior_goal)),
+        section('الملخص', paragraph(p.summary)),
+        section('السوابق', list(p.antecedents || [])),
+        section('النتائج', list(p.consequences || [])),
+        section('وظيفة السلوك', paragraph(p.function_analysis)),
+        section('الاستراتيجيات الوقائية', list(p.antecedent_strategies || [])),
+        section('السلوك البديل', table([{ label: 'المهارة', width: 2 }, { label: 'الوسيلة', width: 1 }], [[p.replacement_behavior?.skill, p.replacement_behavior?.modality]])),
+        section('التعامل مع السلوك', list(p.consequence_strategies || [])),
+        section('جمع البيانات', table([{ label: 'المقياس', width: 2 }, { label: 'الأداة', width: 1 }], [[p.data_collection?.metric, p.data_collection?.tool]])),
+        section('المراجعة', paragraph(p.review_after_days ? `تُراجع الخطة بعد ${p.review_after_days} يومًا من تطبيقها.` : '')),
+        section('اقتراحات', suggestions(p.suggestions)),
+        section('تخصيصات', suggestions(p.customizations)),
+        section('إرشادات للأسرة', paragraph(p.parent_instructions))
+    ];
+}
+
+function familyReportSections(p) {
+    return [
+        section('كيف يتقدم طفلكم', paragraph(p.progress_narrative)),
+        section('إنجازات نفرح بها', list(p.wins || [])),
+        section('أنشطة للبيت', table(
+            [{ label: 'النشاط', width: 1 }, { label: 'كيف', width: 3 }, { label: 'متى', width: 1 }],
+            (p.home_activities || []).map(a => (a && typeof a === 'object' ? [a.title, a.how, a.when] : [a, '', '']))
+        )),
+        section('أسئلة للأسرة', list(p.questions_for_family || [])),
+        section('الخلاصة', paragraph(p.summary))
+    ];
+}
+
+function changeLogSection(revision) {
+    const log = Array.isArray(revision?.changeLog) ? revision.changeLog : [];
+    return section('سجل التعديلات', paragraph(revision?.summary), table(
+        [{ label: 'العنصر', width: 2 }, { label: 'الإجراء', width: 1 }, { label: 'قبل', width: 2 }, { label: 'بعد', width: 2 }, { label: 'السبب', width: 3 }],
+        log.map(c => [c.field, REVISION_ACTION_LABELS[c.action] || c.action, itemText(c.from), itemText(c.to), c.reason])
+    ));
+}
+
+function headerMeta(plan, version) {
+    return [
+        ['اسم الطفل', plan.childName || ''],
+        ['الإصدار', String(version.version || plan.latestVersion || '')],
+        ['التاريخ', printedDate(version.createdAt || plan.updatedAt)]
+    ].filter(([, value]) => value);
+}
+
+// Document for a saved plan version (the plan header plus one entry of its versions subcollection)
+export function planDocument(plan, version) {
+    const p = version.plan || {};
+    const type = plan.analysisType || 'general';
+    const sections = type === 'behavior' ? behaviorSections(p)
+        : type === 'family_report' ? familyReportSections(p)
+            : educationalSections(p);
+    if (version.revision) sections.push(changeLogSection(version.revision));
+
+    return {
+        title: TITLES[type] || TITLES.general,
+        subtitle: type === 'family_report' ? text(p.report_period) : '',
+        orientation: 'portrait',
+        meta: headerMeta(plan, version),
+        sections: sections.filter(Boolean)
+    };
+}
+
+const blankRows = (count, columns) => Array.from({ length: count }, () => columns.map(() => ''));
+
+// ABC sheets when the plan's tool asks for antecedents/consequences, frequency counts otherwise
+// (the columns match the incident and frequency entries of /api/plans/:planId/behavior-data)
+function behaviorSheetKind(p) {
+    const tool = `${text(p.data_collection?.tool)} ${text(p.data_collection?.metric)}`;
+    return /abc|سابق|سوابق|نتيجة|نتائج/i.test(tool) ? 'abc' : 'frequency';
+}
+
+// Blank printable data sheet for a saved plan version with room for `sessions` sessions (rows for behavior plans)
+export function dataSheetDocument(plan, version, { sessions = 10 } = {}) {
+    const p = version.plan || {};
+    const type = plan.analysisType || 'general';
+    const count = Math.min(Math.max(parseInt(sessions, 10) || 10, 1), 20);
+    const meta = [...headerMeta(plan, version), ['المعلم/ة', '....................']];
+
+    if (type === 'family_report') throw httpError('family reports have no data sheet', 409);
+
+    if (type === 'behavior') {
+        const kind = behaviorSheetKind(p);
+        const columns = kind === 'abc'
+            ? [
+                { label: 'التاريخ والوقت', width: 2 },
+                { label: 'السابق (ماذا حدث قبل السلوك)', width: 4 },
+                { label: 'السلوك', width: 3 },
+                { label: 'النتيجة (ماذا حدث بعده)', width: 4 },
+                { label: 'الشدة 1-5', width: 1 },
+                { label: 'المدة (ث)', width: 1 }
+            ]
+            : [
+                { label: 'التاريخ', width: 2 },
+                { label: 'وقت البداية', width: 2 },
+                { label: 'مدة الملاحظة (دقيقة)', width: 2 },
+                { label: 'علامات العد', width: 5 },
+                { label: 'المجموع', width: 1 },
+                { label: 'ملاحظات', width: 4 }
+            ];
+        return {
+            title: kind === 'abc' ? 'ورقة تسجيل ABC' : 'ورقة تسجيل تكرار السلوك',
+            subtitle: text(p.data_collection?.tool),
+            orientation: 'landscape',
+            meta,
+            sections: [
+                section('الهدف السلوكي', paragraph(p.behavior_goal)),
+                section('ما يُسجَّل', paragraph(p.data_collection?.metric)),
+                { heading: 'التسجيل', blocks: [{ type: 'table', columns, rows: blankRows(count, columns), rowHeight: 30 }] }
+            ].filter(Boolean)
+        };
+    }
+
+    const steps = (Array.isArray(p.task_analysis_steps) ? p.task_analysis_steps : []).map(itemText).filter(Boolean);
+    const columns = [
+        { label: 'الخطوة', width: 6 },
+        ...Array.from({ length: count }, (_, i) => ({ label: `جلسة ${i + 1}`, width: 1 }))
+    ];
+    const rows = [
+        ['التاريخ', ...Array(count).fill('')],
+        ...(steps.length ? steps : ['']).map((s, i) => [s ? `${i + 1}. ${s}` : '', ...Array(count).fill('')]),
+        ['نسبة الاستقلال %', ...Array(count).fill('')]
+    ];
+    return {
+        title: 'ورقة تسجيل المحاولات',
+        subtitle: text(p.measurement?.sheet),
+        orientation: 'landscape',
+        meta,
+        sections: [
+            section('الهدف', paragraph(p.smart_goal)),
+            section('طريقة القياس', paragraph(p.measurement?.type)),
+            section('الرموز', list([
+                '+ استجابة مستقلة',
+                'P استجابة بمساعدة (اكتب رمز المساعدة)',
+                '- استجابة خاطئة أو لا استجابة',
+                `رموز المساعدة: ${PROMPT_LEVELS.map(level => PROMPT_LEVEL_LABELS[level]).join('، ')}`
+            ])),
+            { heading: 'التسجيل', blocks: [{ type: 'table', columns, rows, rowHeight: 26 }] }
+        ].filter(Boolean)
+    };
+}
@@ -0,0 +1,133 @@
+// lib/export/docx.js
+// Renders an export document (see ./document.js) to DOCX. Paragraphs, runs and tables are marked
+// right-to-left so Word shapes and orders the Arabic itself; the font is only named, not embedded.
+import {
+    AlignmentType, BorderStyle, Document, Footer, Header, HeightRule, ImageRun, Packer, PageNumber,
+    PageOrientation, Paragraph, ShadingType, Table, TableCell, TableRow, TextRun, WidthType
+} from 'docx';
+import { printedDate } from './document';
+
+// A4 in twips, 2 cm margins
+const PAGE = { width: 11906, height: 16838, margin: 1134 };
+const FONT_SIZE = 22; // half-points
+
+function createRenderer(branding) {
+    const color = branding.color.replace('#', '');
+    const font = { ascii: branding.docxFont, hAnsi: branding.docxFont, cs: branding.docxFont };
+
+    const run = (value, { bold = false, size = FONT_SIZE, fill = '222222' } = {}) =>
+        new TextRun({ text: String(value ?? ''), rightToLeft: true, bold, size, color: fill, font });
+
+    const paragraph = (value, { alignment, spacingAfter = 80, ...style } = {}) => new Paragraph({
+        bidirectional: true,
+        alignment,
+        spacing: { after: spacingAfter },
+        children: [run(value, style)]
+    });
+
+    const border = { style: BorderStyle.SINGLE, size: 4, color: '888888' };
+    const borders = { top: border, bottom: border, left: border, right: border };
+
+    function table(block, contentWidth) {
+        const totalWeight = block.columns.reduce((sum, c) => sum + (c.width || 1), 0);
+        const widths = block.columns.map(c => Math.round((contentWidth * (c.width || 1)) / totalWeight));
+        const cell = (value, i, header) => new TableCell({
+            width: { size: widths[i], type: WidthType.DXA },
+            borders,
+            shading: header ? { type: ShadingType.CLEAR, fill: color, color: 'auto' } : undefined,
+            margins: { top: 60, bottom: 60, left: 80, right: 80 },
+            children: String(value || '').split(/\r?\n/).map(line => paragraph(line, {
+                bold: header,
+                size: header ? FONT_SIZE - 2 : FONT_SIZE,
+                fill: header ? 'FFFFFF' : '222222',
+                alignment: header ? AlignmentType.CENTER : undefined,
+                spacingAfter: 0
+            }))
+        });
+        const height = block.rowHeight ? { value: block.rowHeight * 20, rule: HeightRule.ATLEAST } : undefined;
+        return new Table({
+            visuallyRightToLeft: true,
+            width: { size: contentWidth, type: WidthType.DXA },
+            columnWidths: widths,
+            rows: [
+                // tableHeader repeats the header row on every page the table continues on
+                new TableRow({ tableHeader: true, cantSplit: true, children: block.columns.map((c, i) => cell(c.label, i, true)) }),
+                ...block.rows.map(row => new TableRow({ cantSplit: true, height, children: row.map((value, i) => cell(value, i, false)) }))
+            ]
+        });
+    }
+
+    function section(s, contentWidth) {
+        const out = [paragraph(s.heading, { bold: true, size: 26, fill: color, spacingAfter: 120 })];
+        for (const block of s.blocks) {
+            if (block.type === 'paragraph') {
+                out.push(paragraph(block.text, block.tone === 'warning' ? { bold: true, fill: 'B00020' } : {}));
+            } else if (block.type === 'list') {
+                for (const item of block.items) {
+                    out.push(new Paragraph({ bidirectional: true, bullet: { level: 0 }, spacing: { after: 40 }, children: [run(item)] }));
+                }
+            } else if (block.type === 'table') {
+                out.push(table(block, contentWidth), paragraph('', { spacingAfter: 120 }));
+            }
+        }
+        return out;
+    }
+
+    function header() {
+        const children = [];
+        if (branding.logo) {
+            children.push(new ImageRun({ type: branding.logo.type, data: branding.logo.data, transformation: { width: 56, height: 56 } }));
+        }
+        children.push(run(`  ${branding.schoolName}`, { bold: true, size: 24, fill: color }));
+        return new Header({ children: [new Paragraph({ bidirectional: true, children })] });
+    }
+
+    function footer(generatedAt) {
+        return new Footer({
+            children: [new Paragraph({
+                bidirectional: true,
+                alignment: AlignmentType.CENTER,
+                children: [new TextRun({
+                    rightToLeft: true,
+                    size: 18,
+                    color: '777777',
+                    font,
+                    children: ['صفحة ', PageNumber.CURRENT, ' من ', PageNumber.TOTAL_PAGES, ` — ${branding.schoolName} — ${generatedAt}`]
+                })]
+            })]
+        });
+    }
+
+    return { paragraph, section, header, footer };
+}
+
+export async function renderDocx(model, branding) {
+    const landscape = model.orientation === 'landscape';
+    const contentWidth = (landscape ? PAGE.height : PAGE.width) - 2 * PAGE.margin;
+    const r = createRenderer(branding);
+
+    const children = [
+        r.paragraph(model.title, { bold: true, size: 36, fill: '111111', spacingAfter: 60 }),
+        ...(model.subtitle ? [r.paragraph(model.subtitle, { size: 24, fill: '444444' })] : []),
+        ...(model.meta.length ? [r.paragraph(model.meta.map(([label, value]) => `${label}: ${value}`).join('    '), { size: 20, fill: '444444', spacingAfter: 240 })] : []),
+        ...model.sections.flatMap(s => r.section(s, contentWidth))
+    ];
+
+    const doc = new Document({
+        creator: branding.schoolName,
+        title: model.title,
+        styles: { default: { document: { run: { font: branding.docxFont, size: FONT_SIZE, rightToLeft: true } } } },
+        sections: [{
+            properties: {
+                page: {
+                    size: { width: PAGE.width, height: PAGE.height, orientation: landscape ? PageOrientation.LANDSCAPE : PageOrientation.PORTRAIT },
+                    margin: { top: PAGE.margin, bottom: PAGE.margin, left: PAGE.margin, right: PAGE.margin }
+                }
+            },
+            headers: { default: r.header() },
+            footers: { default: r.footer(printedDate(new Date().toISOString())) },
+            children
+        }]
+    });
+    return Packer.toBuffer(doc);
+}
@@ -0,0 +1,246 @@
+// lib/export/pdf.js
+// Renders an export document (see ./document.js) to PDF with pdfkit. Text is laid out right-to-left by hand:
+// each wrapped line is split into bidi runs (bidi-js), the runs are drawn in visual order and fontkit shapes
+// the Arabic inside each run, so joined letters, mirrored brackets and embedded numbers / Latin words come
+// out in the right order. The Amiri font is embedded (override with EXPORT_PDF_FONT / EXPORT_PDF_FONT_BOLD).
+import path from 'path';
+import PDFDocument from 'pdfkit';
+import bidiFactory from 'bidi-js';
+import { printedDate } from './document';
+
+const bidi = bidiFactory();
+
+// Amiri (SIL Open Font License, see OFL.txt next to the fonts)
+const FONT_DIR = path.join(process.cwd(), 'data', 'fonts', 'amiri');
+const REGULAR = 'regular';
+const BOLD = 'bold';
+
+const MARGIN = 40;
+const FONT_SIZE = 11;
+const LINE_GAP = 4;
+const CELL_PADDING = 4;
+const ARABIC_LETTER = /[؀-ۿݐ-ݿࢠ-ࣿﭐ-﷿ﹰ-﻿]/;
+
+// With explicit features pdfkit lays out the whole run at once; otherwise it shapes word by word and
+// concatenates the words left to right, which scrambles right-to-left text
+const SHAPING = { features: [] };
+
+function fontPaths() {
+    return {
+        [REGULAR]: process.env.EXPORT_PDF_FONT || path.join(FONT_DIR, 'Amiri-Regular.ttf'),
+        [BOLD]: process.env.EXPORT_PDF_FONT_BOLD || path.join(FONT_DIR, 'Amiri-Bold.ttf')
+    };
+}
+
+// Runs of one line in visual (left to right) order, for a right-to-left paragraph (UAX #9 rule L2 on runs)
+function visualRuns(line) {
+    const { levels } = bidi.getEmbeddingLevels(line, 'rtl');
+    const runs = [];
+    for (let i = 0; i < line.length; i++) {
+        const last = runs[runs.length - 1];
+        if (last && last.level === levels[i]) last.text += line[i];
+        else runs.push({ level: levels[i], text: line[i] });
+    }
+    const highest = Math.max(...runs.map(r => r.level));
+    for (let level = highest; level >= 1; level--) {
+        for (let i = 0; i < runs.length;) {
+            if (runs[i].level < level) { i++; continue; }
+            let j = i;
+            while (j < runs.length && runs[j].level >= level) j++;
+            runs.splice(i, j - i, ...runs.slice(i, j).reverse());
+            i = j;
+        }
+    }
+    // right-to-left runs get mirrored brackets; fontkit reverses the ones it recognizes as Arabic,
+    // runs of only punctuation / spaces are reversed here
+    return runs.map(r => {
+        if (r.level % 2 === 0) return r;
+        const chars = [...r.text].map(ch => bidi.getMirroredCharacter(ch) || ch);
+        return { ...r, text: (ARABIC_LETTER.test(r.text) ? chars : chars.reverse()).join('') };
+    });
+}
+
+function wrap(doc, value, width) {
+    const lines = [];
+    for (const paragraph of String(value).split(/\r?\n/)) {
+        let line = '';
+        for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (!line || doc.widthOfString(candidate, SHAPING) <= width) {
+                line = candidate;
+                continue;
+            }
+            lines.push(line);
+            line = word;
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+const lineHeight = doc => doc.currentLineHeight(true) + LINE_GAP;
+
+function drawLine(doc, line, { x, y, width, align = 'right' }) {
+    const runs = visualRuns(line).map(r => ({ ...r, width: doc.widthOfString(r.text, SHAPING) }));
+    const total = runs.reduce((sum, r) => sum + r.width, 0);
+    let cursor = align === 'center' ? x + (width - total) / 2 : x + width - total;
+    for (const r of runs) {
+        doc.text(r.text, cursor, y, { ...SHAPING, lineBreak: false });
+        cursor += r.width;
+    }
+}
+
+// Draws wrapped text inside [x, x + width] starting at y and returns the y below it
+function drawText(doc, value, { x, y, width, align }) {
+    for (const line of wrap(doc, value, width)) {
+        drawLine(doc, line, { x, y, width, align });
+        y += lineHeight(doc);
+    }
+    return y;
+}
+
+function createRenderer(doc, branding) {
+    const left = MARGIN;
+    const width = () => doc.page.width - 2 * MARGIN;
+    const bottom = () => doc.page.height - MARGIN - 20;
+
+    // starts a new page when `height` does not fit; returns whether it did
+    const ensureSpace = (height) => {
+        if (doc.y + height <= bottom()) return false;
+        doc.addPage();
+        doc.y = MARGIN;
+        return true;
+    };
+
+    function paragraph(value, { bold = false, size = FONT_SIZE, color = '#222222', align } = {}) {
+        doc.font(bold ? BOLD : REGULAR).fontSize(size).fillColor(color);
+        for (const line of wrap(doc, value, width())) {
+            ensureSpace(lineHeight(doc));
+            drawLine(doc, line, { x: left, y: doc.y, width: width(), align });
+            doc.y += lineHeight(doc);
+        }
+    }
+
+    function bulletList(items) {
+        doc.font(REGULAR).fontSize(FONT_SIZE).fillColor('#222222');
+        const indent = 14;
+        for (const item of items) {
+            const lines = wrap(doc, item, width() - indent);
+            lines.forEach((line, i) => {
+                ensureSpace(lineHeight(doc));
+                if (i === 0) doc.text('•', left + width() - indent + 4, doc.y, { lineBreak: false });
+                drawLine(doc, line, { x: left, y: doc.y, width: width() - indent });
+                doc.y += lineHeight(doc);
+            });
+        }
+    }
+
+    function tableRow(cells, widths, { header = false, minHeight = 0, onPageBreak } = {}) {
+        doc.font(header ? BOLD : REGULAR).fontSize(header ? FONT_SIZE - 1 : FONT_SIZE);
+        const wrapped = cells.map((cell, i) => wrap(doc, cell || '', widths[i] - 2 * CELL_PADDING));
+        const height = Math.max(minHeight, ...wrapped.map(lines => lines.length * lineHeight(doc))) + 2 * CELL_PADDING;
+        if (ensureSpace(height) && onPageBreak) {
+            onPageBreak();
+            doc.font(REGULAR).fontSize(FONT_SIZE);
+        }
+
+        // the first column is on the right
+        let x = left + width();
+        const y = doc.y;
+        wrapped.forEach((lines, i) => {
+            x -= widths[i];
+            if (header) doc.rect(x, y, widths[i], height).fillAndStroke(branding.color, '#888888');
+            else doc.rect(x, y, widths[i], height).stroke('#888888');
+            doc.fillColor(header ? '#FFFFFF' : '#222222');
+            drawText(doc, lines.join('\n'), { x: x + CELL_PADDING, y: y + CELL_PADDING, width: widths[i] - 2 * CELL_PADDING, align: header ? 'center' : 'right' });
+        });
+        doc.y = y + height;
+    }
+
+    function table(block) {
+        const totalWeight = block.columns.reduce((sum, c) => sum + (c.width || 1), 0);
+        const widths = block.columns.map(c => (width() * (c.width || 1)) / totalWeight);
+        const headerRow = () => tableRow(block.columns.map(c => c.label), widths, { header: true });
+        doc.lineWidth(0.5);
+        headerRow();
+        for (const row of block.rows) {
+            // the header row is repeated on every page the table continues on
+            tableRow(row, widths, { minHeight: block.rowHeight ? block.rowHeight - 2 * CELL_PADDING : 0, onPageBreak: headerRow });
+        }
+    }
+
+    function header(model) {
+        const top = doc.y;
+        if (branding.logo) {
+            try {
+                doc.image(branding.logo.data, left, top, { fit: [60, 60] });
+            } catch (err) {
+                console.warn('[export] school logo skipped:', err?.message || err);
+            }
+        }
+        paragraph(branding.schoolName, { bold: true, size: 12, color: branding.color });
+        paragraph(model.title, { bold: true, size: 18, color: '#111111' });
+        if (model.subtitle) paragraph(model.subtitle, { size: 12, color: '#444444' });
+        doc.y = Math.max(doc.y, branding.logo ? top + 64 : 0) + 4;
+        if (model.meta.length) paragraph(model.meta.map(([label, value]) => `${label}: ${value}`).join('    '), { size: 10, color: '#444444' });
+        doc.moveTo(left, doc.y + 4).lineTo(left + width(), doc.y + 4).lineWidth(1).stroke(branding.color);
+        doc.y += 12;
+    }
+
+    function section(s) {
+        doc.font(BOLD).fontSize(13);
+        ensureSpace(lineHeight(doc) * 3);
+        paragraph(s.heading, { bold: true, size: 13, color: branding.color });
+        doc.y += 2;
+        for (const block of s.blocks) {
+            if (block.type === 'paragraph') paragraph(block.text, { color: block.tone === 'warning' ? '#B00020' : '#222222', bold: block.tone === 'warning' });
+            else if (block.type === 'list') bulletList(block.items);
+            else if (block.type === 'table') table(block);
+            doc.y += 4;
+        }
+        doc.y += 8;
+    }
+
+    // page numbers once the page count is known (pages are buffered)
+    function footers(generatedAt) {
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            doc.font(REGULAR).fontSize(9).fillColor('#777777');
+            drawLine(doc, `صفحة ${i + 1} من ${range.count} — ${branding.schoolName} — ${generatedAt}`, {
+                x: left, y: doc.page.height - MARGIN, width: width(), align: 'center'
+            });
+        }
+    }
+
+    return { header, section, footers };
+}
+
+export function renderPdf(model, branding) {
+    const doc = new PDFDocument({
+        size: 'A4',
+        layout: model.orientation === 'landscape' ? 'landscape' : 'portrait',
+        margin: MARGIN,
+        bufferPages: true,
+        font: null,
+        info: { Title: model.title, Author: branding.schoolName }
+    });
+    const fonts = fontPaths();
+    doc.registerFont(REGULAR, fonts[REGULAR]);
+    doc.registerFont(BOLD, fonts[BOLD]);
+    doc.font(REGULAR);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    const done = new Promise((resolve, reject) => {
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    const renderer = createRenderer(doc, branding);
+    renderer.header(model);
+    for (const s of model.sections) renderer.section(s);
+    renderer.footers(printedDate(new Date().toISOString()));
+    doc.end();
+    return done;
+}
@@ -0,0 +1,113 @@
+// lib/firebase/admin.js
+// The single firebase-admin initialization used by every server route.
+// Credential strategy, first match wins:
+//   1) FIRESTORE_EMULATOR_HOST set      -> no credentials, project FIREBASE_PROJECT_ID (default 'demo-tebyan')
+//   2) FIREBASE_SERVICE_ACCOUNT_PATH    -> service account JSON file
+//   3) FIREBASE_SERVICE_ACCOUNT[_JSON]  -> service account JSON in env (or FIREBASE_SERVICE_ACCOUNT_B64, base64)
+//   4) GOOGLE_APPLICATION_CREDENTIALS   -> application default credentials
+import fs from 'fs';
+import path from 'path';
+
+// --- Service account loader / admin initializer ---
+let _app = null;
+let _adminInitTried = false;
+
+function loadServiceAccountFromPath() {
+    const p = process.env.FIREBASE_SERVICE_ACCOUNT_PATH;
+    if (!p) return null;
+    try {
+        const full = path.isAbsolute(p) ? p : path.join(process.cwd(), p);
+        const txt = fs.readFileSync(full, 'utf8');
+        return JSON.parse(txt);
+    } catch (err) {
+        console.warn('[loadSA] failed to read SA file at', p, err?.message || err);
+        return null;
+    }
+}
+
+function loadServiceAccountFromEnv() {
+    // try plain JSON env
+    const raw = process.env.FIREBASE_SERVICE_ACCOUNT || process.env.FIREBASE_SERVICE_ACCOUNT_JSON;
+    if (raw) {
+        try {
+            // If already a stringified JSON or multi-line
+            return typeof raw === 'string' ? JSON.parse(raw) : raw;
+        } catch (err) {
+            console.warn('[loadSA] FIREBASE_SERVICE_ACCOUNT invalid JSON:', err?.message || err);
+            // continue to try base64
+        }
+    }
+    // try base64 env
+    const b64 = process.env.FIREBASE_SERVICE_ACCOUNT_B64;
+    if (b64) {
+        try {
+            const parsed = JSON.parse(Buffer.from(b64, 'base64').toString('utf8'));
+            return parsed;
+        } catch (err) {
+            console.warn('[loadSA] FIREBASE_SERVICE_ACCOUNT_B64 invalid:', err?.message || err);
+        }
+    }
+    return null;
+}
+
+export function isUsingEmulator() {
+    return !!process.env.FIRESTORE_EMULATOR_HOST;
+}
+
+function projectIdFromEnv() {
+    return process.env.FIREBASE_PROJECT_ID || process.env.GCLOUD_PROJECT || process.env.GOOGLE_CLOUD_PROJECT || null;
+}
+
+// Returns the initialized admin App, or null when no credentials are available.
+export async function initializeAdminIfPossible() {
+    if (_adminInitTried) return _app; // avoid repeated tries
+    _adminInitTried = true;
+
+    // import firebase-admin dynamically (so bundler doesn't force it for browser)
+    try {
+        const { getApps, initializeApp, cert, applicationDefault } = await import('firebase-admin/app');
+        // already initialized?
+        if (getApps().length > 0) {
+            _app = getApps()[0];
+            return _app;
+        }
+
+        let options = null;
+        if (isUsingEmulator()) {
+            // the admin SDK talks to the emulator by itself once FIRESTORE_EMULATOR_HOST is set
+            options = { projectId: projectIdFromEnv() || 'demo-tebyan' };
+        } else {
+            const sa = loadServiceAccountFromPath() || loadServiceAccountFromEnv();
+            if (sa) {
+                options = { credential: cert(sa), projectId: sa.project_id || projectIdFromEnv() || undefined };
+            } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+                options = { credential: applicationDefault(), projectId: projectIdFromEnv() || undefined };
+            }
+        }
+
+        if (!options) {
+            console.warn('[initializeAdmin] no credentials: set FIRESTORE_EMULATOR_HOST, FIREBASE_SERVICE_ACCOUNT_PATH / FIREBASE_SERVICE_ACCOUNT[_B64] or GOOGLE_APPLICATION_CREDENTIALS');
+            return null;
+        }
+
+        try {
+            _app = initializeApp(options);
+            console.log(`[initializeAdmin] firebase-admin initialized${isUsingEmulator() ? ` (emulator ${process.env.FIRESTORE_EMULATOR_HOST})` : ''}`);
+            return _app;
+        } catch (err) {
+            console.error('[initializeAdmin] failed to initialize firebase-admin:', err?.message || err);
+            return null;
+        }
+    } catch (err) {
+        console.warn('[initializeAdmin] firebase-admin not installed or import failed:', err?.message || err);
+        return null;
+    }
+}
+
+// Firestore handle from the initialized admin app (null when no credentials are available)
+export async function getFirestoreIfPossible() {
+    const app = await initializeAdminIfPossible();
+    if (!app) return null;
+    const { getFirestore } = await import('firebase-admin/firestore');
+    return getFirestore(app);
+}
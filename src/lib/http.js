@@ -0,0 +1,101 @@
+// lib/http.js
+// Small CORS + JSON helpers shared by the API routes.
+
+// CORS_ALLOWED_ORIGINS: comma separated list of allowed browser origins ("*" allows any origin, without credentials).
+// Defaults to the local dev frontends.
+const DEFAULT_ALLOWED_ORIGINS = 'http://localhost:3000,http://localhost:5173';
+
+function allowedOrigins() {
+    return (process.env.CORS_ALLOWED_ORIGINS || DEFAULT_ALLOWED_ORIGINS)
+        .split(',')
+        .map(o => o.trim().replace(/\/+$/, ''))
+        .filter(Boolean);
+}
+
+export function isOriginAllowed(origin) {
+    if (!origin || origin === '*') return false;
+    const list = allowedOrigins();
+    return list.includes('*') || list.includes(origin.replace(/\/+$/, ''));
+}
+
+// helper to build CORS headers: only origins from the allowlist are echoed back
+export function corsHeaders(origin, methods = 'GET, POST, OPTIONS') {
+    const headers = {
+        'Access-Control-Allow-Methods': methods,
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        'Access-Control-Max-Age': '600',
+        'Vary': 'Origin'
+    };
+    if (!isOriginAllowed(origin)) return headers;
+    if (allowedOrigins().includes(origin.replace(/\/+$/, ''))) {
+        headers['Access-Control-Allow-Origin'] = origin;
+        headers['Access-Control-Allow-Credentials'] = 'true';
+    } else {
+        // wildcard entry: any origin may read, but never with credentials
+        headers['Access-Control-Allow-Origin'] = '*';
+    }
+    return headers;
+}
+
+// helper to return JSON response with CORS
+export function jsonResponse(body, { status = 200, origin, methods } = {}) {
+    const headers = {
+        'Content-Type': 'application/json',
+        ...corsHeaders(origin, methods)
+    };
+    return new Response(JSON.stringify(body), { status, headers });
+}
+
+// helper to return a file download (PDF, DOCX, ...) with CORS; the filename may be non-ASCII
+export function fileResponse(body, { filename, contentType, origin, methods } = {}) {
+    const ascii = filename.replace(/[^\x20-\x7e]/g, '_').replace(/"/g, '');
+    const headers = {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+        'Access-Control-Expose-Headers': 'Content-Disposition',
+        'Cache-Control': 'no-store',
+        ...corsHeaders(origin, methods)
+    };
+    return new Response(body, { status: 200, headers });
+}
+
+// respond to OPTIONS preflight
+export function preflightResponse(request, methods) {
+    const origin = request.headers.get('origin') || '*';
+    const headers = {
+        ...corsHeaders(origin, methods),
+        'Content-Length': '0'
+    };
+    return new Response(null, { status: 204, headers });
+}
+
+// read a JSON body, falling back to parsing the raw text (some clients send text/plain)
+export async function readJsonBody(request) {
+    return request.json().catch(async () => {
+        const t = await request.text().catch(() => '');
+        try { return JSON.parse(t); } catch (_) { return {}; }
+    });
+}
+
+// read a multipart/form-data body, refusing it (413) as soon as more than maxBytes have arrived
+export async function readFormData(request, maxBytes) {
+    const tooLarge = () => httpError(`request body too large (max ${maxBytes} bytes)`, 413);
+    if (Number(request.headers.get('content-length')) > maxBytes) throw tooLarge();
+    const chunks = [];
+    let bytes = 0;
+    for await (const chunk of request.body || []) {
+        bytes += chunk.length;
+        if (bytes > maxBytes) throw tooLarge();
+        chunks.push(chunk);
+    }
+    return new Response(Buffer.concat(chunks), { headers: { 'Content-Type': request.headers.get('content-type') || '' } }).formData();
+}
+
+// Error carrying an HTTP status; route handlers answer with err.status (default 500)
+// and merge the optional `details` object into the JSON error body
+export function httpError(message, status = 500, details) {
+    const err = new Error(message);
+    err.status = status;
+    if (details) err.details = details;
+    return err;
+}
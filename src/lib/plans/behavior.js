@@ -0,0 +1,160 @@
+// lib/plans/behavior.js
+// Behavior data recorded against a behavior plan (BIP): entry validation, weekly trend statistics
+// and the review flag (review_after_days elapsed, or the behavior trending worse).
+//
+// Entries are either ABC incidents (one occurrence: antecedent, behavior, consequence, intensity 1-5,
+// durationSeconds) or frequency counts (count occurrences during observationMinutes).
+import { httpError } from '@/lib/http';
+
+export const BEHAVIOR_ENTRY_TYPES = ['incident', 'frequency'];
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Relative change of the weekly count slope (per week, vs. the mean) above which a trend counts as moving
+const TREND_THRESHOLD = 0.1;
+
+function optionalNumber(value, field, { min = 0, max = Infinity } = {}) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < min || n > max) throw httpError(`${field} must be a number between ${min} and ${max}`, 400);
+    return n;
+}
+
+// Validate one entry from a request body and return the stored shape
+export function behaviorEntryFields(body = {}) {
+    const type = body.type || (body.count !== undefined ? 'frequency' : 'incident');
+    if (!BEHAVIOR_ENTRY_TYPES.includes(type)) throw httpError(`type must be one of ${BEHAVIOR_ENTRY_TYPES.join(', ')}`, 400);
+
+    const occurredAt = new Date(body.occurredAt || Date.now());
+    if (Number.isNaN(occurredAt.getTime())) throw httpError('occurredAt must be a date', 400);
+
+    const entry = {
+        type,
+        occurredAt: occurredAt.toISOString(),
+        behavior: String(body.behavior || '').trim(),
+        setting: String(body.setting || '').trim(),
+        notes: String(body.notes || '').trim(),
+        sessionId: body.sessionId ? String(body.sessionId) : null
+    };
+
+    if (type === 'incident') {
+        entry.antecedent = String(body.antecedent || '').trim();
+        entry.consequence = String(body.consequence || '').trim();
+        if (!entry.behavior) throw httpError('behavior is required for an ABC incident', 400);
+        entry.intensity = optionalNumber(body.intensity, 'intensity', { min: 1, max: 5 });
+        entry.durationSeconds = optionalNumber(body.durationSeconds, 'durationSeconds');
+        entry.count = 1;
+    } else {
+        const count = optionalNumber(body.count, 'count');
+        if (count === null || !Number.isInteger(count)) throw httpError('count must be a whole number for a frequency entry', 400);
+        entry.count = count;
+        entry.observationMinutes = optionalNumber(body.observationMinutes, 'observationMinutes');
+    }
+    return entry;
+}
+
+// Monday (UTC) of the week containing `iso`, as YYYY-MM-DD
+function weekStart(iso) {
+    const d = new Date(iso);
+    const day = (d.getUTCDay() + 6) % 7;
+    return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day)).toISOString().slice(0, 10);
+}
+
+const round = (n, digits = 2) => (n === null ? null : Math.round(n * 10 ** digits) / 10 ** digits);
+
+// Per-week statistics (oldest week first). Weeks without data between the first and last entry are included
+// with zero counts so the trend is not skewed by missing weeks.
+export function weeklyBehaviorStats(entries) {
+    const weeks = new Map();
+    for (const e of entries) {
+        const key = weekStart(e.occurredAt);
+        if (!weeks.has(key)) weeks.set(key, { weekStart: key, occurrences: 0, incidents: 0, intensities: [], durations: [], observedCount: 0, observationMinutes: 0 });
+        const w = weeks.get(key);
+        w.occurrences += e.count || 0;
+        if (e.type === 'incident') {
+            w.incidents += 1;
+            if (e.intensity !== null && e.intensity !== undefined) w.intensities.push(e.intensity);
+            if (e.durationSeconds !== null && e.durationSeconds !== undefined) w.durations.push(e.durationSeconds);
+        } else if (e.observationMinutes) {
+            // the rate only uses counts taken over a known observation window
+            w.observedCount += e.count || 0;
+            w.observationMinutes += e.observationMinutes;
+        }
+    }
+    if (!weeks.size) return [];
+
+    const keys = [...weeks.keys()].sort();
+    const out = [];
+    for (let t = new Date(keys[0]).getTime(); t <= new Date(keys[keys.length - 1]).getTime(); t += 7 * DAY_MS) {
+        const key = new Date(t).toISOString().slice(0, 10);
+        const w = weeks.get(key) || { weekStart: key, occurrences: 0, incidents: 0, intensities: [], durations: [], observedCount: 0, observationMinutes: 0 };
+        const mean = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+        out.push({
+            weekStart: key,
+            occurrences: w.occurrences,
+            incidents: w.incidents,
+            avgIntensity: round(mean(w.intensities)),
+            avgDurationSeconds: round(mean(w.durations), 1),
+            totalDurationSeconds: w.durations.reduce((a, b) => a + b, 0),
+            ratePerHour: w.observationMinutes ? round(w.observedCount / (w.observationMinutes / 60)) : null
+        });
+    }
+    return out;
+}
+
+// least-squares slope of ys over 0..n-1
+function slope(ys) {
+    const n = ys.length;
+    const mx = (n - 1) / 2;
+    const my = ys.reduce((a, b) => a + b, 0) / n;
+    let num = 0;
+    let den = 0;
+    ys.forEach((y, x) => { num += (x - mx) * (y - my); den += (x - mx) ** 2; });
+    return den ? num / den : 0;
+}
+
+// Trend over the last `weeks` weeks of stats: the plan targets a reduction, so rising counts
+// (or, with flat counts, rising intensity) mean worsening
+export function behaviorTrend(stats, { weeks = 4 } = {}) {
+    const recent = stats.slice(-weeks);
+    if (recent.length < 2) return { direction: 'insufficient_data', weeks: recent.length, slopePerWeek: null, relativeChange: null };
+
+    const counts = recent.map(w => w.occurrences);
+    const mean = counts.reduce((a, b) => a + b, 0) / counts.length;
+    const countSlope = slope(counts);
+    const relativeChange = mean ? countSlope / mean : (countSlope > 0 ? 1 : 0);
+
+    let direction = 'stable';
+    if (relativeChange > TREND_THRESHOLD) direction = 'worsening';
+    else if (relativeChange < -TREND_THRESHOLD) direction = 'improving';
+
+    const intensities = recent.map(w => w.avgIntensity).filter(v => v !== null);
+    const intensitySlope = intensities.length >= 2 ? slope(intensities) : null;
+    if (direction === 'stable' && intensitySlope !== null && intensitySlope >= 0.5) direction = 'worsening';
+
+    return { direction, weeks: recent.length, slopePerWeek: round(countSlope), relativeChange: round(relativeChange), intensitySlopePerWeek: round(intensitySlope) };
+}
+
+// When a behavior plan is due for review: `review_after_days` (default 14) after its latest version
+export function reviewDueAt(plan, now = new Date()) {
+    const days = Number(plan?.currentPlan?.review_after_days) || 14;
+    const since = plan?.updatedAt || plan?.createdAt || now.toISOString();
+    return { days, dueAt: new Date(new Date(since).getTime() + days * DAY_MS).toISOString() };
+}
+
+// Review state of a behavior plan header given its trend. The review period runs from the latest version.
+export function evaluatePlanReview(plan, trend, now = new Date()) {
+    const { days, dueAt } = reviewDueAt(plan, now);
+
+    const reasons = [];
+    if (now.toISOString() >= dueAt) reasons.push('review_due');
+    if (trend?.direction === 'worsening') reasons.push('trend_worsening');
+
+    return {
+        flagged: reasons.length > 0,
+        reasons,
+        reviewAfterDays: days,
+        dueAt,
+        trend: trend?.direction || null
+    };
+}
@@ -0,0 +1,46 @@
+// lib/plans/diff.js
+// Field-level diff between two normalized plans (educational or behavior).
+// Scalars report from/to, lists report added/removed items, nested objects are walked with dotted paths.
+
+const IGNORED_FIELDS = new Set(['meta']);
+
+function itemKey(item) {
+    if (item && typeof item === 'object') return JSON.stringify(item.text !== undefined ? item.text : item);
+    return JSON.stringify(String(item).trim());
+}
+
+function diffLists(field, from, to) {
+    const fromKeys = from.map(itemKey);
+    const toKeys = to.map(itemKey);
+    const added = to.filter((_, i) => !fromKeys.includes(toKeys[i]));
+    const removed = from.filter((_, i) => !toKeys.includes(fromKeys[i]));
+    if (added.length || removed.length) return [{ field, change: 'list', added, removed }];
+    if (fromKeys.join('\u0000') !== toKeys.join('\u0000')) return [{ field, change: 'reordered', from, to }];
+    return [];
+}
+
+function diffValues(field, from, to) {
+    if (Array.isArray(from) || Array.isArray(to)) {
+        return diffLists(field, Array.isArray(from) ? from : [], Array.isArray(to) ? to : []);
+    }
+    const isObj = v => v && typeof v === 'object';
+    if (isObj(from) && isObj(to)) {
+        const keys = Array.from(new Set([...Object.keys(from), ...Object.keys(to)]));
+        return keys.flatMap(k => diffValues(`${field}.${k}`, from[k], to[k]));
+    }
+    if (JSON.stringify(from) === JSON.stringify(to)) return [];
+    if (from === undefined) return [{ field, change: 'added', to }];
+    if (to === undefined) return [{ field, change: 'removed', from }];
+    return [{ field, change: 'changed', from, to }];
+}
+
+export function diffPlans(fromPlan = {}, toPlan = {}) {
+    const keys = Array.from(new Set([...Object.keys(fromPlan || {}), ...Object.keys(toPlan || {})]))
+        .filter(k => !IGNORED_FIELDS.has(k));
+    const changes = keys.flatMap(k => diffValues(k, fromPlan?.[k], toPlan?.[k]));
+    return {
+        identical: changes.length === 0,
+        changedFields: Array.from(new Set(changes.map(c => c.field.split('.')[0]))),
+        changes
+    };
+}
@@ -0,0 +1,45 @@
+// lib/plans/progress.js
+// Recorded progress of a saved plan (trial sheets for educational plans, ABC / frequency data for
+// behavior plans), summarized for the revision prompt of /api/analyze.
+import { listBehaviorEntries, listTrialSheets } from '@/lib/data/plans';
+import { weeklyBehaviorStats, behaviorTrend, evaluatePlanReview } from './behavior';
+import { summarizeTrials } from './trials';
+
+// Returns { kind: 'behavior' | 'trials', ... } with the same statistics the progress endpoints report
+export async function loadPlanProgress(plan) {
+    if (plan.analysisType === 'behavior') {
+        const entries = await listBehaviorEntries(plan.id);
+        const weekly = weeklyBehaviorStats(entries);
+        const trend = behaviorTrend(weekly);
+        return { kind: 'behavior', entries: entries.length, weekly: weekly.slice(-8), trend, review: evaluatePlanReview(plan, trend) };
+    }
+    const sheets = await listTrialSheets(plan.id);
+    const summary = summarizeTrials(sheets, {
+        steps: Array.isArray(plan.currentPlan?.task_analysis_steps) ? plan.currentPlan.task_analysis_steps.map(String) : [],
+        smartGoal: plan.currentPlan?.smart_goal || ''
+    });
+    return { kind: 'trials', ...summary, sessions: summary.sessions.slice(-8) };
+}
+
+// Compact text for the model (the raw statistics are also sent in the provider payload)
+export function formatProgressForPrompt(progress, { maxChars = 3000 } = {}) {
+    if (!progress) return '';
+    const lines = [];
+    if (progress.kind === 'behavior') {
+        lines.push(`سجلات السلوك: ${progress.entries} | الاتجاه: ${progress.trend.direction} (slope/week: ${progress.trend.slopePerWeek ?? '-'})`);
+        for (const w of progress.weekly) {
+            lines.push(`- أسبوع ${w.weekStart}: ${w.occurrences} مرة${w.avgIntensity !== null ? `، شدة ${w.avgIntensity}` : ''}${w.ratePerHour !== null ? `، ${w.ratePerHour}/ساعة` : ''}`);
+        }
+        if (progress.review.flagged) lines.push(`مراجعة مطلوبة: ${progress.review.reasons.join(', ')}`);
+    } else {
+        lines.push(`معيار الإتقان: ${progress.criterion.percent}% في ${progress.criterion.sessions} جلسات متتالية | الدقة الكلية: ${progress.overall.accuracy ?? '-'}%`);
+        for (const st of progress.steps) {
+            const prompts = Object.entries(st.promptLevels).map(([level, n]) => `${level}×${n}`).join(' ');
+            lines.push(`- خطوة ${st.stepIndex ?? '?'} "${st.step}": ${st.trials} محاولة، دقة ${st.accuracy ?? '-'}%، آخر جلسة ${st.lastSessionAccuracy ?? '-'}%${st.mastered ? '، متقنة' : ''}${prompts ? `، تلقين: ${prompts}` : ''}`);
+        }
+        for (const s of progress.sessions) {
+            lines.push(`- جلسة ${String(s.occurredAt).slice(0, 10)}: ${s.trials} محاولة، دقة ${s.accuracy ?? '-'}%`);
+        }
+    }
+    return lines.join('\n').slice(0, maxChars);
+}
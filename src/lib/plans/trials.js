@@ -0,0 +1,176 @@
+// lib/plans/trials.js
+// Trial-by-trial measurement for educational plans: validate a session's trial sheet against the plan's
+// task_analysis_steps, compute accuracy per step and per session, and detect mastery against the
+// percentage criterion written in smart_goal (e.g. "... في 80% من المحاولات").
+//
+// A trial result is independent (+), prompted (P) or incorrect (-); only independent trials count as correct.
+import { httpError } from '@/lib/http';
+
+export const TRIAL_RESULTS = ['independent', 'prompted', 'incorrect'];
+export const PROMPT_LEVELS = ['full_physical', 'partial_physical', 'model', 'gestural', 'verbal', 'visual'];
+
+const RESULT_ALIASES = {
+    '+': 'independent',
+    'independent': 'independent',
+    'مستقل': 'independent',
+    'p': 'prompted',
+    'prompted': 'prompted',
+    'بمساعدة': 'prompted',
+    '-': 'incorrect',
+    'incorrect': 'incorrect',
+    'خطأ': 'incorrect'
+};
+
+export const DEFAULT_MASTERY_PERCENT = 80;
+export const DEFAULT_MASTERY_SESSIONS = 2;
+
+const toWesternDigits = s => String(s).replace(/[٠-٩]/g, d => String(d.charCodeAt(0) - 0x0660));
+
+// Mastery percentage stated in the SMART goal ("80%", "٨٠٪", "80 ٪"), or the default
+export function masteryCriterion(smartGoal) {
+    const m = toWesternDigits(smartGoal || '').match(/(\d{1,3}(?:\.\d+)?)\s*[%٪]/);
+    const percent = m ? Number(m[1]) : null;
+    if (percent !== null && percent > 0 && percent <= 100) return { percent, source: 'smart_goal' };
+    return { percent: DEFAULT_MASTERY_PERCENT, source: 'default' };
+}
+
+function resolveStep(trial, steps) {
+    if (trial.stepIndex !== undefined && trial.stepIndex !== null) {
+        const i = Number(trial.stepIndex);
+        if (!Number.isInteger(i) || i < 0 || (steps.length && i >= steps.length)) {
+            throw httpError(`stepIndex must be between 0 and ${Math.max(steps.length - 1, 0)}`, 400);
+        }
+        return { stepIndex: i, step: steps[i] || String(trial.step || '') };
+    }
+    const text = String(trial.step || '').trim();
+    if (!text) throw httpError('each trial needs stepIndex or step', 400);
+    const i = steps.findIndex(s => String(s).trim() === text);
+    if (i === -1 && steps.length) throw httpError(`step "${text}" is not one of the plan's task_analysis_steps`, 400);
+    return { stepIndex: i === -1 ? null : i, step: text };
+}
+
+// Validate a trial sheet body { sessionId?, occurredAt?, trials: [{ stepIndex|step, result, promptLevel? }] }
+export function trialSheetFields(body = {}, steps = []) {
+    if (!Array.isArray(body.trials) || !body.trials.length) throw httpError('trials must be a non-empty array', 400);
+    if (body.trials.length > 500) throw httpError('at most 500 trials per sheet', 400);
+
+    const occurredAt = new Date(body.occurredAt || Date.now());
+    if (Number.isNaN(occurredAt.getTime())) throw httpError('occurredAt must be a date', 400);
+
+    const trials = body.trials.map(t => {
+        const result = RESULT_ALIASES[String(t?.result || '').trim().toLowerCase()];
+        if (!result) throw httpError('trial result must be independent (+), prompted (P) or incorrect (-)', 400);
+        const promptLevel = t.promptLevel ? String(t.promptLevel) : null;
+        if (promptLevel && !PROMPT_LEVELS.includes(promptLevel)) throw httpError(`promptLevel must be one of ${PROMPT_LEVELS.join(', ')}`, 400);
+        if (result === 'prompted' && !promptLevel) throw httpError('prompted trials need a promptLevel', 400);
+        return { ...resolveStep(t, steps), result, promptLevel: result === 'prompted' ? promptLevel : null };
+    });
+
+    return {
+        sessionId: body.sessionId ? String(body.sessionId) : null,
+        occurredAt: occurredAt.toISOString(),
+        notes: String(body.notes || '').trim(),
+        trials
+    };
+}
+
+function tally(trials) {
+    const counts = { trials: trials.length, independent: 0, prompted: 0, incorrect: 0 };
+    for (const t of trials) counts[t.result] += 1;
+    counts.accuracy = counts.trials ? Math.round((counts.independent / counts.trials) * 1000) / 10 : null;
+    return counts;
+}
+
+const stepKey = t => (t.step ? `text:${t.step}` : `#${t.stepIndex}`);
+
+// A revision may reorder or rewrite task_analysis_steps, so an older sheet's stepIndex can point at another step.
+// Trials are matched to the current steps by their stored text instead; steps no longer in the plan keep their
+// text with stepIndex null.
+function matchCurrentSteps(sheets, steps) {
+    const indexOf = new Map();
+    steps.forEach((step, i) => {
+        const text = String(step).trim();
+        if (!indexOf.has(text)) indexOf.set(text, i);
+    });
+    return sheets.map(sheet => ({
+        ...sheet,
+        trials: (sheet.trials || []).map(t => {
+            const text = String(t.step || '').trim();
+            if (!text) return { ...t, step: '' };
+            return { ...t, step: text, stepIndex: indexOf.has(text) ? indexOf.get(text) : null };
+        })
+    }));
+}
+
+// Mastery: accuracy at or above the criterion in `sessions` consecutive sessions (the most recent ones)
+function masteryOf(sessionAccuracies, { percent, sessions }) {
+    let streak = 0;
+    let masteredAt = null;
+    for (const s of sessionAccuracies) {
+        if (s.accuracy !== null && s.accuracy >= percent) {
+            streak += 1;
+            if (streak >= sessions && !masteredAt) masteredAt = s.occurredAt;
+        } else {
+            streak = 0;
+            masteredAt = null;
+        }
+    }
+    return { mastered: !!masteredAt, masteredAt, currentStreak: streak };
+}
+
+// Accuracy per step and per session plus mastery, for sheets sorted oldest first
+export function summarizeTrials(recordedSheets, { steps = [], smartGoal = '', masterySessions = DEFAULT_MASTERY_SESSIONS } = {}) {
+    const criterion = { ...masteryCriterion(smartGoal), sessions: masterySessions };
+    const sheets = matchCurrentSteps(recordedSheets, steps);
+
+    const sessions = sheets.map(sheet => {
+        const byStep = new Map();
+        for (const t of sheet.trials || []) {
+            if (!byStep.has(stepKey(t))) byStep.set(stepKey(t), { stepIndex: t.stepIndex, step: t.step, trials: [] });
+            byStep.get(stepKey(t)).trials.push(t);
+        }
+        return {
+            sheetId: sheet.id,
+            sessionId: sheet.sessionId || null,
+            occurredAt: sheet.occurredAt,
+            ...tally(sheet.trials || []),
+            steps: [...byStep.values()].map(s => ({ stepIndex: s.stepIndex, step: s.step, ...tally(s.trials) }))
+        };
+    });
+
+    // every plan step is reported (even without data yet), plus free-text steps that were recorded
+    const stepList = steps.map((step, stepIndex) => ({ stepIndex, step: String(step).trim() }));
+    for (const s of sessions) {
+        for (const st of s.steps) {
+            if (!stepList.some(x => stepKey(x) === stepKey(st))) stepList.push({ stepIndex: st.stepIndex, step: st.step });
+        }
+    }
+
+    const stepSummaries = stepList.map(({ stepIndex, step }) => {
+        const key = stepKey({ stepIndex, step });
+        const all = sheets.flatMap(sheet => (sheet.trials || []).filter(t => stepKey(t) === key));
+        const promptLevels = {};
+        for (const t of all) if (t.promptLevel) promptLevels[t.promptLevel] = (promptLevels[t.promptLevel] || 0) + 1;
+        const perSession = sessions
+            .map(s => ({ occurredAt: s.occurredAt, accuracy: (s.steps.find(x => stepKey(x) === key) || { accuracy: null }).accuracy }))
+            .filter(s => s.accuracy !== null);
+        return {
+            stepIndex,
+            step,
+            ...tally(all),
+            promptLevels,
+            lastSessionAccuracy: perSession.length ? perSession[perSession.length - 1].accuracy : null,
+            ...masteryOf(perSession, criterion)
+        };
+    });
+
+    return {
+        criterion,
+        overall: {
+            ...tally(sheets.flatMap(s => s.trials || [])),
+            ...masteryOf(sessions, criterion)
+        },
+        steps: stepSummaries,
+        sessions
+    };
+}
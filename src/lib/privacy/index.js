@@ -0,0 +1,80 @@
+// lib/privacy/index.js
+// What an analysis may send to the model provider: the tenant's policy (./policy.js) decides which request data is
+// sent at all, and the redactor (./redact.js) replaces the PII in what is sent with placeholders that are restored in
+// the model output. Known PII comes from the request itself: the child's name and the names, phone numbers, ids and
+// addresses held in the assessment / family report objects (recognized by their keys).
+import { createRedactor } from './redact';
+import { privacyPolicyFor } from './policy';
+
+export { privacyPolicyFor, PII_ENTITIES, POLICY_FIELDS } from './policy';
+
+const MAX_DEPTH = 8;
+const MAX_VALUES = 5000;
+
+// keys whose `name` values are not people (reinforcers, activities, tools, ...)
+const NOT_A_PERSON = /file|domain|title|activit|skill|goal|indicator|curricul|reinforc|toy|item|tool|test|scale|medic|drug|food|sensory|diagnos|school|center|centre|program|user_?name/i;
+const FAMILY = /father|mother|parent|guardian|sibling|brother|sister|family|relative|uncle|aunt|grand|caregiver|الاب|الأب|الام|الأم|والد|ولي|الاخ|الأخ|اخت|أخت|الجد|الجده|الجدة/i;
+const STAFF = /teacher|specialist|therap|doctor|clinician|staff|assessor|معلم|اخصائ|أخصائ|طبيب/i;
+const CHILD = /child|student|kid|basic|personal|profile|طفل|الطالب/i;
+
+function classify(pathKeys) {
+    const key = pathKeys[pathKeys.length - 1] || '';
+    const joined = pathKeys.join('.');
+    if (/e-?mail|البريد/i.test(key)) return { kind: 'emails' };
+    if (/phone|mobile|^tel|whats|جوال|هاتف|رقم_?التواصل/i.test(key)) return { kind: 'phones' };
+    if (/national|identity|iqama|passport|id_?number|civil|هوية|هويه|اقامة|إقامة|السجل/i.test(key)) return { kind: 'nationalIds' };
+    if (/address|street|district|neighbo|عنوان|شارع|الحي/i.test(key)) return { kind: 'addresses' };
+    if (!/name|اسم/i.test(key) || NOT_A_PERSON.test(joined)) return null;
+    if (FAMILY.test(joined)) return { kind: 'names', role: 'family' };
+    if (STAFF.test(joined)) return { kind: 'names', role: 'person' };
+    if (CHILD.test(joined) || pathKeys.length <= 2) return { kind: 'names', role: 'child' };
+    return null;
+}
+
+// [{ kind, role?, value }] for the PII values found in `sources` (objects), plus the child's name
+export function collectKnownPii({ childName, sources = [] } = {}) {
+    const found = [];
+    if (childName && String(childName).trim()) found.push({ kind: 'names', role: 'child', value: String(childName).trim() });
+    let visited = 0;
+    const visit = (value, pathKeys) => {
+        if (visited++ > MAX_VALUES || pathKeys.length > MAX_DEPTH || value === null || value === undefined) return;
+        if (Array.isArray(value)) {
+            value.forEach(v => visit(v, pathKeys));
+            return;
+        }
+        if (typeof value === 'object') {
+            for (const [k, v] of Object.entries(value)) visit(v, [...pathKeys, k]);
+            return;
+        }
+        if (typeof value !== 'string' && typeof value !== 'number') return;
+        const text = String(value).trim();
+        const type = classify(pathKeys);
+        if (!type || text.length < 2 || text.length > 120) return;
+        if (type.kind === 'names' && !/\p{L}/u.test(text)) return;
+        found.push({ ...type, value: text });
+    };
+    for (const source of sources) {
+        if (source && typeof source === 'object') visit(source, []);
+    }
+    return found;
+}
+
+// The privacy guard of one analysis: { policy, allows(field), redact(value), restore(value), summary() }.
+// With `redact: false` in the policy, redact / restore return their input unchanged.
+export function createPrivacyGuard({ tenantId, childName, sources } = {}) {
+    const policy = privacyPolicyFor(tenantId);
+    const redactor = policy.redact ? createRedactor(collectKnownPii({ childName, sources }), { entities: policy.entities }) : null;
+    return {
+        policy,
+        allows: (field) => policy.fields[field] !== false,
+        redact: (value) => (redactor ? redactor.redact(value) : value),
+        restore: (value) => (redactor ? redactor.restore(value) : value),
+        // `meta.privacy` of an analysis
+        summary: () => ({
+            tenantId: policy.tenantId,
+            redacted: policy.redact,
+            replaced: redactor ? redactor.summary() : {},
+            withheld: Object.entries(policy.fields).filter(([, allowed]) => !allowed).map(([field]) => field)
+        })
+    };
+}
@@ -0,0 +1,78 @@
+// lib/privacy/policy.js
+// Per-tenant privacy policy for data sent to the model provider. Source is data/privacy/policies.json (override with
+// PRIVACY_POLICIES_PATH): { default: {...}, tenants: { <tenantId>: {...} } }, where a tenant entry overrides the
+// default's keys (and `fields` key by key). A policy is
+//   redact    replace PII with placeholders before the provider call (default true)
+//   entities  which PII kinds to replace: names, phones, nationalIds, addresses, emails
+//   fields    request data that may be sent at all (false drops it from the messages and the payload):
+//             assessmentSummary, assessmentReport, assessmentRaw (assessmentDoc / assessmentData objects),
+//             familyReport, familyReportRaw, recentSessions, planRequestMeta, curriculumSelectionRaw
+import fs from 'fs';
+import path from 'path';
+
+export const PII_ENTITIES = ['names', 'phones', 'nationalIds', 'addresses', 'emails'];
+export const POLICY_FIELDS = ['assessmentSummary', 'assessmentReport', 'assessmentRaw', 'familyReport', 'familyReportRaw', 'recentSessions', 'planRequestMeta', 'curriculumSelectionRaw'];
+
+// used when the policy file is missing: redact everything, never send the raw documents
+const BUILTIN_DEFAULT = {
+    redact: true,
+    entities: PII_ENTITIES,
+    fields: {
+        assessmentSummary: true,
+        assessmentReport: true,
+        assessmentRaw: false,
+        familyReport: true,
+        familyReportRaw: false,
+        recentSessions: true,
+        planRequestMeta: true,
+        curriculumSelectionRaw: true
+    }
+};
+
+let _cache = null;
+
+function policiesPath() {
+    const p = process.env.PRIVACY_POLICIES_PATH;
+    if (!p) return path.join(process.cwd(), 'data', 'privacy', 'policies.json');
+    return path.isAbsolute(p) ? p : path.join(process.cwd(), p);
+}
+
+// Load (and cache until the file changes) the policy file
+function loadPolicies() {
+    const file = policiesPath();
+    let mtimeMs = 0;
+    try {
+        mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (e) {
+        return { default: BUILTIN_DEFAULT, tenants: {} };
+    }
+    if (_cache && _cache.file === file && _cache.mtimeMs === mtimeMs) return _cache.policies;
+
+    let policies;
+    try {
+        const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+        policies = { default: raw.default || BUILTIN_DEFAULT, tenants: raw.tenants || {} };
+    } catch (e) {
+        // a broken policy file must not loosen anything
+        console.warn('[privacy] failed to parse policy file, using the built-in default:', e.message);
+        return { default: BUILTIN_DEFAULT, tenants: {} };
+    }
+    _cache = { file, mtimeMs, policies };
+    return policies;
+}
+
+function mergePolicy(base, override = {}) {
+    return {
+        redact: override.redact ?? base.redact ?? true,
+        entities: (override.entities || base.entities || PII_ENTITIES).filter(e => PII_ENTITIES.includes(e)),
+        fields: Object.fromEntries(POLICY_FIELDS.map(f => [f, (override.fields || {})[f] ?? (base.fields || {})[f] ?? BUILTIN_DEFAULT.fields[f]]))
+    };
+}
+
+// The effective policy of a tenant ({ tenantId, redact, entities, fields }); unknown tenants get the default
+export function privacyPolicyFor(tenantId) {
+    const policies = loadPolicies();
+    const base = mergePolicy(BUILTIN_DEFAULT, policies.default);
+    const tenant = tenantId ? policies.tenants[String(tenantId)] : null;
+    return { tenantId: tenant ? String(tenantId) : null, ...(tenant ? mergePolicy(base, tenant) : base) };
+}
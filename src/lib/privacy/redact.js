@@ -0,0 +1,161 @@
+// lib/privacy/redact.js
+// Reversible PII redaction for one analysis request. Known values (the child's and family members' names, phone
+// numbers, ids and addresses found in the assessment) and pattern matches in free text (phone numbers, Saudi national
+// / iqama ids, emails) are replaced with placeholders such as [CHILD], [FAMILY_1_FIRST] or [PHONE_2]. The same value
+// always gets the same placeholder within the request, so the model can refer to it, and restore() puts the original
+// values back into the model output.
+import { normalizeArabicText } from '@/lib/arabic/text';
+
+const DIGIT = '[0-9٠-٩]';
+const NOT_DIGIT_BEFORE = '(?<![0-9٠-٩])';
+const NOT_DIGIT_AFTER = '(?![0-9٠-٩])';
+const MARKS = '[\\u064B-\\u0652\\u0640]*';
+// letters typed interchangeably in names (hamza forms, taa marbuta, alef maqsura). At the end of a word ي and ى stay
+// distinct: علي must not match the preposition على.
+const LETTER_VARIANTS = { 'ا': '[اأإآ]', 'أ': '[اأإآ]', 'إ': '[اأإآ]', 'آ': '[اأإآ]', 'ه': '[هة]', 'ة': '[هة]', 'ي': '[يى]', 'ى': '[يى]' };
+const COMPOUND_PREFIXES = new Set(['عبد', 'ابو', 'أبو', 'ام', 'أم']);
+
+const PATTERNS = {
+    emails: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+    // international (+966 5x..., 00971 ...) or local numbers starting with 0 (05xxxxxxxx, 011xxxxxxx)
+    phones: new RegExp(`${NOT_DIGIT_BEFORE}(?:(?:\\+|00)${DIGIT}{1,3}[\\s-]?${DIGIT}(?:[\\s-]?${DIGIT}){6,12}|[0٠]${DIGIT}(?:[\\s-]?${DIGIT}){8})${NOT_DIGIT_AFTER}`, 'g'),
+    // Saudi national id (1...) / iqama (2...)
+    nationalIds: new RegExp(`${NOT_DIGIT_BEFORE}[12١٢]${DIGIT}{9}${NOT_DIGIT_AFTER}`, 'g')
+};
+const PLACEHOLDER_PREFIX = { phones: 'PHONE', nationalIds: 'ID', addresses: 'ADDRESS', emails: 'EMAIL' };
+const PLACEHOLDER_RE = /\[\s*(CHILD(?:_FIRST)?|(?:FAMILY|PERSON)_\d+(?:_FIRST)?|(?:PHONE|ID|ADDRESS|EMAIL)_\d+)\s*\]/g;
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const asciiDigits = (s) => String(s).replace(/[٠-٩]/g, d => String('٠١٢٣٤٥٦٧٨٩'.indexOf(d)));
+const stripMarks = (s) => String(s).replace(/[\u064B-\u0652\u0640]/g, '').replace(/\s+/g, ' ').trim();
+
+// numbers are keyed on their digits (the last 9 for phones, so 05.. and +9665.. are the same number),
+// names and addresses on their normalized spelling (احمد / أحمد are the same name)
+function valueKey(kind, value) {
+    if (kind === 'phones') return asciiDigits(value).replace(/\D/g, '').slice(-9);
+    if (kind === 'nationalIds') return asciiDigits(value).replace(/\D/g, '');
+    return normalizeArabicText(value);
+}
+
+// Pattern for a known value; its one capture group is the text kept in front of the placeholder
+function literalPattern(kind, value) {
+    if (kind === 'phones' || kind === 'nationalIds') {
+        const digits = valueKey(kind, value).split('');
+        return `()${NOT_DIGIT_BEFORE}${digits.map(d => `[${d}${'٠١٢٣٤٥٦٧٨٩'[d]}]`).join('[\\s-]?')}${NOT_DIGIT_AFTER}`;
+    }
+    const letterPattern = (ch, last) => (last && (ch === 'ي' || ch === 'ى') ? ch : LETTER_VARIANTS[ch] || escapeRegex(ch));
+    const words = stripMarks(value).split(' ').map(word => [...word].map((ch, i, letters) => letterPattern(ch, i === letters.length - 1) + MARKS).join(''));
+    // a name may carry a one-letter proclitic (و / ف / ب / ل) but must not be part of a longer word
+    return `(?<![\\p{L}\\p{N}])([وفبل]?)${words.join('\\s+')}(?![\\p{L}\\p{N}])`;
+}
+
+// First name of a full name ("عبد الله" counts as one name); null for one-word names or very short ones
+function firstNameOf(name) {
+    const words = stripMarks(name).split(' ');
+    if (words.length < 2) return null;
+    const first = COMPOUND_PREFIXES.has(words[0]) && words.length > 2 ? `${words[0]} ${words[1]}` : words[0];
+    return first.length >= 3 && first !== stripMarks(name) ? first : null;
+}
+
+// known: [{ kind: 'names' | 'phones' | 'nationalIds' | 'addresses' | 'emails', role?: 'child' | 'family' | 'person', value }]
+// entities: the PII kinds to replace
+export function createRedactor(known = [], { entities } = {}) {
+    const enabled = new Set(entities || ['names', 'phones', 'nationalIds', 'addresses', 'emails']);
+    const placeholderOf = new Map(); // `${kind}:${key}` -> placeholder
+    const originalOf = new Map(); // placeholder -> original value
+    const kindOf = new Map(); // placeholder -> kind
+    const counters = {};
+    const used = new Set();
+    const rules = [];
+
+    function assign(kind, value, placeholder) {
+        const id = `${kind}:${valueKey(kind, value)}`;
+        if (placeholderOf.has(id)) return placeholderOf.get(id);
+        if (!placeholder) {
+            const prefix = PLACEHOLDER_PREFIX[kind];
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            placeholder = `[${prefix}_${counters[prefix]}]`;
+        }
+        placeholderOf.set(id, placeholder);
+        if (!originalOf.has(placeholder)) originalOf.set(placeholder, String(value).trim());
+        kindOf.set(placeholder, kind);
+        return placeholder;
+    }
+
+    function addRule(kind, value, placeholder) {
+        rules.push({ regex: new RegExp(literalPattern(kind, value), 'giu'), placeholder, length: stripMarks(value).length });
+    }
+
+    // names: the child's longest spelling is canonical; family members and other people are numbered
+    const names = known.filter(k => k.kind === 'names' && enabled.has('names'));
+    const childNames = names.filter(k => k.role === 'child').map(k => k.value).sort((a, b) => stripMarks(b).length - stripMarks(a).length);
+    for (const name of childNames) {
+        addRule('names', name, assign('names', name, '[CHILD]'));
+        const first = firstNameOf(name);
+        if (first) addRule('names', first, assign('names', first, '[CHILD_FIRST]'));
+    }
+    for (const role of ['family', 'person']) {
+        const prefix = role.toUpperCase();
+        for (const { value } of names.filter(k => k.role === role)) {
+            if (placeholderOf.has(`names:${valueKey('names', value)}`)) continue;
+            counters[prefix] = (counters[prefix] || 0) + 1;
+            const placeholder = `[${prefix}_${counters[prefix]}]`;
+            addRule('names', value, assign('names', value, placeholder));
+            const first = firstNameOf(value);
+            if (first && !placeholderOf.has(`names:${valueKey('names', first)}`)) {
+                addRule('names', first, assign('names', first, `[${prefix}_${counters[prefix]}_FIRST]`));
+            }
+        }
+    }
+    for (const { kind, value } of known.filter(k => k.kind !== 'names' && enabled.has(k.kind))) {
+        if (!valueKey(kind, value)) continue;
+        addRule(kind, value, assign(kind, value));
+    }
+    // longest values first, so a full name is replaced before its first name
+    rules.sort((a, b) => b.length - a.length);
+
+    function redactText(text) {
+        let out = text;
+        // whole numbers and emails first, so a known number is not replaced inside a longer one
+        for (const kind of ['emails', 'phones', 'nationalIds']) {
+            if (!enabled.has(kind)) continue;
+            out = out.replace(PATTERNS[kind], (match) => {
+                const placeholder = assign(kind, match);
+                used.add(placeholder);
+                return placeholder;
+            });
+        }
+        for (const rule of rules) {
+            out = out.replace(rule.regex, (match, kept) => {
+                used.add(rule.placeholder);
+                return kept + rule.placeholder;
+            });
+        }
+        return out;
+    }
+
+    function walk(value, fn) {
+        if (typeof value === 'string') return fn(value);
+        if (Array.isArray(value)) return value.map(v => walk(v, fn));
+        if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+            return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v, fn)]));
+        }
+        return value;
+    }
+
+    return {
+        // copy of `value` (string, array or plain object) with PII replaced in every string
+        redact: (value) => walk(value, redactText),
+        // copy of `value` with the placeholders of this request replaced by the original values
+        restore: (value) => walk(value, (text) => text.replace(PLACEHOLDER_RE, (match, name) => originalOf.get(`[${name}]`) ?? match)),
+        // { names: 2, phones: 1, ... }: how many distinct values were actually replaced, per kind
+        summary() {
+            const counts = {};
+            for (const placeholder of used) {
+                const kind = kindOf.get(placeholder);
+                counts[kind] = (counts[kind] || 0) + 1;
+            }
+            return counts;
+        }
+    };
+}
@@ -0,0 +1,17 @@
+// lib/rag/chunk.js
+// Same chunking as the n8n "Chunk Text (Function)" node: fixed 1000-char windows with 200 chars of overlap.
+
+export const CHUNK_SIZE = 1000;
+export const CHUNK_OVERLAP = 200;
+
+export function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    const txt = String(text || '');
+    const step = Math.max(1, size - overlap);
+    const chunks = [];
+    for (let i = 0, idx = 0; i < txt.length; i += step, idx++) {
+        const c = txt.slice(i, i + size);
+        if (!c || c.trim() === '') continue;
+        chunks.push({ index: idx, text: c });
+    }
+    return chunks;
+}
@@ -0,0 +1,17 @@
+// lib/rag/embedders/index.js
+// Embedder registry. An embedder exposes name, dims, isConfigured(), embed(texts[]) -> number[][].
+// RAG_EMBEDDER picks one ('openai' | 'local'); default is openai when configured, local otherwise.
+import { localEmbedder } from './local';
+import { openaiEmbedder } from './openai';
+
+const EMBEDDERS = {
+    [localEmbedder.name]: localEmbedder,
+    [openaiEmbedder.name]: openaiEmbedder
+};
+
+export function resolveEmbedder(requested) {
+    const name = String(requested || process.env.RAG_EMBEDDER || (openaiEmbedder.isConfigured() ? 'openai' : 'local')).trim().toLowerCase();
+    const embedder = EMBEDDERS[name];
+    if (!embedder) throw new Error(`unknown embedder "${name}" (available: ${Object.keys(EMBEDDERS).join(', ')})`);
+    return embedder;
+}
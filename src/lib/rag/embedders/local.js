@@ -0,0 +1,45 @@
+// lib/rag/embedders/local.js
+// Deterministic hashing embedder (no network): normalized/stemmed Arabic tokens and their character
+// trigrams are hashed into a fixed-size vector, then L2-normalized. Good enough for keyword-ish
+// similarity in dev, CI and tests; use the openai embedder for semantic retrieval.
+import { keywordTokens } from '@/lib/arabic/text';
+
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function embedOne(text, dims) {
+    const vec = new Array(dims).fill(0);
+    const add = (feature, weight) => {
+        const h = fnv1a(feature);
+        vec[h % dims] += (h & 0x80000000 ? -1 : 1) * weight;
+    };
+    for (const token of keywordTokens(text)) {
+        add(`t:${token}`, 1);
+        const padded = `^${token}$`;
+        for (let i = 0; i + 3 <= padded.length; i++) add(`g:${padded.slice(i, i + 3)}`, 0.5);
+    }
+    const norm = Math.sqrt(vec.reduce((a, v) => a + v * v, 0)) || 1;
+    return vec.map(v => Math.round((v / norm) * 1e6) / 1e6);
+}
+
+export const localEmbedder = {
+    name: 'local',
+
+    get dims() {
+        return parseInt(process.env.LOCAL_EMBEDDING_DIMS || '384', 10);
+    },
+
+    isConfigured() {
+        return true;
+    },
+
+    async embed(texts) {
+        return texts.map(t => embedOne(t, this.dims));
+    }
+};
@@ -0,0 +1,35 @@
+// lib/rag/embedders/openai.js
+// OpenAI-compatible /embeddings (text-embedding-3-small by default, as in the n8n workflow).
+import { postJsonWithTimeout } from '@/lib/ai/providers/http';
+
+const BATCH_SIZE = 50; // same batch size as the n8n "Split Chunks (Batches)" node
+
+export const openaiEmbedder = {
+    name: 'openai',
+
+    get dims() {
+        return parseInt(process.env.OPENAI_EMBEDDING_DIMS || '1536', 10);
+    },
+
+    isConfigured() {
+        return !!(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+    },
+
+    async embed(texts) {
+        const base = (process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        const headers = process.env.OPENAI_API_KEY ? { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` } : {};
+        const timeoutMs = parseInt(process.env.AI_TIMEOUT_MS || '120000', 10);
+        const out = [];
+        for (let i = 0; i < texts.length; i += BATCH_SIZE) {
+            const res = await postJsonWithTimeout(`${base}/embeddings`, {
+                model: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+                input: texts.slice(i, i + BATCH_SIZE)
+            }, { headers, timeoutMs });
+            if (!res.ok || !Array.isArray(res.json?.data)) {
+                throw new Error(`embeddings request failed (${res.status}): ${String(res.rawText).slice(0, 300)}`);
+            }
+            res.json.data.sort((a, b) => a.index - b.index).forEach(d => out.push(d.embedding));
+        }
+        return out;
+    }
+};
@@ -0,0 +1,174 @@
+// lib/rag/store.js
+// File-backed vector index (replaces the Supabase `documents` table + vector_search RPC of the n8n workflow).
+// One JSON file (RAG_INDEX_PATH, default .data/rag-index.json) holding document headers and embedded chunks.
+// Writes go through an in-process queue and an atomic rename, so concurrent requests never interleave.
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { httpError } from '@/lib/http';
+import { chunkText } from './chunk';
+import { resolveEmbedder } from './embedders';
+
+export const DOCUMENT_KINDS = ['curriculum', 'guidance', 'other'];
+
+let _queue = Promise.resolve();
+let _cache = null;
+
+function indexPath() {
+    const p = process.env.RAG_INDEX_PATH || path.join('.data', 'rag-index.json');
+    return path.isAbsolute(p) ? p : path.join(process.cwd(), p);
+}
+
+function emptyIndex() {
+    return { version: 1, embedder: null, documents: {}, chunks: [] };
+}
+
+function readIndex() {
+    const file = indexPath();
+    let mtimeMs;
+    try {
+        mtimeMs = fs.statSync(file).mtimeMs;
+    } catch (_) {
+        return emptyIndex();
+    }
+    if (_cache && _cache.file === file && _cache.mtimeMs === mtimeMs) return _cache.index;
+    const index = JSON.parse(fs.readFileSync(file, 'utf8'));
+    _cache = { file, mtimeMs, index };
+    return index;
+}
+
+function writeIndex(index) {
+    const file = indexPath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(index));
+    fs.renameSync(tmp, file);
+    _cache = { file, mtimeMs: fs.statSync(file).mtimeMs, index };
+}
+
+// serialize read-modify-write cycles within this process
+function withIndexLock(fn) {
+    const run = _queue.then(fn, fn);
+    _queue = run.catch(() => { });
+    return run;
+}
+
+export function contentHash(text) {
+    return crypto.createHash('sha256').update(String(text)).digest('hex');
+}
+
+function assertEmbedderMatches(index, embedder) {
+    if (index.embedder && (index.embedder.name !== embedder.name || index.embedder.dims !== embedder.dims)) {
+        throw httpError(`vector index was built with embedder ${index.embedder.name}/${index.embedder.dims}; current is ${embedder.name}/${embedder.dims} (re-ingest or set RAG_EMBEDDER)`, 409);
+    }
+}
+
+// Add or replace a document: old chunks are dropped, the text is chunked and embedded.
+// Unchanged text (same content hash) is skipped unless `force` is set.
+export async function upsertDocument({ id, fileName = '', kind = 'other', text, metadata = {}, force = false }) {
+    if (!text || !String(text).trim()) throw httpError('document text is empty', 400);
+    if (!DOCUMENT_KINDS.includes(kind)) throw httpError(`kind must be one of ${DOCUMENT_KINDS.join(', ')}`, 400);
+    const embedder = resolveEmbedder();
+    const hash = contentHash(text);
+    const docId = String(id || hash.slice(0, 16));
+
+    return withIndexLock(async () => {
+        const index = readIndex();
+        assertEmbedderMatches(index, embedder);
+
+        const existing = index.documents[docId];
+        if (existing && existing.contentHash === hash && !force) {
+            return { document: existing, skipped: true };
+        }
+
+        const chunks = chunkText(text);
+        const embeddings = await embedder.embed(chunks.map(c => c.text));
+        const now = new Date().toISOString();
+        const document = {
+            id: docId,
+            fileName,
+            kind,
+            contentHash: hash,
+            chars: String(text).length,
+            chunkCount: chunks.length,
+            metadata,
+            createdAt: existing?.createdAt || now,
+            updatedAt: now
+        };
+
+        index.embedder = { name: embedder.name, dims: embedder.dims };
+        index.documents[docId] = document;
+        index.chunks = index.chunks.filter(c => c.docId !== docId).concat(chunks.map((c, i) => ({
+            id: `${docId}-${c.index}`,
+            docId,
+            index: c.index,
+            kind,
+            content: c.text,
+            embedding: embeddings[i]
+        })));
+        writeIndex(index);
+        return { document, skipped: false };
+    });
+}
+
+export async function deleteDocument(docId) {
+    return withIndexLock(async () => {
+        const index = readIndex();
+        if (!index.documents[docId]) throw httpError(`document ${docId} not found`, 404);
+        delete index.documents[docId];
+        index.chunks = index.chunks.filter(c => c.docId !== docId);
+        writeIndex(index);
+        return { deleted: docId };
+    });
+}
+
+export function listDocuments({ kind } = {}) {
+    return Object.values(readIndex().documents)
+        .filter(d => !kind || d.kind === kind)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+export function findDocument(docId) {
+    return readIndex().documents[String(docId)] || null;
+}
+
+export function getDocument(docId, { withChunks = false } = {}) {
+    const index = readIndex();
+    const document = index.documents[docId];
+    if (!document) throw httpError(`document ${docId} not found`, 404);
+    if (!withChunks) return document;
+    const chunks = index.chunks.filter(c => c.docId === docId).map(({ embedding, ...rest }) => rest);
+    return { ...document, chunks };
+}
+
+function cosine(a, b) {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return na && nb ? dot / (Math.sqrt(na) * Math.sqrt(nb)) : 0;
+}
+
+// Top-k chunks for a query (default k=6, the match_count used by the n8n vector_search RPC)
+export async function searchChunks(query, { k = 6, kinds = null, minScore = 0 } = {}) {
+    const index = readIndex();
+    if (!index.chunks.length || !String(query || '').trim()) return [];
+    const embedder = resolveEmbedder();
+    assertEmbedderMatches(index, embedder);
+    const [q] = await embedder.embed([String(query)]);
+
+    return index.chunks
+        .filter(c => !kinds || kinds.includes(c.kind))
+        .map(c => ({ id: c.id, docId: c.docId, index: c.index, kind: c.kind, content: c.content, score: Math.round(cosine(q, c.embedding) * 10000) / 10000 }))
+        .filter(c => c.score > minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, k)
+        .map(c => ({ ...c, fileName: index.documents[c.docId]?.fileName || '' }));
+}
+
+export function indexStats() {
+    const index = readIndex();
+    return { embedder: index.embedder, documents: Object.keys(index.documents).length, chunks: index.chunks.length };
+}
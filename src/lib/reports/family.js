@@ -0,0 +1,44 @@
+// lib/reports/family.js
+// Family reports (analysisType: 'family_report'): the context they are written from, i.e. the child's
+// current plans with their recorded progress (the plain-language check lives in ./jargon.js).
+import { canAccessChildRef } from '@/lib/auth';
+import { listPlans } from '@/lib/data/plans';
+import { getAssessment } from '@/lib/data/assessments';
+import { loadPlanProgress, formatProgressForPrompt } from '@/lib/plans/progress';
+
+// The child's current plans (newest first, family reports excluded) with their recorded progress,
+// as { plans, text } where text is the model-facing summary. Only plans `user` may access are included: a plan
+// found by childId can name another child's assessment.
+export async function loadFamilyReportContext(childRef, { user, maxPlans = 3 } = {}) {
+    if (!childRef?.childId && !childRef?.assessmentId) return { plans: [], text: '' };
+    const listed = (await listPlans({ childId: childRef.childId, assessmentId: childRef.assessmentId, limit: 20 }))
+        .filter(p => p.analysisType !== 'family_report');
+    const allowed = await Promise.all(listed.map(plan => canAccessChildRef(user, plan, getAssessment)));
+    const found = listed.filter((_, i) => allowed[i]).slice(0, maxPlans);
+
+    const plans = [];
+    for (const plan of found) {
+        let progress = null;
+        try {
+            progress = await loadPlanProgress(plan);
+        } catch (err) {
+            console.warn(`[family-report] progress of plan ${plan.id} unavailable:`, err?.message || err);
+        }
+        plans.push({
+            id: plan.id,
+            analysisType: plan.analysisType,
+            latestVersion: plan.latestVersion,
+            updatedAt: plan.updatedAt,
+            goal: plan.currentPlan?.smart_goal || plan.currentPlan?.behavior_goal || '',
+            progress
+        });
+    }
+
+    const text = plans.map(p => [
+        `خطة ${p.analysisType === 'behavior' ? 'سلوكية' : 'تعليمية'} (آخر تحديث ${String(p.updatedAt || '').slice(0, 10)}):`,
+        `الهدف: ${p.goal || 'غير محدد'}`,
+        formatProgressForPrompt(p.progress, { maxChars: 1200 })
+    ].filter(Boolean).join('\n')).join('\n\n').slice(0, 4000);
+
+    return { plans, text };
+}
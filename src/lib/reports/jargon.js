@@ -0,0 +1,45 @@
+// lib/reports/jargon.js
+// Plain-language check for family reports: clinical terms that parents should not have to decode.
+// validatePlanOutput() reports them as errors, so the repair loop asks the model to rewrite those fields.
+
+// matched on the report's text fields (Latin terms case-insensitively)
+export const CLINICAL_JARGON = [
+    'ABA', 'BCBA', 'BIP', 'FBA', 'DTT', 'PRT', 'ABC',
+    'antecedent', 'extinction', 'reinforcement schedule', 'prompt fading', 'mastery criterion',
+    'تحليل وظيفي', 'التحليل الوظيفي', 'الوظيفة السلوكية', 'تعزيز تفاضلي', 'التعزيز التفاضلي', 'انطفاء', 'الانطفاء',
+    'جدول التعزيز', 'جدول تعزيز', 'تلقين جسدي', 'التلقين الجسدي', 'تلاشي التلقين', 'معيار الإتقان',
+    'السوابق', 'اللواحق', 'المثير التمييزي', 'تشكيل السلوك'
+];
+
+const REPORT_TEXT_FIELDS = ['report_period', 'progress_narrative', 'wins', 'home_activities', 'questions_for_family', 'summary'];
+
+function escapeRegExp(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Latin acronyms must match as whole words ("ABC" but not "ABCD"); Arabic terms match as substrings
+const JARGON_PATTERNS = CLINICAL_JARGON.map(term => ({
+    term,
+    re: /^[A-Za-z ]+$/.test(term) ? new RegExp(`\\b${escapeRegExp(term)}\\b`, 'i') : new RegExp(escapeRegExp(term))
+}));
+
+function stringsOf(value) {
+    if (typeof value === 'string') return [value];
+    if (Array.isArray(value)) return value.flatMap(stringsOf);
+    if (value && typeof value === 'object') return Object.values(value).flatMap(stringsOf);
+    return [];
+}
+
+// [{ field, term }] for every report field that uses a clinical term
+export function findClinicalJargon(report) {
+    if (!report || typeof report !== 'object') return [];
+    const found = [];
+    for (const field of REPORT_TEXT_FIELDS) {
+        const text = stringsOf(report[field]).join('\n');
+        if (!text) continue;
+        for (const { term, re } of JARGON_PATTERNS) {
+            if (re.test(text)) found.push({ field, term });
+        }
+    }
+    return found;
+}
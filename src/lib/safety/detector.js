@@ -0,0 +1,58 @@
+// lib/safety/detector.js
+// Keyword / pattern detector for safety concerns in a teacher's note (Arabic and English): self-harm, aggression
+// toward others and indicators of abuse or neglect. Patterns run on normalizeArabicText() output, so they are written
+// without hamza / taa marbuta variants (رأسه -> راسه, إيذاء -> ايذاء, زملاءه -> زملاه) and without punctuation.
+import { normalizeArabicText } from '@/lib/arabic/text';
+
+export const SAFETY_CATEGORIES = ['self_harm', 'aggression', 'abuse'];
+export const SEVERITIES = ['medium', 'high'];
+
+const CATEGORY_SEVERITY = { self_harm: 'high', abuse: 'high', aggression: 'medium' };
+
+// word start: beginning of the text or a space (\b does not work for Arabic letters)
+const W = '(?:^| )و?';
+const PERSON = '(?:زميل\\S*|زملا\\S*|الاطفال|طفل\\S*|اطفال|الطالب\\S*|طالب\\S*|صديق\\S*|اصدقا\\S*|المعلم\\S*|معلم\\S*|الاخصاي\\S*|اخاه|اخيه|اخته|اخاها|اختها|امه|امها|ابيه|ابوه|والد\\S*|الاخرين|غيره|غيرها)';
+const BODY_SELF = '(?:راس\\S*|يده|يدها|يديه|يديها|ذراع\\S*|وجهه|وجهها|جسم\\S*|جلد\\S*|نفسها|نفسه|ذاتها|ذاته)';
+
+const PATTERNS = {
+    self_harm: [
+        new RegExp(`${W}(?:ي|ت)?(?:وذي|ايذا|اذي)\\S* (?:\\S+ )?(?:نفسها|نفسه|ذاتها|ذاته)`),
+        new RegExp(`${W}(?:ي|ت)?(?:ضرب|خبط|عض|خدش|جرح|لطم|شد)\\S* (?:\\S+ )?${BODY_SELF}`),
+        new RegExp(`${W}(?:ي|ت)?(?:نتف|شد)\\S* (?:شعره|شعرها)`),
+        new RegExp(`${W}(?:انتحار|ينتحر|تنتحر|الانتحار)`),
+        new RegExp(`${W}(?:يقتل|تقتل) (?:نفسه|نفسها)`),
+        new RegExp(`${W}(?:يريد|تريد|يرغب|ترغب|يتمني|تتمني) (?:ان )?(?:يموت|تموت)`),
+        /self ?harm|self ?injur|hurts? (?:him|her|them)sel(?:f|ves)|head ?bang|suicid|kill (?:him|her)self|bit(?:es|ing)? (?:his|her) own/
+    ],
+    aggression: [
+        new RegExp(`${W}(?:ي|ت)?(?:ضرب|عض|ركل|خدش|دفع|صفع|خنق|لكم|هاجم)(?:ت|وا|ون|ان|ين)? (?:\\S+ )?${PERSON}`),
+        new RegExp(`${W}(?:ي|ت)?شد(?:ت)? شعر ${PERSON}`),
+        new RegExp(`${W}(?:عدوان\\S*|اعتدا\\S*|يعتدي|تعتدي)`),
+        new RegExp(`${W}(?:يهدد|تهدد) (?:\\S+ )?(?:بسكين|بالسكين|بمقص|بالمقص|بالقتل)`),
+        /\b(?:hit|hits|hitting|kick(?:s|ed|ing)?|bit(?:e|es|ing)?|punch(?:es|ed|ing)?|scratch(?:es|ed|ing)?|push(?:es|ed|ing)?|chok(?:e|es|ed|ing))\b(?: \S+){0,3} (?:peers?|child(?:ren)?|classmates?|teachers?|staff|siblings?|others?|students?)\b/,
+        /\baggress(?:ion|ive)\b|\battack(?:s|ed|ing)?\b/
+    ],
+    abuse: [
+        new RegExp(`${W}(?:كدم\\S*|حروق|اثار حرق|اثار ضرب|علامات ضرب|علامات حرق)`),
+        new RegExp(`${W}(?:يتعرض|تتعرض|تعرض|تعرضت)\\S* (?:لل|ل)?(?:ضرب|عنف|اساء\\S*|تحرش|اعتدا\\S*|اهمال)`),
+        new RegExp(`${W}(?:تحرش\\S*|التحرش|عنف اسري|العنف الاسري|اهمال شديد|اساءه جنسيه|اساءه جسديه)`),
+        new RegExp(`${W}(?:يضرب|تضرب)(?:ه|ها) (?:ابو\\S*|والد\\S*|ام\\S*|اخو\\S*|زوج\\S*)`),
+        new RegExp(`${W}(?:خايف|خايفه|يخاف|تخاف) من (?:العوده|الرجوع|الذهاب) (?:الي (?:البيت|المنزل|بيت\\S*)|للبيت|للمنزل|لبيت\\S*)`),
+        /\babuse[ds]?\b|\bneglect(?:ed)?\b|\bbruis(?:e|es|ed|ing)\b|\bburn marks?\b|\bmolest|\binappropriate(?:ly)? touch|\bafraid to go home\b/
+    ]
+};
+
+// { flagged, severity: 'high' | 'medium' | null, categories: [...], matches: [{ category, text }] }
+export function detectSafetyConcerns(text) {
+    const normalized = ` ${normalizeArabicText(text)} `.replace(/\s+/g, ' ');
+    const matches = [];
+    for (const category of SAFETY_CATEGORIES) {
+        for (const pattern of PATTERNS[category]) {
+            const m = normalized.match(pattern);
+            if (m) matches.push({ category, text: m[0].trim() });
+        }
+    }
+    const categories = SAFETY_CATEGORIES.filter(c => matches.some(m => m.category === c));
+    const severity = categories.some(c => CATEGORY_SEVERITY[c] === 'high') ? 'high' : (categories.length ? 'medium' : null);
+    return { flagged: categories.length > 0, severity, categories, matches };
+}
@@ -0,0 +1,124 @@
+// lib/safety/index.js
+// Safety escalations: an analysis whose note trips the detector (./detector.js) or whose plan comes back with
+// safety_flag opens an escalation record (lib/data/escalations) and notifies supervisors (./notifiers.js).
+// Supervisors (specialist, admin) acknowledge and resolve it through /api/escalations; every step is audited.
+// The same concern for the same child (same note) while still unresolved is counted on the open record instead
+// of opening a new one. Records keep the child / plan references and the detector matches, never the note or the
+// child's name; withChildNames() resolves the name when an authorised supervisor reads them.
+import crypto from 'crypto';
+import { httpError } from '@/lib/http';
+import { normalizeArabicText } from '@/lib/arabic/text';
+import { createEscalation, findUnresolvedEscalation, updateEscalation } from '@/lib/data/escalations';
+import { getAssessment, childNameOf } from '@/lib/data/assessments';
+import { detectSafetyConcerns } from './detector';
+import { notifyEscalation } from './notifiers';
+
+export const ESCALATION_STATUSES = ['open', 'acknowledged', 'resolved'];
+export const ESCALATION_ACTIONS = ['acknowledge', 'resolve', 'comment'];
+export const SUPERVISOR_ROLES = ['specialist', 'admin'];
+
+const actor = (user) => (user ? { uid: user.uid, role: user.role || null } : null);
+
+function fingerprintOf({ childId, assessmentId, textNote }) {
+    return crypto.createHash('sha256')
+        .update(`${childId || ''}|${assessmentId || ''}|${normalizeArabicText(textNote)}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+// Open (or count again) the escalation for one analysis when either signal fires. Returns the `meta.safety`
+// summary of the analysis: { flagged, severity, categories, signals, escalationId?, repeated?, notifications?, error? }.
+// Never throws: a safety record that cannot be stored is still sent to the notifiers.
+export async function escalateAnalysisSafety({ textNote, modelFlag = false, context = {}, user }) {
+    const detection = detectSafetyConcerns(textNote);
+    const flagged = !!modelFlag || detection.flagged;
+    const summary = {
+        flagged,
+        severity: modelFlag ? 'high' : detection.severity,
+        categories: [...detection.categories, ...(modelFlag ? ['model'] : [])],
+        signals: { model: !!modelFlag, detector: detection.categories }
+    };
+    if (!flagged) return summary;
+
+    const now = new Date().toISOString();
+    const fields = {
+        status: 'open',
+        severity: summary.severity,
+        categories: summary.categories,
+        signals: { model: !!modelFlag, detector: { categories: detection.categories, matches: detection.matches } },
+        childId: context.childId || null,
+        assessmentId: context.assessmentId || null,
+        planId: context.planId || null,
+        planVersion: context.planVersion || null,
+        sessionId: context.sessionId || null,
+        analysisType: context.analysisType || null,
+        fingerprint: fingerprintOf({ ...context, textNote }),
+        occurrences: 1,
+        createdBy: user?.uid || null,
+        notifications: [],
+        audit: [{ at: now, action: 'opened', by: actor(user), note: '' }]
+    };
+
+    let escalation = { ...fields, createdAt: now };
+    try {
+        const existing = await findUnresolvedEscalation(fields.fingerprint);
+        if (existing) {
+            const updated = await updateEscalation(existing.id, (current) => ({
+                patch: {
+                    occurrences: (current.occurrences || 1) + 1,
+                    ...(fields.planId ? { planId: fields.planId, planVersion: fields.planVersion } : {})
+                },
+                audit: [{ at: now, action: 'repeated', by: actor(user), note: fields.planId ? `plan ${fields.planId} v${fields.planVersion}` : '' }]
+            }));
+            return { ...summary, escalationId: updated.id, repeated: true };
+        }
+        escalation = await createEscalation(fields);
+    } catch (err) {
+        console.error('[safety] escalation not stored:', err?.message || err);
+        summary.error = err?.message || String(err);
+    }
+
+    // the name goes to the supervisors being notified, not into the stored record
+    const notifications = await notifyEscalation({ ...escalation, childName: context.childName || null });
+    if (escalation.id) {
+        await updateEscalation(escalation.id, () => ({
+            patch: { notifications },
+            audit: [{ at: new Date().toISOString(), action: 'notified', by: null, note: notifications.map(n => `${n.notifier}: ${n.ok ? 'ok' : n.error}`).join('; ') }]
+        })).catch(err => console.warn('[safety] notification results not stored:', err?.message || err));
+    }
+    return { ...summary, escalationId: escalation.id || null, repeated: false, notifications: notifications.map(({ notifier, ok }) => ({ notifier, ok })) };
+}
+
+// Escalations as shown to a supervisor who may access them: the child's name is read from the assessment
+// (records written before names were left out may still carry childName / noteExcerpt; those are dropped)
+export async function withChildNames(escalations) {
+    const names = new Map();
+    for (const id of new Set(escalations.map(e => e.assessmentId).filter(Boolean))) {
+        const assessment = await getAssessment(id).catch(() => null);
+        names.set(id, assessment ? childNameOf(assessment.data) || null : null);
+    }
+    return escalations.map(({ childName: _storedName, noteExcerpt: _note, ...escalation }) => ({
+        ...escalation,
+        childName: names.get(escalation.assessmentId) || null
+    }));
+}
+
+// Apply a supervisor action to an escalation: acknowledge (open only), resolve (needs a note) or comment
+export async function applyEscalationAction(id, { action, note }, user) {
+    if (!ESCALATION_ACTIONS.includes(action)) throw httpError(`action must be one of ${ESCALATION_ACTIONS.join(', ')}`, 400);
+    const text = String(note || '').trim();
+    if ((action === 'resolve' || action === 'comment') && !text) throw httpError(`a note is required to ${action} an escalation`, 400);
+
+    return updateEscalation(id, (current) => {
+        const at = new Date().toISOString();
+        if (action === 'acknowledge' && current.status !== 'open') throw httpError(`escalation is already ${current.status}`, 409);
+        if (action === 'resolve' && current.status === 'resolved') throw httpError('escalation is already resolved', 409);
+        const entry = { at, action: { acknowledge: 'acknowledged', resolve: 'resolved', comment: 'comment' }[action], by: actor(user), note: text };
+        const patch = action === 'acknowledge'
+            ? { status: 'acknowledged', acknowledgedAt: at, acknowledgedBy: user.uid }
+            : action === 'resolve'
+                ? { status: 'resolved', resolvedAt: at, resolvedBy: user.uid, resolution: text }
+                : {};
+        return { patch, audit: [entry] };
+    });
+}
@@ -0,0 +1,136 @@
+// lib/safety/notifiers.js
+// Supervisor notification channels for safety escalations. SAFETY_NOTIFIERS picks them (comma separated, default
+// `log`); a notifier exposes name, isConfigured(), missingConfigHint(), send(escalation).
+//   log      writes the escalation id, severity, categories and child / assessment ids to the server log
+//   webhook  POSTs { event, escalation } to SAFETY_WEBHOOK_URL, signed with X-Tebyan-Signature when
+//            SAFETY_WEBHOOK_SECRET is set (same scheme as the analyze job callbacks)
+//   email    mails SAFETY_NOTIFY_EMAILS through SMTP_HOST / SMTP_PORT (587) / SMTP_SECURE / SMTP_USER / SMTP_PASS,
+//            from SAFETY_EMAIL_FROM
+// Notifications carry the concern (categories, matched phrases, child and plan references), not the note itself.
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import { postJsonWithTimeout } from '@/lib/ai/providers/http';
+
+const CATEGORY_LABELS = { self_harm: 'إيذاء الذات', aggression: 'عدوان على الآخرين', abuse: 'مؤشرات إساءة أو إهمال', model: 'تنبيه سلامة من التحليل' };
+
+// what leaves the server: no note text
+export function escalationNotice(escalation) {
+    return {
+        id: escalation.id || null,
+        status: escalation.status,
+        severity: escalation.severity,
+        categories: escalation.categories || [],
+        matches: (escalation.signals?.detector?.matches || []).map(m => m.text),
+        modelFlag: !!escalation.signals?.model,
+        childId: escalation.childId || null,
+        assessmentId: escalation.assessmentId || null,
+        childName: escalation.childName || null,
+        planId: escalation.planId || null,
+        planVersion: escalation.planVersion || null,
+        sessionId: escalation.sessionId || null,
+        createdAt: escalation.createdAt || null
+    };
+}
+
+function noticeText(notice) {
+    return [
+        `تصعيد سلامة (${notice.severity === 'high' ? 'خطورة عالية' : 'خطورة متوسطة'}) — Safety escalation ${notice.id || '(not stored)'}`,
+        `الطفل: ${notice.childName || notice.childId || notice.assessmentId || 'غير محدد'}`,
+        `المؤشرات: ${notice.categories.map(c => CATEGORY_LABELS[c] || c).join('، ') || 'غير محدد'}`,
+        notice.matches.length ? `العبارات: ${notice.matches.join('، ')}` : null,
+        notice.planId ? `الخطة: ${notice.planId}${notice.planVersion ? ` (v${notice.planVersion})` : ''}` : null,
+        '',
+        `راجع التصعيد وسجّل الإقرار أو الإغلاق: PATCH /api/escalations/${notice.id || ':id'}`
+    ].filter(line => line !== null).join('\n');
+}
+
+const logNotifier = {
+    name: 'log',
+    isConfigured: () => true,
+    missingConfigHint: () => '',
+    async send(escalation) {
+        // identifying and clinical details (name, matched phrases) stay out of the server log
+        const { id, severity, categories, childId, assessmentId } = escalationNotice(escalation);
+        console.warn('[safety] escalation:', JSON.stringify({ id, severity, categories, childId, assessmentId }));
+    }
+};
+
+const webhookNotifier = {
+    name: 'webhook',
+    isConfigured: () => !!process.env.SAFETY_WEBHOOK_URL,
+    missingConfigHint: () => 'SAFETY_WEBHOOK_URL is not set',
+    async send(escalation) {
+        const body = { event: 'safety.escalation', escalation: escalationNotice(escalation) };
+        const headers = {};
+        if (process.env.SAFETY_WEBHOOK_SECRET) {
+            const signature = crypto.createHmac('sha256', process.env.SAFETY_WEBHOOK_SECRET).update(JSON.stringify(body)).digest('hex');
+            headers['X-Tebyan-Signature'] = `sha256=${signature}`;
+        }
+        const res = await postJsonWithTimeout(process.env.SAFETY_WEBHOOK_URL, body, { headers, timeoutMs: 10000 });
+        if (!res.ok) throw new Error(`webhook answered ${res.status}`);
+    }
+};
+
+const recipients = () => (process.env.SAFETY_NOTIFY_EMAILS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const emailNotifier = {
+    name: 'email',
+    isConfigured: () => !!(process.env.SMTP_HOST && recipients().length),
+    missingConfigHint: () => 'SMTP_HOST and SAFETY_NOTIFY_EMAILS are required',
+    async send(escalation) {
+        const port = parseInt(process.env.SMTP_PORT || '587', 10);
+        const transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS || '' } : undefined
+        });
+        const notice = escalationNotice(escalation);
+        await transport.sendMail({
+            from: process.env.SAFETY_EMAIL_FROM || process.env.SMTP_USER,
+            to: recipients().join(', '),
+            subject: `[تبيان] تصعيد سلامة — ${notice.childName || notice.childId || notice.id}`,
+            text: noticeText(notice)
+        });
+    }
+};
+
+const NOTIFIERS = {
+    [logNotifier.name]: logNotifier,
+    [webhookNotifier.name]: webhookNotifier,
+    [emailNotifier.name]: emailNotifier
+};
+
+export function listNotifiers() {
+    return Object.keys(NOTIFIERS);
+}
+
+function configuredNames() {
+    return (process.env.SAFETY_NOTIFIERS || 'log').split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// Send the escalation through every configured notifier; returns one { notifier, ok, at, error? } per channel
+// and never throws
+export async function notifyEscalation(escalation) {
+    const results = [];
+    for (const name of configuredNames()) {
+        const notifier = NOTIFIERS[name];
+        const at = new Date().toISOString();
+        if (!notifier) {
+            results.push({ notifier: name, ok: false, at, error: `unknown notifier (available: ${listNotifiers().join(', ')})` });
+            continue;
+        }
+        if (!notifier.isConfigured()) {
+            results.push({ notifier: name, ok: false, at, error: notifier.missingConfigHint() });
+            continue;
+        }
+        try {
+            await notifier.send(escalation);
+            results.push({ notifier: name, ok: true, at });
+        } catch (err) {
+            results.push({ notifier: name, ok: false, at, error: err?.message || String(err) });
+        }
+    }
+    for (const r of results.filter(r => !r.ok)) console.warn(`[safety] ${r.notifier} notification failed:`, r.error);
+    return results;
+}
@@ -0,0 +1,94 @@
+// lib/sessions/index.js
+// Session observations: field whitelisting for the sessions API, the per-child timeline and the
+// "recent sessions" summary that /api/analyze adds to the model context.
+import { httpError } from '@/lib/http';
+
+// fields a client may set on a session (the analyze request carries the same note fields)
+const OBSERVATION_FIELDS = ['textNote', 'currentActivity', 'energyLevel', 'tags', 'sessionDuration', 'observedAt'];
+const LINK_FIELDS = ['childId', 'assessmentId', 'childName'];
+
+// Pick and coerce the writable session fields from a request body. `partial` is for updates.
+export function sessionFields(body = {}, { partial = false } = {}) {
+    const out = {};
+    for (const key of [...LINK_FIELDS, ...OBSERVATION_FIELDS]) {
+        if (body[key] === undefined) continue;
+        out[key] = body[key];
+    }
+    if (out.childId !== undefined) out.childId = out.childId === null ? null : String(out.childId);
+    if (out.assessmentId !== undefined) out.assessmentId = out.assessmentId === null ? null : String(out.assessmentId);
+    if (out.childName !== undefined) out.childName = out.childName === null ? null : String(out.childName).trim();
+    if (out.textNote !== undefined) out.textNote = String(out.textNote || '');
+    if (out.currentActivity !== undefined) out.currentActivity = String(out.currentActivity || '');
+    if (out.energyLevel !== undefined) out.energyLevel = String(out.energyLevel || '');
+    if (out.tags !== undefined) {
+        if (!Array.isArray(out.tags)) throw httpError('tags must be an array', 400);
+        out.tags = out.tags.map(String);
+    }
+    if (out.sessionDuration !== undefined) {
+        const minutes = Number(out.sessionDuration);
+        if (!Number.isFinite(minutes) || minutes < 0) throw httpError('sessionDuration must be a non-negative number of minutes', 400);
+        out.sessionDuration = minutes;
+    }
+    if (out.observedAt !== undefined) {
+        const at = new Date(out.observedAt);
+        if (Number.isNaN(at.getTime())) throw httpError('observedAt must be a date', 400);
+        out.observedAt = at.toISOString();
+    }
+    if (!partial) {
+        if (!out.childId && !out.assessmentId) throw httpError('childId or assessmentId is required', 400);
+        out.observedAt = out.observedAt || new Date().toISOString();
+        out.tags = out.tags || [];
+    }
+    return out;
+}
+
+// The part of an analyze result ({ ai, meta }) that is stored on the session it analyzed
+export function sessionAnalysisFromResult(result) {
+    const plan = result?.ai?.normalized || {};
+    return {
+        analysisType: result?.meta?.analysisType || null,
+        provider: result?.meta?.provider || null,
+        planId: result?.meta?.planId || null,
+        planVersion: result?.meta?.planVersion || null,
+        goal: plan.smart_goal || plan.behavior_goal || '',
+        summary: plan.summary || '',
+        suggestions: Array.isArray(result?.ai?.suggestions) ? result.ai.suggestions.slice(0, 5) : [],
+        analyzedAt: new Date().toISOString()
+    };
+}
+
+// Chronological (oldest first) timeline entries for a child's sessions
+export function buildTimeline(sessions) {
+    return [...sessions]
+        .sort((a, b) => String(a.observedAt || a.createdAt || '').localeCompare(String(b.observedAt || b.createdAt || '')))
+        .map(s => ({
+            sessionId: s.id,
+            observedAt: s.observedAt || s.createdAt || null,
+            currentActivity: s.currentActivity || '',
+            energyLevel: s.energyLevel || '',
+            tags: s.tags || [],
+            sessionDuration: s.sessionDuration || 0,
+            textNote: s.textNote || '',
+            transcript: s.transcript?.text || '',
+            analysis: s.analysis || null
+        }));
+}
+
+// Short model-facing summary of the most recent sessions (oldest first so the trend reads naturally)
+export function formatRecentSessionsForPrompt(sessions, { maxChars = 2500 } = {}) {
+    const lines = buildTimeline(sessions).map(entry => {
+        const date = entry.observedAt ? entry.observedAt.slice(0, 10) : '?';
+        const parts = [
+            `- ${date}`,
+            entry.currentActivity ? `النشاط: ${entry.currentActivity}` : '',
+            entry.energyLevel ? `الطاقة: ${entry.energyLevel}` : '',
+            entry.sessionDuration ? `المدة: ${entry.sessionDuration} دقيقة` : '',
+            entry.tags.length ? `الوسوم: ${entry.tags.join(', ')}` : ''
+        ].filter(Boolean).join(' | ');
+        const note = entry.textNote ? `\n  الملاحظة: ${entry.textNote.slice(0, 300)}` : '';
+        const voice = entry.transcript ? `\n  الملاحظة الصوتية: ${entry.transcript.slice(0, 300)}` : '';
+        const goal = entry.analysis?.goal ? `\n  الهدف المقترح: ${String(entry.analysis.goal).slice(0, 200)}` : '';
+        return parts + note + voice + goal;
+    });
+    return lines.join('\n').slice(0, maxChars);
+}
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeAi, normalizeBehavior, ensureSuggestionObjects } from '@/lib/ai/normalize';
+
+const suggestion = { text: 'ممارسة يومية', rationale: 'تعميم المهارة', confidence: 0.8 };
+
+test('normalizeAi keeps suggestion objects with their confidence', () => {
+    const plan = normalizeAi({ suggestions: [suggestion, 'نص'], customizations: [{ title: 'بطاقات مصورة' }] });
+    assert.deepEqual(plan.suggestions, [suggestion, 'نص']);
+    assert.deepEqual(plan.customizations, [{ text: 'بطاقات مصورة', rationale: '', confidence: null }]);
+    assert.ok(!JSON.stringify(plan).includes('[object Object]'));
+});
+
+test('normalizeAi falls back to suggestion text for steps and strategy', () => {
+    const plan = normalizeAi({ customizations: [suggestion] });
+    assert.deepEqual(plan.task_analysis_steps, ['ممارسة يومية']);
+    assert.equal(plan.teaching_strategy, 'ممارسة يومية');
+});
+
+test('normalizeBehavior keeps suggestion objects and splits plain text', () => {
+    const plan = normalizeBehavior({ suggestions: [suggestion], customizations: 'تقليل المشتتات. استخدام جدول مصور' });
+    assert.deepEqual(plan.suggestions, [suggestion]);
+    assert.equal(plan.customizations.length, 2);
+});
+
+test('ensureSuggestionObjects drops entries without text', () => {
+    assert.deepEqual(ensureSuggestionObjects(['أ', { rationale: 'x' }, null]), [{ text: 'أ', rationale: '', confidence: null }]);
+});
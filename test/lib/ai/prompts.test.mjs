@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { renderPromptText, templateVariables, loadPromptTemplate, buildPromptMessages } from '@/lib/ai/prompts';
+
+test('renderPromptText joins lines and substitutes variables with fallbacks', () => {
+    assert.equal(renderPromptText(['الطفل: {{ childName }}', 'العمر: {{age|غير معروف}}'], { childName: 'سارة', age: '' }), 'الطفل: سارة\nالعمر: غير معروف');
+    assert.equal(renderPromptText('{{missing}}!', {}), '!');
+    assert.equal(renderPromptText('{{n}}', { n: 0 }), '0');
+});
+
+test('renderPromptText does not expand variables inside substituted values', () => {
+    assert.equal(renderPromptText('{{note}}', { note: 'قال {{system}}', system: 'x' }), 'قال {{system}}');
+});
+
+test('templateVariables lists read and required variables, not defines or examples', () => {
+    const names = templateVariables({
+        define: { block: ['{{a}}'] },
+        system: ['{{b}} {{block}}'],
+        example: { user: ['{{ignored}}'] },
+        messages: [{ requires: 'c', text: ['{{c}}'] }]
+    });
+    assert.deepEqual(names, ['a', 'b', 'c']);
+});
+
+let dir;
+const previousDir = process.env.PROMPTS_DIR;
+const write = (id, version, template) => {
+    fs.mkdirSync(path.join(dir, id), { recursive: true });
+    fs.writeFileSync(path.join(dir, id, `v${version}.json`), JSON.stringify(template));
+};
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-test-'));
+    process.env.PROMPTS_DIR = dir;
+    write('general', 1, { system: ['نظام 1'], instruction: ['{{note}}'] });
+    write('general', 2, { system: ['نظام 2 {{childName|الطفل}}'], instruction: ['ملاحظة: {{note}}'], example: { user: ['مثال'], assistant: { ok: true } } });
+    write('general', 3, { draft: true, system: ['مسودة'], instruction: [''] });
+    write('context', 1, {
+        systemSuffix: [{ requires: 'policy', text: ['سياسة: {{policy}}'] }],
+        messages: [{ requires: 'sessions', text: ['الجلسات: {{sessions}}'], clientText: ['جلسات: {{sessions}}'] }]
+    });
+});
+
+after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    if (previousDir === undefined) delete process.env.PROMPTS_DIR;
+    else process.env.PROMPTS_DIR = previousDir;
+});
+
+test('loadPromptTemplate picks the highest non-draft version unless one is pinned', () => {
+    assert.equal(loadPromptTemplate('general').version, 2);
+    assert.equal(loadPromptTemplate('general', 3).draft, true);
+    assert.throws(() => loadPromptTemplate('general', 9), { status: 404 });
+    assert.throws(() => loadPromptTemplate('missing'), { status: 404 });
+});
+
+test('buildPromptMessages builds system, few-shot, instruction and enabled context parts', () => {
+    const { messages, template, context } = buildPromptMessages({ templateId: 'behavior', variables: { note: 'يبكي', sessions: 'جلسة 1' } });
+    assert.deepEqual(template, { id: 'general', version: 2 });
+    assert.deepEqual(context, { id: 'context', version: 1 });
+    assert.deepEqual(messages, [
+        { role: 'system', content: 'نظام 2 الطفل' },
+        { role: 'user', content: 'مثال' },
+        { role: 'assistant', content: JSON.stringify({ ok: true }, null, 2) },
+        { role: 'user', content: 'ملاحظة: يبكي' },
+        { role: 'user', content: 'الجلسات: جلسة 1' }
+    ]);
+});
+
+test('buildPromptMessages appends client text parts to client messages', () => {
+    const clientMessages = [{ role: 'user', content: 'من الواجهة' }];
+    const { messages } = buildPromptMessages({ templateId: 'general', version: 1, variables: { sessions: 'جلسة 1' }, clientMessages });
+    assert.deepEqual(messages, [...clientMessages, { role: 'user', content: 'جلسات: جلسة 1' }]);
+});
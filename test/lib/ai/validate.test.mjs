@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { validatePlanOutput, buildRepairMessage } from '@/lib/ai/validate';
+
+const fixture = (name) => JSON.parse(fs.readFileSync(`data/fixtures/analyze/${name}.json`, 'utf8'));
+
+test('the mock fixtures are valid plans', () => {
+    assert.equal(validatePlanOutput('general', fixture('general')).valid, true);
+    assert.equal(validatePlanOutput('behavior', fixture('behavior')).valid, true);
+});
+
+test('missing and mistyped fields are reported by field', () => {
+    const { smart_goal, ...plan } = fixture('general');
+    const result = validatePlanOutput('general', { ...plan, suggestions: [{ rationale: 'no text' }] });
+    assert.equal(result.valid, false);
+    assert.ok(smart_goal);
+    assert.ok(result.errors.some(e => e.field === 'smart_goal' && e.keyword === 'required'));
+    assert.ok(result.errors.some(e => e.field === 'suggestions'));
+});
+
+test('suggestions may be { text, rationale, confidence } objects', () => {
+    const plan = { ...fixture('general'), suggestions: [{ text: 'ممارسة يومية', rationale: 'x', confidence: 0.8 }] };
+    assert.equal(validatePlanOutput('general', plan).valid, true);
+});
+
+test('non-objects fail at the root', () => {
+    assert.equal(validatePlanOutput('general', '{}').errors[0].message, '(root): must be a JSON object');
+});
+
+test('the repair message lists the errors, capped', () => {
+    const errors = Array.from({ length: 3 }, (_, i) => ({ message: `e${i}` }));
+    const message = buildRepairMessage(errors, 2);
+    assert.match(message, /- e0\n- e1\n- \.\.\. \(1 more\)/);
+});
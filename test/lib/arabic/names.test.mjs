@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nameTokens, buildNameSearchKey, scoreNameMatch } from '@/lib/arabic/names';
+
+test('nameTokens normalizes spellings, drops connectors and joins compound names', () => {
+    assert.deepEqual(nameTokens('أحمد بن عبد الله'), ['احمد', 'عبدالله']);
+    assert.deepEqual(nameTokens('فاطمة'), nameTokens('فاطمه'));
+    assert.deepEqual(nameTokens('مُحَمَّد'), ['محمد']);
+});
+
+test('buildNameSearchKey stores the joined key and unique tokens', () => {
+    assert.deepEqual(buildNameSearchKey('سارة سارة'), { key: 'ساره ساره', tokens: ['ساره'] });
+});
+
+test('scoreNameMatch is 1 for the same name in another spelling', () => {
+    assert.equal(scoreNameMatch('إسراء علي', 'اسراء على'), 1);
+});
+
+test('scoreNameMatch tolerates word order, prefixes and typos', () => {
+    assert.ok(scoreNameMatch('علي محمد', 'محمد علي') >= 0.9);
+    assert.ok(scoreNameMatch('محم', 'محمد') >= 0.85);
+    assert.ok(scoreNameMatch('عبدالرحمن', 'عبد الرحمان') >= 0.85);
+});
+
+test('scoreNameMatch ranks a partial name below the full one and unrelated names low', () => {
+    assert.ok(scoreNameMatch('احمد', 'احمد خالد') < scoreNameMatch('احمد خالد', 'احمد خالد'));
+    assert.ok(scoreNameMatch('احمد', 'يوسف') < 0.6);
+    assert.equal(scoreNameMatch('', 'احمد'), 0);
+});
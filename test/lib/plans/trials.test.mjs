@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { masteryCriterion, trialSheetFields, summarizeTrials, DEFAULT_MASTERY_PERCENT } from '@/lib/plans/trials';
+
+const steps = ['يمسك الكوب', 'يرفع الكوب', 'يشرب'];
+
+test('masteryCriterion reads the percentage in Western or Arabic-Indic digits', () => {
+    assert.deepEqual(masteryCriterion('يشرب باستقلالية في 90% من المحاولات'), { percent: 90, source: 'smart_goal' });
+    assert.deepEqual(masteryCriterion('في ٨٥ ٪ من المحاولات'), { percent: 85, source: 'smart_goal' });
+    assert.deepEqual(masteryCriterion('بدون معيار'), { percent: DEFAULT_MASTERY_PERCENT, source: 'default' });
+    assert.equal(masteryCriterion('في 150% من المحاولات').source, 'default');
+});
+
+test('trialSheetFields resolves steps and result aliases', () => {
+    const sheet = trialSheetFields({
+        occurredAt: '2025-03-01',
+        trials: [
+            { stepIndex: 0, result: '+' },
+            { step: 'يرفع الكوب', result: 'P', promptLevel: 'verbal' },
+            { stepIndex: 2, result: 'خطأ', promptLevel: 'model' }
+        ]
+    }, steps);
+    assert.equal(sheet.occurredAt, '2025-03-01T00:00:00.000Z');
+    assert.deepEqual(sheet.trials, [
+        { stepIndex: 0, step: 'يمسك الكوب', result: 'independent', promptLevel: null },
+        { stepIndex: 1, step: 'يرفع الكوب', result: 'prompted', promptLevel: 'verbal' },
+        { stepIndex: 2, step: 'يشرب', result: 'incorrect', promptLevel: null }
+    ]);
+});
+
+test('trialSheetFields rejects unknown steps, results and unprompted prompted trials', () => {
+    assert.throws(() => trialSheetFields({ trials: [{ stepIndex: 3, result: '+' }] }, steps), { status: 400 });
+    assert.throws(() => trialSheetFields({ trials: [{ step: 'يغسل الكوب', result: '+' }] }, steps), { status: 400 });
+    assert.throws(() => trialSheetFields({ trials: [{ stepIndex: 0, result: '?' }] }, steps), { status: 400 });
+    assert.throws(() => trialSheetFields({ trials: [{ stepIndex: 0, result: 'P' }] }, steps), { status: 400 });
+    assert.throws(() => trialSheetFields({ trials: [] }, steps), { status: 400 });
+});
+
+const sheet = (id, occurredAt, results) => ({
+    id,
+    occurredAt,
+    trials: results.map(result => ({ stepIndex: 0, step: steps[0], result, promptLevel: result === 'prompted' ? 'verbal' : null }))
+});
+
+test('summarizeTrials marks mastery after consecutive sessions at the criterion', () => {
+    const summary = summarizeTrials([
+        sheet('a', '2025-03-01', ['independent', 'incorrect']),
+        sheet('b', '2025-03-02', ['independent', 'independent', 'independent', 'independent', 'prompted']),
+        sheet('c', '2025-03-03', ['independent', 'independent'])
+    ], { steps, smartGoal: 'في 80% من المحاولات' });
+
+    assert.deepEqual(summary.criterion, { percent: 80, source: 'smart_goal', sessions: 2 });
+    assert.deepEqual(summary.sessions.map(s => s.accuracy), [50, 80, 100]);
+    assert.equal(summary.overall.mastered, true);
+    assert.equal(summary.overall.masteredAt, '2025-03-03');
+    assert.equal(summary.steps[0].promptLevels.verbal, 1);
+    assert.equal(summary.steps[1].trials, 0);
+});
+
+test('summarizeTrials resets mastery when a later session drops below the criterion', () => {
+    const summary = summarizeTrials([
+        sheet('a', '2025-03-01', ['independent']),
+        sheet('b', '2025-03-02', ['independent']),
+        sheet('c', '2025-03-03', ['incorrect'])
+    ], { steps });
+    assert.equal(summary.overall.mastered, false);
+    assert.equal(summary.overall.currentStreak, 0);
+});
+
+test('summarizeTrials matches older trials to revised steps by their text', () => {
+    const revised = ['يرفع الكوب', 'يمسك الكوب'];
+    const summary = summarizeTrials([sheet('a', '2025-03-01', ['independent'])], { steps: revised });
+    assert.equal(summary.steps.find(s => s.step === 'يمسك الكوب').stepIndex, 1);
+    assert.equal(summary.steps.find(s => s.step === 'يمسك الكوب').trials, 1);
+    assert.equal(summary.steps.find(s => s.step === 'يرفع الكوب').trials, 0);
+});
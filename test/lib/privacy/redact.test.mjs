@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor } from '@/lib/privacy/redact';
+
+const known = [
+    { kind: 'names', role: 'child', value: 'سارة أحمد' },
+    { kind: 'names', role: 'family', value: 'علي حسن' },
+    { kind: 'phones', value: '0551234567' }
+];
+
+test('known names get stable placeholders, across spellings and with proclitics', () => {
+    const redactor = createRedactor(known);
+    assert.equal(redactor.redact('سارة أحمد تلعب وساره تضحك مع اخيها'), '[CHILD] تلعب و[CHILD_FIRST] تضحك مع اخيها');
+    assert.equal(redactor.redact('اتصل علي حسن ثم علي'), 'اتصل [FAMILY_1] ثم [FAMILY_1_FIRST]');
+});
+
+test('a final ي is not matched by the preposition على', () => {
+    const redactor = createRedactor(known);
+    assert.equal(redactor.redact('حصل على نجمة'), 'حصل على نجمة');
+    assert.equal(redactor.redact('جاء علي'), 'جاء [FAMILY_1_FIRST]');
+});
+
+test('names inside longer words are left alone', () => {
+    const redactor = createRedactor([{ kind: 'names', role: 'child', value: 'علي' }]);
+    assert.equal(redactor.redact('عليها أن تنتظر'), 'عليها أن تنتظر');
+});
+
+test('phone numbers in any format map to one placeholder; ids and emails are matched by pattern', () => {
+    const redactor = createRedactor(known);
+    assert.equal(redactor.redact('رقم الأم +966 55 123 4567 أو 0551234567'), 'رقم الأم [PHONE_1] أو [PHONE_1]');
+    assert.equal(redactor.redact('الهوية ١٠٢٣٤٥٦٧٨٩ والبريد mom@example.com'), 'الهوية [ID_1] والبريد [EMAIL_1]');
+    assert.equal(redactor.redact('حصل على 12 من 20'), 'حصل على 12 من 20');
+});
+
+test('restore puts the original values back in nested output', () => {
+    const redactor = createRedactor(known);
+    const redacted = redactor.redact({ note: 'سارة أحمد تتصل على 0551234567', steps: ['ساعد سارة'] });
+    assert.deepEqual(redacted, { note: '[CHILD] تتصل على [PHONE_1]', steps: ['ساعد [CHILD_FIRST]'] });
+    assert.deepEqual(redactor.restore({ ...redacted, extra: '[ CHILD ] و [PERSON_9]' }), {
+        note: 'سارة أحمد تتصل على 0551234567',
+        steps: ['ساعد سارة'],
+        extra: 'سارة أحمد و [PERSON_9]'
+    });
+    assert.deepEqual(redactor.summary(), { names: 2, phones: 1 });
+});
+
+test('only the enabled entities are replaced', () => {
+    const redactor = createRedactor(known, { entities: ['phones'] });
+    assert.equal(redactor.redact('سارة 0551234567'), 'سارة [PHONE_1]');
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectSafetyConcerns } from '@/lib/safety/detector';
+
+test('self-harm in Arabic is high severity, whatever the hamza spelling', () => {
+    for (const note of ['تؤذي نفسها عند الانتقال بين الأنشطة', 'يضرب رأسه بالحائط', 'يضرب راسه بالحائط']) {
+        const found = detectSafetyConcerns(note);
+        assert.equal(found.flagged, true, note);
+        assert.deepEqual(found.categories, ['self_harm'], note);
+        assert.equal(found.severity, 'high', note);
+    }
+});
+
+test('aggression toward others is medium severity', () => {
+    const found = detectSafetyConcerns('ضرب زميله أثناء اللعب');
+    assert.deepEqual(found.categories, ['aggression']);
+    assert.equal(found.severity, 'medium');
+    assert.deepEqual(found.matches, [{ category: 'aggression', text: 'ضرب زميله' }]);
+});
+
+test('abuse indicators and English notes are detected', () => {
+    assert.deepEqual(detectSafetyConcerns('لاحظت المعلمة كدمات على ذراعه').categories, ['abuse']);
+    assert.deepEqual(detectSafetyConcerns('He bites his own hand and hits classmates').categories, ['self_harm', 'aggression']);
+    assert.equal(detectSafetyConcerns('She seems afraid to go home').severity, 'high');
+});
+
+test('ordinary notes are not flagged', () => {
+    for (const note of ['يحتاج مساعدة في ارتداء الملابس', 'يضرب الكرة بقدمه بشكل جيد', 'He finished the puzzle on his own', '']) {
+        assert.deepEqual(detectSafetyConcerns(note), { flagged: false, severity: null, categories: [], matches: [] }, note);
+    }
+});